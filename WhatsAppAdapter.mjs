@@ -1,7 +1,13 @@
-import querystring from 'querystring';
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
-import { TranscribeClient, StartTranscriptionJobCommand, GetTranscriptionJobCommand, DeleteTranscriptionJobCommand } from "@aws-sdk/client-transcribe";
 import crypto from "crypto";
+import { verifyMetaRequest, verifyTwilioRequest } from "./webhookAuth.mjs";
+import { emitMetric } from "./metrics.mjs";
+import { parseInboundEvent, toInboundMessage, normalizePhone, describeLocation, describeContacts } from "./inboundMessage.mjs";
+import { downloadMetaMedia, putMedia, extensionFor } from "./media.mjs";
+import { prepareAudio } from "./audio.mjs";
+import { getTranscriber, transcriptionRecord } from "./transcriber.mjs";
+import { detectEmergency, SAFETY_MESSAGES } from "./emergency.mjs";
+import { getIdempotency } from "./idempotency.mjs";
+import { getConversationStore, appendTurn } from "./conversationStore.mjs";
 
 // ==========================================
 // CONFIGURATION
@@ -10,21 +16,24 @@ import crypto from "crypto";
 const PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID;
 const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
 const REGION = process.env.AWS_REGION || "us-west-2";
-const MEDIA_BUCKET = process.env.MEDIA_BUCKET || "toori360";
 const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
 const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
 const TWILIO_WHATSAPP_FROM = process.env.TWILIO_WHATSAPP_FROM;
-
-const s3 = new S3Client({ region: REGION });
-const transcribe = new TranscribeClient({ region: REGION });
-const memory = {};
+const META_APP_SECRET = process.env.META_APP_SECRET;
+const TWILIO_WEBHOOK_URL = process.env.TWILIO_WEBHOOK_URL;
+// Identifica al adapter ante el backend como servicio interno (ver webSession.mjs)
+const BACKEND_API_TOKEN = process.env.BACKEND_API_TOKEN;
+// async (default): el audio va al backend sin transcribir y el backend responde cuando termina
+// Transcribe. sync: el adapter espera la transcripción (solo para probar sin el worker).
+const TRANSCRIBE_MODE = process.env.TRANSCRIBE_MODE || "async";
+// Solo para pruebas locales: desactivan la validación de firmas
+const META_SIGNATURE_BYPASS = process.env.META_SIGNATURE_BYPASS === "1";
+const TWILIO_SIGNATURE_BYPASS = process.env.TWILIO_SIGNATURE_BYPASS === "1";
 
 // ==========================================
 // SIMPLE UTILITY FUNCTIONS
 // ==========================================
 
-const normalizePhone = (s) => (s || "").replace(/\D/g, "");
-
 const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 const isAudio = (contentType) => {
@@ -40,192 +49,26 @@ const getTwilioAuth = () => {
 };
 
 // ==========================================
-// PARSING FUNCTIONS
+// AUTH FUNCTIONS
 // ==========================================
 
-const parseBody = (event) => {
-  try {
-    if (event.headers['content-type']?.includes('application/json')) {
-      return JSON.parse(event.body);
-    } else {
-      // Try normal parsing first
-      let parsed = querystring.parse(event.body);
-      
-      // If parsing resulted in a single key with no value, it might be malformed data
-      if (Object.keys(parsed).length === 1 && Object.values(parsed)[0] === '') {
-        const singleKey = Object.keys(parsed)[0];
-        
-        // Try to decode as Base64 if it looks like it
-        if (/^[A-Za-z0-9+/]+=*$/.test(singleKey) && singleKey.length > 100) {
-          try {
-            const decodedBody = Buffer.from(singleKey, 'base64').toString('utf8');
-            console.log('Successfully decoded Base64 body');
-            parsed = querystring.parse(decodedBody);
-          } catch (base64Error) {
-            console.log('Base64 decode failed:', base64Error.message);
-          }
-        }
-      }
-      
-      return parsed;
-    }
-  } catch (error) {
-    console.error('Parse error:', error);
-    
-    // Try emergency parsing from raw body as last resort
-    if (event.body) {
-      console.log('Attempting emergency parsing from raw body...');
-      try {
-        const bodyMatch = event.body.match(/Body=([^&]+)/);
-        const fromMatch = event.body.match(/From=([^&]+)/);
-        const waidMatch = event.body.match(/WaId=([^&]+)/);
-        
-        if (bodyMatch || fromMatch || waidMatch) {
-          const form = {};
-          if (bodyMatch) {
-            form.Body = decodeURIComponent(bodyMatch[1].replace(/\+/g, ' '));
-          }
-          if (fromMatch) {
-            form.From = decodeURIComponent(fromMatch[1]);
-          }
-          if (waidMatch) {
-            form.WaId = decodeURIComponent(waidMatch[1]);
-          }
-          return form;
-        }
-      } catch (emergencyError) {
-        console.error('Emergency parsing failed:', emergencyError.message);
-      }
-    }
-    
-    return {};
-  }
-};
-
-const extractPhone = (form, event) => {
-  // Twilio format
-  if (form.From) {
-    return form.From.replace(/^whatsapp:/, "");
-  }
-  if (form.WaId) {
-    return form.WaId;
-  }
-  
-  // Meta format
-  if (form?.entry?.[0]?.changes?.[0]?.value?.messages?.[0]?.from) {
-    return form.entry[0].changes[0].value.messages[0].from;
-  }
-  
-  // Meta contacts format
-  if (form?.entry?.[0]?.changes?.[0]?.value?.contacts?.[0]?.wa_id) {
-    return form.entry[0].changes[0].value.contacts[0].wa_id;
-  }
-  
-  // Fallback: try to extract from malformed form data
-  if (Object.keys(form).length === 1) {
-    const singleKey = Object.keys(form)[0];
-    
-    // Try to extract from URL-encoded data in the key itself
-    const fromMatch = singleKey.match(/From=whatsapp%3A%2B(\d+)/);
-    const waidMatch = singleKey.match(/WaId=(\d+)/);
-    
-    if (fromMatch) {
-      return `+${fromMatch[1]}`;
-    }
-    if (waidMatch) {
-      return `+${waidMatch[1]}`;
-    }
-  }
-  
-  // Last resort: try regex patterns on raw event body if available
-  if (event?.body) {
-    const phonePatterns = [
-      /From=whatsapp%3A%2B(\d+)/,
-      /From=whatsapp:(\+\d+)/,
-      /WaId=(\d+)/,
-      /"from":"(\d+)"/,
-      /"wa_id":"(\d+)"/
-    ];
-    
-    for (const pattern of phonePatterns) {
-      const match = event.body.match(pattern);
-      if (match) {
-        const phone = match[1].replace(/^\+/, '');
-        return `+${phone}`;
-      }
-    }
-  }
-  
-  return null;
-};
-
-const extractMessage = (form) => {
-  // Twilio format
-  if (form.Body) {
-    return form.Body.trim();
-  }
-  // Meta format
-  if (form?.entry?.[0]?.changes?.[0]?.value?.messages?.[0]?.text?.body) {
-    return form.entry[0].changes[0].value.messages[0].text.body.trim();
-  }
-  return null;
-};
-
-const extractMediaUrl = (form) => {
-  console.log('[MEDIA_EXTRACT] ===========================================');
-  console.log('[MEDIA_EXTRACT] Extracting media from form...');
-  console.log('[MEDIA_EXTRACT] Form keys:', Object.keys(form));
-  
-  // Twilio format
-  if (form.MediaUrl0) {
-    console.log('[MEDIA_EXTRACT] ✅ Twilio media detected!');
-    console.log('[MEDIA_EXTRACT] MediaUrl0:', form.MediaUrl0);
-    console.log('[MEDIA_EXTRACT] MediaContentType0:', form.MediaContentType0);
-    const media = {
-      url: form.MediaUrl0,
-      contentType: form.MediaContentType0 || 'audio/ogg'
-    };
-    console.log('[MEDIA_EXTRACT] Returning media object:', JSON.stringify(media, null, 2));
-    console.log('[MEDIA_EXTRACT] ===========================================');
-    return media;
-  }
-  
-  // WhatsApp API format
-  const message = form?.entry?.[0]?.changes?.[0]?.value?.messages?.[0];
-  console.log('[MEDIA_EXTRACT] Checking WhatsApp API format...');
-  console.log('[MEDIA_EXTRACT] Message object:', JSON.stringify(message, null, 2));
-  
-  if (message?.audio?.id) {
-    console.log('[MEDIA_EXTRACT] ✅ WhatsApp API audio detected!');
-    const media = {
-      id: message.audio.id,
-      contentType: message.audio.mime_type || 'audio/ogg',
-      isWhatsAppMedia: true
+// Meta firma el JSON con X-Hub-Signature-256; Twilio firma el form con X-Twilio-Signature.
+const authenticateWebhook = (event, request) => {
+  if (request.channel === 'twilio') {
+    return {
+      provider: 'twilio',
+      ...verifyTwilioRequest(event, request.params, {
+        authToken: TWILIO_AUTH_TOKEN,
+        webhookUrl: TWILIO_WEBHOOK_URL,
+        bypass: TWILIO_SIGNATURE_BYPASS
+      })
     };
-    console.log('[MEDIA_EXTRACT] Returning WhatsApp media object:', JSON.stringify(media, null, 2));
-    console.log('[MEDIA_EXTRACT] ===========================================');
-    return media;
-  }
-  
-  console.log('[MEDIA_EXTRACT] ❌ No media found in form');
-  console.log('[MEDIA_EXTRACT] ===========================================');
-  return null;
-};
-
-const isTwilioMessage = (form) => {
-  // Detect Twilio messages by checking for Twilio-specific fields
-  const hasTwilioFields = !!(form.From || form.WaId || form.MessageSid || form.MediaUrl0);
-  
-  // If we have Twilio fields but no Twilio credentials, we'll still process as Twilio
-  // but use WhatsApp auth for media downloads
-  if (hasTwilioFields) {
-    console.log('[TWILIO] Detected Twilio message format');
-    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) {
-      console.log('[TWILIO] No Twilio credentials available, will use WhatsApp auth for media');
-    }
   }
   
-  return hasTwilioFields;
+  return {
+    provider: 'meta',
+    ...verifyMetaRequest(event, { appSecret: META_APP_SECRET, bypass: META_SIGNATURE_BYPASS })
+  };
 };
 
 // ==========================================
@@ -300,224 +143,9 @@ const downloadMedia = async (mediaUrl, useWhatsAppAuth = true) => {
   }
 };
 
-const uploadToS3 = async (buffer, contentType, userId) => {
-  try {
-    console.log('[S3_UPLOAD] ===========================================');
-    console.log('[S3_UPLOAD] Starting S3 upload process...');
-    console.log('[S3_UPLOAD] Buffer size:', buffer.length, 'bytes');
-    console.log('[S3_UPLOAD] Content type:', contentType);
-    console.log('[S3_UPLOAD] User ID:', userId);
-    console.log('[S3_UPLOAD] Media bucket:', MEDIA_BUCKET);
-    
-    // Extract file extension from content type
-    let extension = 'ogg'; // default
-    if (contentType) {
-      const mimeType = contentType.split('/')[1];
-      if (mimeType) {
-        extension = mimeType.split(';')[0]; // Remove any additional parameters
-      }
-    }
-    
-    const fileName = `media/${userId}/${crypto.randomUUID()}.${extension}`;
-    const fullS3Path = `s3://${MEDIA_BUCKET}/${fileName}`;
-    
-    console.log('[S3_UPLOAD] Generated file name:', fileName);
-    console.log('[S3_UPLOAD] Full S3 path:', fullS3Path);
-    console.log('[S3_UPLOAD] File extension:', extension);
-    
-    const uploadParams = {
-      Bucket: MEDIA_BUCKET,
-      Key: fileName,
-      Body: buffer,
-      ContentType: contentType
-    };
-    
-    console.log('[S3_UPLOAD] Upload parameters:', {
-      Bucket: uploadParams.Bucket,
-      Key: uploadParams.Key,
-      ContentType: uploadParams.ContentType,
-      BodySize: uploadParams.Body.length
-    });
-    
-    console.log('[S3_UPLOAD] Sending upload command to S3...');
-    const result = await s3.send(new PutObjectCommand(uploadParams));
-    
-    console.log('[S3_UPLOAD] ✅ Upload successful!');
-    console.log('[S3_UPLOAD] S3 response:', JSON.stringify(result, null, 2));
-    console.log('[S3_UPLOAD] Final S3 URL:', fullS3Path);
-    console.log('[S3_UPLOAD] ===========================================');
-    
-    return fullS3Path;
-  } catch (error) {
-    console.error('[S3_UPLOAD] ❌ S3 upload failed!');
-    console.error('[S3_UPLOAD] Error type:', error.name);
-    console.error('[S3_UPLOAD] Error message:', error.message);
-    console.error('[S3_UPLOAD] Error code:', error.code);
-    console.error('[S3_UPLOAD] Error stack:', error.stack);
-    console.error('[S3_UPLOAD] ===========================================');
-    throw error;
-  }
-};
-
-const startTranscription = async (audioUrl) => {
-  // Validate S3 URL format
-  if (!audioUrl || !audioUrl.startsWith('s3://')) {
-    throw new Error(`Invalid S3 URL: ${audioUrl}`);
-  }
-  
-  const jobName = `transcribe-job-${crypto.randomUUID()}`;
-  
-  // Extract format from URL
-  let mediaFormat = 'ogg'; // default
-  if (audioUrl) {
-    const urlParts = audioUrl.split('.');
-    const extension = urlParts[urlParts.length - 1]?.toLowerCase();
-    if (['mp3', 'mpeg'].includes(extension)) {
-      mediaFormat = 'mp3';
-    } else if (['mp4', 'm4a', 'aac'].includes(extension)) {
-      mediaFormat = 'mp4';
-    } else if (['wav'].includes(extension)) {
-      mediaFormat = 'wav';
-    } else if (['webm'].includes(extension)) {
-      mediaFormat = 'webm';
-    } else if (['ogg'].includes(extension)) {
-      mediaFormat = 'ogg';
-    } else if (['flac'].includes(extension)) {
-      mediaFormat = 'flac';
-    }
-  }
-  
-  console.log(`[TRANSCRIBE] Starting transcription job: ${jobName}`);
-  console.log(`[TRANSCRIBE] Audio URL: ${audioUrl}`);
-  console.log(`[TRANSCRIBE] Media format: ${mediaFormat}`);
-  
-  const transcriptionConfig = {
-    TranscriptionJobName: jobName,
-    LanguageCode: 'es-AR', // Español argentino
-    MediaFormat: mediaFormat,
-    Media: { MediaFileUri: audioUrl },
-    Settings: {
-      ShowSpeakerLabels: false,
-      ShowAlternatives: false,
-      MaxAlternatives: 1
-    }
-  };
-  
-  console.log(`[TRANSCRIBE] Transcription config:`, JSON.stringify(transcriptionConfig, null, 2));
-  
-  await transcribe.send(new StartTranscriptionJobCommand(transcriptionConfig));
-  
-  return jobName;
-};
-
-const getTranscriptionResult = async (jobName) => {
-  console.log(`[TRANSCRIBE] Waiting for transcription job: ${jobName}`);
-  
-  for (let i = 0; i < 30; i++) {
-    await wait(2000);
-    
-    try {
-      const result = await transcribe.send(new GetTranscriptionJobCommand({
-        TranscriptionJobName: jobName
-      }));
-      
-      const status = result.TranscriptionJob.TranscriptionJobStatus;
-      
-      // Log every 5 attempts to avoid spam
-      if (i % 5 === 0 || status !== 'IN_PROGRESS') {
-        console.log(`[TRANSCRIBE] Job status (${i + 1}/30): ${status}`);
-      }
-      
-      if (status === 'COMPLETED') {
-        const transcriptUri = result.TranscriptionJob.Transcript?.TranscriptFileUri;
-        if (!transcriptUri) {
-          console.error('[TRANSCRIBE] No transcript URI found in completed job');
-          // Clean up the job
-          try {
-            await transcribe.send(new DeleteTranscriptionJobCommand({
-              TranscriptionJobName: jobName
-            }));
-          } catch (cleanupError) {
-            console.warn('[TRANSCRIBE] Error cleaning up failed job:', cleanupError.message);
-          }
-          return '';
-        }
-        
-        console.log(`[TRANSCRIBE] Downloading transcript from: ${transcriptUri}`);
-        const response = await fetch(transcriptUri);
-        
-        if (!response.ok) {
-          console.error(`[TRANSCRIBE] Failed to download transcript: ${response.status}`);
-          return '';
-        }
-        
-        const data = await response.json();
-        const transcript = data.results?.transcripts?.[0]?.transcript || '';
-        
-        // Clean up the job after successful processing
-        try {
-          await transcribe.send(new DeleteTranscriptionJobCommand({
-            TranscriptionJobName: jobName
-          }));
-          console.log(`[TRANSCRIBE] Job cleaned up: ${jobName}`);
-        } catch (cleanupError) {
-          console.warn('[TRANSCRIBE] Error cleaning up successful job:', cleanupError.message);
-        }
-        
-        console.log(`[TRANSCRIBE] ✅ Transcription completed: "${transcript}"`);
-        return transcript;
-      }
-      
-      if (status === 'FAILED') {
-        const failureReason = result.TranscriptionJob?.FailureReason || 'Unknown reason';
-        console.error(`[TRANSCRIBE] ❌ Transcription failed: ${failureReason}`);
-        console.error(`[TRANSCRIBE] Full job details:`, JSON.stringify(result.TranscriptionJob, null, 2));
-        
-        // Clean up the failed job
-        try {
-          await transcribe.send(new DeleteTranscriptionJobCommand({
-            TranscriptionJobName: jobName
-          }));
-        } catch (cleanupError) {
-          console.warn('[TRANSCRIBE] Error cleaning up failed job:', cleanupError.message);
-        }
-        
-        throw new Error(`Transcription failed: ${failureReason}`);
-      }
-    } catch (error) {
-      console.error(`[TRANSCRIBE] Error checking job status (attempt ${i + 1}):`, error);
-      console.error(`[TRANSCRIBE] Error name: ${error.name}`);
-      console.error(`[TRANSCRIBE] Error message: ${error.message}`);
-      
-      // If it's a permission error, fail immediately
-      if (error.name === 'AccessDenied' || error.name === 'UnauthorizedOperation') {
-        console.error('[TRANSCRIBE] Permission error, aborting transcription');
-        throw error;
-      }
-      
-      // Continue trying unless it's the last attempt
-      if (i === 29) {
-        throw error;
-      }
-    }
-  }
-  
-  console.error('[TRANSCRIBE] ❌ Transcription timeout after 30 attempts');
-  // Clean up the timed out job
-  try {
-    await transcribe.send(new DeleteTranscriptionJobCommand({
-      TranscriptionJobName: jobName
-    }));
-  } catch (cleanupError) {
-    console.warn('[TRANSCRIBE] Error cleaning up timed out job:', cleanupError.message);
-  }
-  
-  throw new Error('Transcription timeout');
-};
-
+// -> { text, record } (record: confianza para el historial, ver transcriber.mjs)
+//  | { rejected } (prepareAudio lo rechazó, ver audio.mjs) | null
 const transcribeAudio = async (media, userId) => {
-  let jobName = null;
-  
   try {
     console.log('[AUDIO] Processing audio...');
     console.log('[AUDIO] Media object:', JSON.stringify(media, null, 2));
@@ -525,21 +153,12 @@ const transcribeAudio = async (media, userId) => {
     let buffer;
     let contentType = media.contentType || 'audio/ogg';
     
-    if (media.isWhatsAppMedia && media.id) {
-      // WhatsApp API format - need to get URL first
-      console.log(`[AUDIO] Fetching WhatsApp media URL for ID: ${media.id}`);
-      const meta = await fetch(`https://graph.facebook.com/v18.0/${media.id}`, {
-        headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}` }
-      });
-      
-      if (!meta.ok) {
-        const errorText = await meta.text().catch(() => 'Unknown error');
-        throw new Error(`Failed to get WhatsApp media metadata: ${meta.status} ${meta.statusText} - ${errorText}`);
-      }
-      
-      const metaData = await meta.json();
-      console.log(`[AUDIO] Got WhatsApp media URL: ${metaData.url}`);
-      buffer = await downloadMedia(metaData.url, true); // Use WhatsApp auth
+    if (media.id) {
+      // WhatsApp API format - resolve the media id through the Graph API
+      console.log(`[AUDIO] Fetching WhatsApp media for ID: ${media.id}`);
+      const downloaded = await downloadMetaMedia(media.id);
+      buffer = downloaded.buffer;
+      contentType = downloaded.contentType || contentType;
     } else if (media.url) {
       // Direct URL (could be Twilio or WhatsApp format)
       // Check if Twilio credentials are available
@@ -557,20 +176,21 @@ const transcribeAudio = async (media, userId) => {
       throw new Error('Downloaded audio buffer is empty');
     }
     
-    console.log(`[AUDIO] Uploading to S3 with content type: ${contentType}`);
-    const s3Url = await uploadToS3(buffer, contentType, userId);
-    console.log(`[AUDIO] Uploaded to S3: ${s3Url}`);
+    // Real container, size/duration limits and transcoding (see audio.mjs)
+    const audio = await prepareAudio(buffer, contentType);
+    if (!audio.ok) {
+      return { rejected: audio };
+    }
     
-    console.log('[AUDIO] Starting transcription job...');
-    jobName = await startTranscription(s3Url);
-    console.log(`[AUDIO] Transcription job started: ${jobName}`);
+    console.log(`[AUDIO] Uploading to S3 with content type: ${audio.contentType}`);
+    const stored = await putMedia(audio.buffer, audio.contentType, userId, audio.ext);
     
-    console.log('[AUDIO] Waiting for transcription result...');
-    const text = await getTranscriptionResult(jobName);
+    // Shared transcription service (Amazon Transcribe / local engine / fake, see transcriber.mjs)
+    const result = await getTranscriber().transcribe({ buffer: audio.buffer, contentType: audio.contentType, s3Url: stored.url });
     
-    if (text && text.trim()) {
-      console.log(`[AUDIO] ✅ Transcription successful: "${text}"`);
-      return text.trim();
+    if (result) {
+      console.log(`[AUDIO] ✅ Transcription successful (${result.provider}): "${result.text}"`);
+      return { text: result.text, record: transcriptionRecord(stored.key, result) };
     } else {
       console.warn('[AUDIO] ⚠️ Transcription completed but result is empty');
       return null;
@@ -581,19 +201,6 @@ const transcribeAudio = async (media, userId) => {
     console.error('[AUDIO] Error type:', error.name);
     console.error('[AUDIO] Error message:', error.message);
     console.error('[AUDIO] Error stack:', error.stack);
-    
-    // Clean up any orphaned transcription job
-    if (jobName) {
-      try {
-        console.log(`[AUDIO] Cleaning up failed transcription job: ${jobName}`);
-        await transcribe.send(new DeleteTranscriptionJobCommand({
-          TranscriptionJobName: jobName
-        }));
-      } catch (cleanupError) {
-        console.warn('[AUDIO] Error cleaning up failed job:', cleanupError.message);
-      }
-    }
-    
     return null;
   }
 };
@@ -672,7 +279,10 @@ const sendMessages = async (phone, messages, useTwilio) => {
 const callBackend = async (payload) => {
   const response = await fetch('https://main.d3n2gm0ekhq89e.amplifyapp.com/api/chat', {
     method: 'POST',
-    headers: { "Content-Type": "application/json" },
+    headers: {
+      "Content-Type": "application/json",
+      ...(BACKEND_API_TOKEN && { "Authorization": `Bearer ${BACKEND_API_TOKEN}` })
+    },
     body: JSON.stringify(payload),
     signal: AbortSignal.timeout(15000)
   });
@@ -696,21 +306,6 @@ const extractReplyText = (response) => {
   return textMessages.length > 0 ? textMessages.join('\n\n') : null;
 };
 
-// ==========================================
-// MEMORY FUNCTIONS
-// ==========================================
-
-const getHistory = (userId) => {
-  return memory[userId] || [];
-};
-
-const addToHistory = (userId, message) => {
-  if (!memory[userId]) {
-    memory[userId] = [];
-  }
-  memory[userId].push(message);
-};
-
 // ==========================================
 // MAIN HANDLER
 // ==========================================
@@ -753,192 +348,189 @@ export const handler = async (event) => {
     }
   }
   
+  // 1. Parse the webhook (shared normalization in inboundMessage.mjs)
+  const request = parseInboundEvent(event);
+  
+  // Authenticate the POST before interpreting or sending anything
+  const auth = authenticateWebhook(event, request);
+  if (!auth.ok) {
+    console.warn(`[AUTH] ❌ Webhook rejected (${auth.provider}): ${auth.reason}`);
+    emitMetric('WebhookSignatureRejected', 1, { Function: 'WhatsAppAdapter', Provider: auth.provider });
+    return {
+      statusCode: 401,
+      body: 'Unauthorized'
+    };
+  }
+  
+  let inbound = null;
+  
   try {
-    // 1. Parse form
-    const form = parseBody(event);
-    console.log('[PARSE] Form keys:', Object.keys(form));
-    console.log('[PARSE] Form data preview:', JSON.stringify(form, null, 2).substring(0, 1000));
+    inbound = toInboundMessage(request);
+    
+    if (!inbound) {
+      // Delivery/read receipts and Twilio status callbacks
+      return { statusCode: 200, body: 'IGNORED' };
+    }
+    
+    console.log('[PARSE] Inbound message:', JSON.stringify(inbound, null, 2).substring(0, 1000));
+    
+    // Meta/Twilio retry webhooks: claim the message id before any download, Transcribe job or send
+    if (!(await getIdempotency().claim('adapter', inbound.messageId)).claimed) {
+      console.log(`[DEDUP] Duplicate message ignored: ${inbound.messageId}`);
+      return { statusCode: 200, body: 'DUPLICATE_IGNORED' };
+    }
     
     // 2. Extract basic info
-    const phone = extractPhone(form, event);
-    const userId = phone ? `wa:${normalizePhone(phone)}` : 'anon';
-    const useTwilio = isTwilioMessage(form);
+    const phone = inbound.from;
+    const userId = inbound.userId;
+    const useTwilio = inbound.channel === 'twilio';
     
     if (!phone) {
       console.error('No phone found');
-      console.error('Form keys:', Object.keys(form));
-      console.error('Form values:', Object.values(form));
-      console.error('Event body preview:', event.body?.substring(0, 200));
+      console.error('Channel:', inbound.channel);
+      console.error('Event body preview:', request.rawBody?.substring(0, 200));
       return { statusCode: 400, body: 'No phone number' };
     }
     
     console.log(`Message from: ${phone} (${useTwilio ? 'Twilio' : 'Meta'})`);
     
     // 3. Get message content
-    let messageText = extractMessage(form);
-    const media = extractMediaUrl(form);
+    let messageText = inbound.text || null;
+    const media = inbound.media.find(m => isAudio(m.contentType)) || null;
     
     console.log('[DEBUG] Message extraction results:');
     console.log('[DEBUG] messageText:', messageText);
-    console.log('[DEBUG] media:', JSON.stringify(media, null, 2));
-    console.log('[DEBUG] media contentType:', media?.contentType);
-    console.log('[DEBUG] isAudio check:', media && isAudio(media.contentType));
-    
-    // AUDIO DEBUGGING: Log detailed audio information
-    if (form.MessageType === 'audio' || form.NumMedia > 0) {
-      console.log('[AUDIO_DEBUG] ===========================================');
-      console.log('[AUDIO_DEBUG] Audio message detected!');
-      console.log('[AUDIO_DEBUG] MessageType:', form.MessageType);
-      console.log('[AUDIO_DEBUG] NumMedia:', form.NumMedia);
-      console.log('[AUDIO_DEBUG] MediaContentType0:', form.MediaContentType0);
-      console.log('[AUDIO_DEBUG] MediaUrl0:', form.MediaUrl0);
-      console.log('[AUDIO_DEBUG] Body:', form.Body);
-      console.log('[AUDIO_DEBUG] From:', form.From);
-      console.log('[AUDIO_DEBUG] To:', form.To);
-      console.log('[AUDIO_DEBUG] ===========================================');
-      
-      if (media) {
-        console.log('[AUDIO_DEBUG] Media object created:');
-        console.log('[AUDIO_DEBUG] - URL:', media.url);
-        console.log('[AUDIO_DEBUG] - Content Type:', media.contentType);
-        console.log('[AUDIO_DEBUG] - Is Audio?:', isAudio(media.contentType));
-      } else {
-        console.log('[AUDIO_DEBUG] ❌ No media object was created!');
+    console.log('[DEBUG] media:', JSON.stringify(inbound.media, null, 2));
+    console.log('[DEBUG] audio media:', JSON.stringify(media, null, 2));
+    
+    // 3b. Photos/documents go to S3 and are forwarded as references; location and contacts as text + structure
+    const hasTwilioCredentials = !!(TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN);
+    const files = [];
+    const transcriptions = [];
+    for (const m of inbound.media.filter(m => !isAudio(m.contentType))) {
+      try {
+        const downloaded = m.id
+          ? await downloadMetaMedia(m.id)
+          : { buffer: await downloadMedia(m.url, !hasTwilioCredentials), contentType: m.contentType };
+        const mime = downloaded.contentType || m.contentType;
+        files.push(await putMedia(downloaded.buffer, mime, userId, extensionFor(mime)));
+      } catch (error) {
+        console.error(`[MEDIA] ❌ Could not store ${m.kind} media:`, error.message);
       }
     }
     
+    const structured = [describeLocation(inbound.location), describeContacts(inbound.contacts)].filter(Boolean).join('\n');
+    if (structured) {
+      messageText = [messageText, structured].filter(Boolean).join('\n');
+    }
+    
     // 4. Handle audio
-    if (media && isAudio(media.contentType)) {
-      console.log('[AUDIO_FLOW] ===========================================');
-      console.log('[AUDIO_FLOW] Starting audio processing...');
-      console.log('[AUDIO_FLOW] Media URL:', media.url);
-      console.log('[AUDIO_FLOW] Content Type:', media.contentType);
-      
-      // Check if this is a Twilio audio without credentials
-      const hasTwilioAuth = !!(TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN);
-      const isTwilioAudio = media.url && media.url.includes('api.twilio.com');
-      
-      console.log('[AUDIO_FLOW] Has Twilio Auth:', hasTwilioAuth);
-      console.log('[AUDIO_FLOW] TWILIO_ACCOUNT_SID exists:', !!TWILIO_ACCOUNT_SID);
-      console.log('[AUDIO_FLOW] TWILIO_AUTH_TOKEN exists:', !!TWILIO_AUTH_TOKEN);
-      console.log('[AUDIO_FLOW] TWILIO_ACCOUNT_SID value:', TWILIO_ACCOUNT_SID ? 'SET' : 'NOT_SET');
-      console.log('[AUDIO_FLOW] TWILIO_AUTH_TOKEN value:', TWILIO_AUTH_TOKEN ? 'SET' : 'NOT_SET');
-      console.log('[AUDIO_FLOW] Is Twilio Audio:', isTwilioAudio);
-      console.log('[AUDIO_FLOW] Media URL:', media.url);
-      console.log('[AUDIO_FLOW] ===========================================');
-      
-      // FORCE LOCAL PROCESSING FOR TESTING - uncomment the next line to force local processing
-      const forceLocalProcessing = true;
-      // const forceLocalProcessing = false;
-      
-      if (forceLocalProcessing) {
-        console.log('[AUDIO] 🧪 FORCING LOCAL PROCESSING FOR TESTING');
-        console.log('[AUDIO] Processing audio locally (forced)...');
-        console.log('[AUDIO] Starting local transcription process...');
-        const transcribed = await transcribeAudio(media, userId);
-        console.log('[AUDIO] Local transcription result:', transcribed);
-        messageText = transcribed || 'No pude entender el audio';
-        console.log('[AUDIO] Final message text:', messageText);
-      } else if (!hasTwilioAuth && isTwilioAudio) {
-        console.log('[AUDIO] Twilio audio detected without credentials, forwarding to main backend');
-        
-        // Forward to main backend for processing
-        const payload = {
-          input: { type: "text", text: "[AUDIO_MESSAGE_TO_TRANSCRIBE]" },
-          userId: userId,
-          mediaInfo: {
-            medias: [{
-              url: media.url,
-              contentType: media.contentType
-            }]
-          }
-        };
-        
-        try {
-          const backendResponse = await callBackend(payload);
-          
-          // Extract the transcribed text from the backend response
-          if (backendResponse && typeof backendResponse === 'object') {
-            // The backend should return the transcribed text in the reply
-            const replyText = extractReplyText(backendResponse);
-            if (replyText && !replyText.includes('problema técnico')) {
-              messageText = replyText;
-              console.log('[AUDIO] ✅ Audio processed successfully by main backend');
-              
-              // Send the response directly and return
-              const messageParts = splitMessage(replyText);
-              await sendMessages(phone, messageParts, useTwilio);
-              console.log(`Sent ${messageParts.length} messages to ${phone} (audio processed by backend)`);
-              
-              return {
-                statusCode: 200,
-                body: replyText
-              };
-            }
-          }
-          
-          console.warn('[AUDIO] Backend did not return valid transcription');
-          messageText = 'No pude procesar el audio correctamente';
-        } catch (error) {
-          console.error('[AUDIO] Error forwarding to backend:', error);
-          messageText = 'Hubo un problema técnico procesando tu audio';
+    let audioForwarded = false;
+    let rejectedAudio = null;
+    if (media && isAudio(media.contentType) && TRANSCRIBE_MODE === 'async') {
+      // The backend starts the Transcribe job, answers "estoy escuchando tu audio" and sends
+      // the real reply over WhatsApp when the job finishes (see pendingTranscription.mjs)
+      try {
+        const downloaded = media.id
+          ? await downloadMetaMedia(media.id)
+          : { buffer: await downloadMedia(media.url, !hasTwilioCredentials), contentType: media.contentType };
+        const audio = await prepareAudio(downloaded.buffer, downloaded.contentType || media.contentType);
+        if (audio.ok) {
+          files.push(await putMedia(audio.buffer, audio.contentType, userId, audio.ext));
+          audioForwarded = true;
+          console.log('[AUDIO] Audio stored, transcription left to the backend');
+        } else {
+          rejectedAudio = audio;
         }
-      } else {
-        // Process audio locally
-        console.log('[AUDIO] Processing audio locally with credentials');
-        console.log('[AUDIO] Starting local transcription process...');
-        const transcribed = await transcribeAudio(media, userId);
-        console.log('[AUDIO] Local transcription result:', transcribed);
-        messageText = transcribed || 'No pude entender el audio';
-        console.log('[AUDIO] Final message text:', messageText);
+      } catch (error) {
+        console.error('[AUDIO] ❌ Could not store audio:', error.message);
+        messageText = 'Hubo un problema técnico procesando tu audio';
       }
+    } else if (media && isAudio(media.contentType)) {
+      // sync: the adapter waits for the transcription itself (same transcriber.mjs as the backend)
+      const transcribed = await transcribeAudio(media, userId);
+      if (transcribed?.rejected) rejectedAudio = transcribed.rejected;
+      messageText = transcribed?.text || 'No pude entender el audio';
+      if (transcribed?.record) transcriptions.push(transcribed.record);
+      console.log(`[AUDIO] Transcribed in the adapter: ${messageText.length} characters`);
     }
     
-    if (!messageText) {
+    // Too long, too large or corrupt: tell the tenant right away, without calling the backend
+    if (rejectedAudio) {
+      await sendMessage(phone, rejectedAudio.message, useTwilio);
+      await getIdempotency().complete('adapter', inbound.messageId);
+      return { statusCode: 200, body: 'AUDIO_REJECTED' };
+    }
+    
+    if (!messageText && !audioForwarded) {
       messageText = 'mensaje vacío';
     }
     
     console.log('Message text:', messageText);
     
-    // 5. Get conversation history
-    const history = getHistory(userId);
+    // 4b. Emergencias: el mensaje de seguridad sale ya, sin esperar al backend ni al modelo.
+    // El backend marca el caso como urgente y escala; emergencyNotified evita que lo repita.
+    const emergencia = detectEmergency(messageText);
+    if (emergencia) {
+      console.warn(`[EMERGENCY] 🚨 ${emergencia.type}:`, emergencia.matches);
+      await sendMessage(phone, SAFETY_MESSAGES[emergencia.type], useTwilio);
+    }
     
-    // 6. Add user message to history
+    // 5. User message for this turn (the backend loads the history itself, under the same userId)
     const userMessage = {
+      id: crypto.randomUUID(),
       role: "user",
-      content: [{ type: "text", text: messageText }]
+      content: [{ type: "text", text: messageText }],
+      ...(inbound.messageId && { messageId: inbound.messageId }),
+      ...(transcriptions.length && { transcriptions })
     };
-    addToHistory(userId, userMessage);
     
-    // 7. Call backend
+    // 6. Call backend
     const payload = {
       input: { type: "text", text: messageText },
-      history: getHistory(userId),
       phone,
-      userId
+      userId,
+      replyChannel: useTwilio ? 'twilio' : 'meta',
+      ...(inbound.messageId && { messageId: inbound.messageId }),
+      ...(files.length && { mediaInfo: { files } }),
+      ...(transcriptions.length && { transcriptions }),
+      ...(inbound.location && { location: inbound.location }),
+      ...(inbound.contacts.length && { contacts: inbound.contacts }),
+      ...(emergencia && { emergencyNotified: true })
     };
     
     const backendResponse = await callBackend(payload);
     
-    // 8. Extract reply
+    // 7. Extract reply
     const replyText = extractReplyText(backendResponse);
     
+    // Modo humano: el backend guardó el mensaje y le responde un operador
+    if (!replyText && backendResponse.handoff) {
+      console.log(`[HANDOFF] ${userId} está con un operador, no se responde`);
+      await getIdempotency().complete('adapter', inbound.messageId);
+      return { statusCode: 200, body: 'HANDOFF' };
+    }
+    
     if (!replyText) {
       throw new Error('No valid response from backend');
     }
     
-    // 9. Add assistant response to history
-    const assistantMessage = {
-      role: "assistant",
-      content: [{ type: "text", text: replyText }]
-    };
-    addToHistory(userId, assistantMessage);
+    // 8. Save the turn, unless the backend already did (index.mjs answers historySaved)
+    if (!backendResponse.historySaved && !Array.isArray(backendResponse.history)) {
+      const assistantMessage = {
+        id: crypto.randomUUID(),
+        role: "assistant",
+        content: [{ type: "text", text: replyText }]
+      };
+      await appendTurn(getConversationStore(), userId, [userMessage, assistantMessage]);
+    }
     
-    // 10. Split and send messages
+    // 9. Split and send messages
     const messageParts = splitMessage(replyText);
     await sendMessages(phone, messageParts, useTwilio);
     
     console.log(`Sent ${messageParts.length} messages to ${phone}`);
+    await getIdempotency().complete('adapter', inbound.messageId);
     
     return {
       statusCode: 200,
@@ -948,13 +540,14 @@ export const handler = async (event) => {
   } catch (error) {
     console.error('Handler error:', error);
     
-    // Try to send error message to user
-    const form = parseBody(event);
-    const phone = extractPhone(form, event);
+    // Let the provider's retry process the message again
+    if (inbound?.messageId) {
+      await getIdempotency().release('adapter', inbound.messageId).catch(e => console.error('[DEDUP] Release failed:', e.message));
+    }
     
-    if (phone) {
-      const useTwilio = isTwilioMessage(form);
-      await sendMessage(phone, "Disculpa, tuve un problema técnico. ¿Podrías intentar de nuevo?", useTwilio);
+    // Try to send error message to user
+    if (inbound?.from) {
+      await sendMessage(inbound.from, "Disculpa, tuve un problema técnico. ¿Podrías intentar de nuevo?", inbound.channel === 'twilio');
     }
     
     return {
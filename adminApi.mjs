@@ -0,0 +1,221 @@
+// adminApi.mjs
+// API de administración para el equipo de operaciones (rutas /admin/* del Lambda principal).
+// Todas piden Authorization: Bearer ADMIN_API_TOKEN y responden JSON:
+//
+//   GET  /admin/conversations?limit=&cursor=       conversaciones con última actividad y canal
+//   GET  /admin/conversations/<userId>?limit=      transcripción completa con links a las fotos,
+//                                                  datos que faltan del caso y pedidos registrados
+//   GET  /admin/search?phone=...  |  ?address=...  busca por teléfono o por dirección del caso
+//   POST /admin/conversations/<userId>/reset       borra el historial y el estado del caso
+//   POST /admin/conversations/<userId>/resend      vuelve a mandar la última respuesta del asistente
+//
+// <userId> va con encodeURIComponent (wa%3A5491122334455, web%3A...). Todo sale de lo que ya
+// guarda el bot: el ConversationStore, state/ y transcripts/ en HISTORY_BUCKET.
+import { S3Client, GetObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import crypto from "crypto";
+import { verifyBearerToken } from "./webhookAuth.mjs";
+import { readBodyText } from "./inboundMessage.mjs";
+import { getConversationStore, appendTurn } from "./conversationStore.mjs";
+import { loadCaseState, deleteCaseState, missingFields } from "./caseState.mjs";
+import { loadHandoff, releaseHandoff } from "./handoff.mjs";
+import { sendMessages } from "./outbound.mjs";
+import { normalizeText } from "./emergency.mjs";
+
+const REGION = process.env.AWS_REGION || "us-west-2";
+const HISTORY_BUCKET = process.env.HISTORY_BUCKET || "toori-chat-history";
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+// Vigencia de los links firmados a fotos y audios
+const ADMIN_MEDIA_URL_TTL = parseInt(process.env.ADMIN_MEDIA_URL_TTL || "900", 10);
+// Máximo de conversaciones que recorre una búsqueda
+const ADMIN_SEARCH_MAX_SCAN = parseInt(process.env.ADMIN_SEARCH_MAX_SCAN || "1000", 10);
+
+const s3 = new S3Client({ region: REGION });
+
+const json = (statusCode, body) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify(body)
+});
+
+// wa:<número> (WhatsApp, por webhook o por WhatsAppAdapter) o web:<id>. web:wa:<número> es
+// como guardaba WhatsAppAdapter antes de compartir la clave.
+export const describeUserId = (userId) => {
+  const wa = userId.match(/^(web:)?wa:(\d+)$/);
+  if (wa) return { channel: "whatsapp", phone: `+${wa[2]}` };
+  return { channel: userId.startsWith("web:") ? "web" : "unknown", phone: null };
+};
+
+// Proveedor de WhatsApp según el id del último mensaje del usuario: MessageSid de Twilio
+// (SM... / MM...) o wamid de Meta
+const providerFor = (history) => {
+  const messageId = [...history].reverse().find(m => m.role === "user" && m.messageId)?.messageId || "";
+  if (/^(SM|MM)[0-9a-f]{32}$/i.test(messageId)) return "twilio";
+  if (messageId.startsWith("wamid.")) return "meta";
+  return null;
+};
+
+const messageText = (m) => (m.content || []).filter(c => c.type === "text").map(c => c.text).join("\n\n");
+
+const signFiles = (files) => Promise.all(files.map(async (f) => (f.bucket && f.key)
+  ? { ...f, link: await getSignedUrl(s3, new GetObjectCommand({ Bucket: f.bucket, Key: f.key }), { expiresIn: ADMIN_MEDIA_URL_TTL }) }
+  : f));
+
+const withMediaLinks = (entries) => Promise.all(entries.map(async (m) =>
+  m.media?.length ? { ...m, media: await signFiles(m.media) } : m));
+
+// Pedidos (registrar_pedido) que quedaron en las respuestas del asistente, con sus fotos
+const ticketsFrom = (entries) => Promise.all(entries.filter(m => m.role === "assistant" && m.pedido).map(async ({ id, pedido }) => ({
+  messageId: id || null,
+  at: pedido.at,
+  registrado: pedido.registrado,
+  ...(pedido.error && { error: pedido.error }),
+  resumen: { ...pedido.resumen, ...(pedido.resumen?.imagenes && { imagenes: await signFiles(pedido.resumen.imagenes) }) }
+})));
+
+// Entradas de transcripts/<userId>/ (los últimos `limit` turnos), en orden
+const loadTranscript = async (userId, { limit = 200 } = {}) => {
+  const prefix = `transcripts/${encodeURIComponent(userId)}/`;
+  const keys = [];
+  let token = null;
+  do {
+    const res = await s3.send(new ListObjectsV2Command({
+      Bucket: HISTORY_BUCKET,
+      Prefix: prefix,
+      ...(token && { ContinuationToken: token })
+    }));
+    keys.push(...(res.Contents || []).map(o => o.Key));
+    token = res.IsTruncated ? res.NextContinuationToken : null;
+  } while (token);
+
+  const turns = await Promise.all(keys.sort().slice(-limit).map(async (key) => {
+    const res = await s3.send(new GetObjectCommand({ Bucket: HISTORY_BUCKET, Key: key }));
+    return JSON.parse(await res.Body.transformToString());
+  }));
+  return turns.flatMap(t => t.entries || []);
+};
+
+const listConversations = async (query) => {
+  const limit = Math.min(parseInt(query.limit || "50", 10) || 50, 200);
+  const { items, cursor } = await getConversationStore().list({ limit, cursor: query.cursor });
+  const conversations = items
+    .map(i => ({ userId: i.userId, ...describeUserId(i.userId), lastActivity: i.updatedAt }))
+    .sort((a, b) => (b.lastActivity || "").localeCompare(a.lastActivity || ""));
+  return json(200, { conversations, cursor });
+};
+
+// La transcripción completa sale de transcripts/ (el historial vivo se recorta o se resume);
+// las conversaciones de antes de los transcripts muestran el historial
+const getConversation = async (userId, query) => {
+  const [{ history }, caseState, handoff, transcript] = await Promise.all([
+    getConversationStore().load(userId),
+    loadCaseState(userId),
+    loadHandoff(userId),
+    loadTranscript(userId, { limit: parseInt(query.limit || "200", 10) || 200 })
+  ]);
+  if (!history.length && !transcript.length) return json(404, { error: "Conversación no encontrada" });
+
+  const entries = transcript.length ? transcript : history;
+  return json(200, {
+    userId,
+    ...describeUserId(userId),
+    caseState,
+    missingFields: missingFields(caseState),
+    handoff,
+    source: transcript.length ? "transcript" : "history",
+    messages: await withMediaLinks(entries),
+    tickets: await ticketsFrom(entries)
+  });
+};
+
+const searchConversations = async (query) => {
+  const phone = (query.phone || "").replace(/\D/g, "");
+  const address = normalizeText(query.address || "").trim();
+  if (!phone && !address) return json(400, { error: "Falta phone o address" });
+
+  const store = getConversationStore();
+  const results = [];
+  let cursor = null;
+  let scanned = 0;
+  do {
+    const page = await store.list({ limit: 100, cursor });
+    const candidates = page.items
+      .map(i => ({ userId: i.userId, ...describeUserId(i.userId), lastActivity: i.updatedAt }))
+      .filter(c => !phone || (c.phone || "").includes(phone));
+
+    if (address) {
+      // La dirección vive en el estado del caso (la dijo el usuario o vino de una ubicación)
+      const states = await Promise.all(candidates.map(c => loadCaseState(c.userId)));
+      candidates.forEach((c, i) => {
+        const direccion = states[i].fields.direccion?.value;
+        if (direccion && normalizeText(direccion).includes(address)) results.push({ ...c, direccion });
+      });
+    } else {
+      results.push(...candidates);
+    }
+
+    scanned += page.items.length;
+    cursor = page.cursor;
+  } while (cursor && scanned < ADMIN_SEARCH_MAX_SCAN);
+
+  return json(200, { results, scanned, complete: !cursor });
+};
+
+// Deja la conversación como nueva. Las transcripciones (auditoría) no se borran.
+const resetConversation = async (userId, body) => {
+  const by = body.operator || "admin";
+  await getConversationStore().delete(userId);
+  await deleteCaseState(userId);
+  const released = await releaseHandoff(userId, { by });
+  console.warn(`[ADMIN] Conversación de ${userId} reiniciada por ${by}`);
+  return json(200, { status: "RESET", userId, handoffReleased: !!released });
+};
+
+const resendLastReply = async (userId, body) => {
+  const store = getConversationStore();
+  const { history } = await store.load(userId);
+  const last = [...history].reverse().find(m => m.role === "assistant");
+  if (!last) return json(404, { error: "No hay respuestas del asistente para reenviar" });
+
+  const { phone } = describeUserId(userId);
+  const handoff = await loadHandoff(userId);
+  const channel = body.channel || providerFor(history) || handoff?.channel;
+  if (!phone || (channel !== "meta" && channel !== "twilio")) {
+    return json(409, { error: "La conversación no es de WhatsApp o no se sabe por qué canal mandarla" });
+  }
+
+  const by = body.operator || "admin";
+  const ok = await sendMessages(channel, phone, [messageText(last)]);
+  console.log(`[ADMIN] Reenvío de la última respuesta a ${userId} por ${channel} (${by}):`, ok ? "OK" : "FALLÓ");
+  await appendTurn(store, userId, [{
+    id: crypto.randomUUID(), role: "event", type: "resend", of: last.id || null, by, ok, at: new Date().toISOString()
+  }]);
+  return json(ok ? 200 : 502, { status: ok ? "SENT" : "FAILED", channel, of: last.id || null });
+};
+
+export const handleAdminRequest = async (event) => {
+  const auth = verifyBearerToken(event, { tokens: [ADMIN_API_TOKEN] });
+  if (!auth.ok) return json(401, { error: "Unauthorized" });
+
+  const method = (event.requestContext?.http?.method || event.httpMethod || "GET").toUpperCase();
+  const path = (event.rawPath || event.path || "").replace(/\/+$/, "");
+  const query = event.queryStringParameters || {};
+
+  if (method === "GET" && /\/admin\/conversations$/.test(path)) return listConversations(query);
+  if (method === "GET" && /\/admin\/search$/.test(path)) return searchConversations(query);
+
+  const route = path.match(/\/admin\/conversations\/([^/]+)(?:\/(reset|resend))?$/);
+  if (!route) return json(404, { error: "Ruta no encontrada" });
+  const userId = decodeURIComponent(route[1]);
+
+  if (method === "GET" && !route[2]) return getConversation(userId, query);
+  if (method !== "POST" || !route[2]) return json(405, { error: "Método no permitido" });
+
+  let body;
+  try {
+    body = JSON.parse(readBodyText(event) || "{}");
+  } catch {
+    return json(400, { error: "JSON inválido" });
+  }
+  return route[2] === "reset" ? resetConversation(userId, body) : resendLastReply(userId, body);
+};
@@ -0,0 +1,192 @@
+// audio.mjs
+// Preparación de audios antes de guardarlos y transcribirlos, compartida por ambas Lambdas.
+// El MIME que mandan Twilio/Meta no es confiable ("audio/ogg; codecs=opus", "audio/amr",
+// "audio/mpeg" con cualquier extensión) y un MediaFormat equivocado hace fallar el trabajo
+// de Transcribe. prepareAudio:
+//
+//   1. reconoce el contenedor real por los primeros bytes (magic bytes);
+//   2. valida tamaño (AUDIO_MAX_MB) y duración (AUDIO_MAX_SECONDS);
+//   3. convierte a FLAC mono 16 kHz lo que Transcribe no lee bien (AMR, 3GP, AAC suelto,
+//      Opus en WebM, Vorbis) con el ffmpeg estático del layer (AUDIO_FFMPEG).
+//
+//   prepareAudio(buffer, contentType) ->
+//     { ok: true, buffer, contentType, ext, format, durationSec, transcoded }
+//     { ok: false, reason: "too_large" | "too_long" | "corrupt" | "unsupported", message }  (message es para el inquilino)
+//
+// Sin ffmpeg (desarrollo local, o el layer sin adjuntar) se valida lo que se puede leer sin él
+// (OGG, WAV), MP3/M4A/FLAC pasan sin medir la duración y lo que hay que convertir se rechaza
+// como "unsupported": guardarlo tal cual solo haría fallar el trabajo de Transcribe.
+import { execFile } from "child_process";
+import { mkdtemp, writeFile, readFile, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import { emitMetric } from "./metrics.mjs";
+import { extensionFor } from "./media.mjs";
+
+const AUDIO_FFMPEG = process.env.AUDIO_FFMPEG || "/opt/bin/ffmpeg";
+const AUDIO_MAX_MB = parseFloat(process.env.AUDIO_MAX_MB || "16");
+const AUDIO_MAX_SECONDS = parseInt(process.env.AUDIO_MAX_SECONDS || "300", 10);
+const AUDIO_FFMPEG_TIMEOUT_SEC = parseInt(process.env.AUDIO_FFMPEG_TIMEOUT_SEC || "30", 10);
+
+const minutes = Math.round(AUDIO_MAX_SECONDS / 60);
+
+export const AUDIO_REJECTED_MESSAGES = {
+  too_large: "Tu audio es muy pesado y no lo puedo abrir. ¿Me mandás uno más corto o me lo escribís?",
+  too_long: `Tu audio dura más de ${minutes} minuto${minutes === 1 ? "" : "s"} y es muy largo para mí. ¿Me mandás uno más corto o me lo escribís?`,
+  corrupt: "No pude reproducir tu audio, parece que llegó dañado. ¿Me lo mandás de nuevo o me lo escribís?",
+  unsupported: "No puedo abrir este tipo de audio. ¿Me lo mandás como nota de voz de WhatsApp o me lo escribís?"
+};
+
+// Formatos que se guardan tal cual (Transcribe los lee sin problemas)
+const FORMATS = {
+  ogg: { contentType: "audio/ogg", ext: "ogg" },
+  mp3: { contentType: "audio/mpeg", ext: "mp3" },
+  mp4: { contentType: "audio/mp4", ext: "m4a" },
+  wav: { contentType: "audio/wav", ext: "wav" },
+  flac: { contentType: "audio/flac", ext: "flac" }
+};
+const TRANSCODED = { format: "flac", ...FORMATS.flac };
+
+const has = (buf, signature, offset = 0) =>
+  buf.length >= offset + signature.length && buf.toString("latin1", offset, offset + signature.length) === signature;
+
+// Contenedor real: { format, codec?, transcode } o null si no se reconoce
+export const sniffAudio = (buf) => {
+  if (has(buf, "OggS")) {
+    const head = buf.toString("latin1", 0, Math.min(buf.length, 512));
+    if (head.includes("OpusHead")) return { format: "ogg", codec: "opus", transcode: false };
+    return { format: "ogg", codec: head.includes("\x01vorbis") ? "vorbis" : null, transcode: true };
+  }
+  if (has(buf, "#!AMR")) return { format: "amr", transcode: true };
+  if (has(buf, "\x1a\x45\xdf\xa3")) return { format: "webm", transcode: true };
+  if (has(buf, "RIFF") && has(buf, "WAVE", 8)) return { format: "wav", transcode: false };
+  if (has(buf, "fLaC")) return { format: "flac", transcode: false };
+  if (has(buf, "ftyp", 4)) {
+    // 3GP/3G2 suelen traer AMR adentro
+    return has(buf, "3g", 8) ? { format: "3gp", transcode: true } : { format: "mp4", transcode: false };
+  }
+  if (has(buf, "ID3")) return { format: "mp3", transcode: false };
+  if (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0) {
+    // Sincronismo MPEG: layer 00 es AAC en ADTS, el resto MP3
+    return (buf[1] & 0x06) === 0 ? { format: "aac", transcode: true } : { format: "mp3", transcode: false };
+  }
+  return null;
+};
+
+// Duración sin ffmpeg para OGG (granule de la última página) y WAV (tamaño de data / byteRate).
+// null si el formato no se lee acá; NaN si el archivo está roto.
+export const nativeDuration = (buf, { format, codec }) => {
+  if (format === "ogg") {
+    const last = buf.lastIndexOf("OggS");
+    if (last < 0 || last + 14 > buf.length) return NaN;
+    const granule = Number(buf.readBigInt64LE(last + 6));
+    // -1: la última página está cortada
+    if (granule < 0) return NaN;
+    if (codec === "opus") {
+      const head = buf.indexOf("OpusHead");
+      return head + 12 > buf.length ? NaN : Math.max(0, granule - buf.readUInt16LE(head + 10)) / 48000;
+    }
+    const vorbis = buf.indexOf("\x01vorbis", 0, "latin1");
+    return vorbis < 0 || vorbis + 16 > buf.length ? NaN : granule / buf.readUInt32LE(vorbis + 12);
+  }
+  if (format === "wav") {
+    let byteRate = 0;
+    for (let offset = 12; offset + 8 <= buf.length;) {
+      const id = buf.toString("latin1", offset, offset + 4);
+      const size = buf.readUInt32LE(offset + 4);
+      if (id === "fmt " && offset + 20 <= buf.length) byteRate = buf.readUInt32LE(offset + 16);
+      if (id === "data") return byteRate ? Math.min(size, buf.length - offset - 8) / byteRate : NaN;
+      offset += 8 + size + (size % 2);
+    }
+    return NaN;
+  }
+  return null;
+};
+
+// ffmpeg siempre contesta por stderr; error.code === "ENOENT" si no está instalado
+const runFfmpeg = (args) => new Promise(resolve => {
+  execFile(AUDIO_FFMPEG, ["-hide_banner", "-nostdin", ...args], { timeout: AUDIO_FFMPEG_TIMEOUT_SEC * 1000, maxBuffer: 10 * 1024 * 1024 },
+    (error, stdout, stderr) => resolve({ error, stderr: String(stderr || "") }));
+});
+
+const parseDuration = (stderr) => {
+  const m = stderr.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+  return m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) : null;
+};
+
+// Pasa el audio por ffmpeg: duración (del "Duration:" de la entrada) y, si transcode, el FLAC
+const withFfmpeg = async (buffer, ext, transcode) => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), "toori-prep-"));
+  const input = path.join(dir, `input.${ext}`);
+  const output = path.join(dir, "output.flac");
+  try {
+    await writeFile(input, buffer);
+    // Sin salida ffmpeg termina con error, pero igual informa la duración de la entrada
+    const args = transcode ? ["-y", "-i", input, "-vn", "-ac", "1", "-ar", "16000", "-c:a", "flac", output] : ["-i", input];
+    const { error, stderr } = await runFfmpeg(args);
+    if (error?.code === "ENOENT") return { missing: true };
+    const durationSec = parseDuration(stderr);
+    if (!transcode) return { durationSec, corrupt: /Invalid data found/i.test(stderr) };
+    if (error) {
+      console.warn(`[AUDIO_PREP] ffmpeg falló (${error.killed ? "timeout" : `código ${error.code}`}):`, stderr.split("\n").slice(-3).join(" "));
+      return { corrupt: true };
+    }
+    return { durationSec, buffer: await readFile(output) };
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+};
+
+const reject = (reason, details) => {
+  console.warn(`[AUDIO_PREP] Audio rechazado (${reason}): ${details}`);
+  emitMetric("AudioRejected", 1, { Reason: reason });
+  return { ok: false, reason, message: AUDIO_REJECTED_MESSAGES[reason] };
+};
+
+export const prepareAudio = async (buffer, contentType) => {
+  if (!buffer?.length) return reject("corrupt", "audio vacío");
+  if (buffer.length > AUDIO_MAX_MB * 1024 * 1024) return reject("too_large", `${buffer.length} bytes`);
+
+  const sniffed = sniffAudio(buffer);
+  console.log(`[AUDIO_PREP] ${contentType || "sin MIME"} -> ${sniffed ? `${sniffed.format}${sniffed.codec ? `/${sniffed.codec}` : ""}` : "formato desconocido"}, ${buffer.length} bytes`);
+
+  let durationSec = sniffed ? nativeDuration(buffer, sniffed) : null;
+  if (Number.isNaN(durationSec)) return reject("corrupt", `${sniffed.format} ilegible`);
+
+  // Formato desconocido: que lo intente ffmpeg
+  const transcode = !sniffed || sniffed.transcode;
+  if (durationSec === null || transcode) {
+    // Primero solo la duración, para no convertir un audio que igual se va a rechazar
+    const probe = await withFfmpeg(buffer, sniffed?.format || "bin", false);
+    if (probe.missing && transcode) {
+      return reject("unsupported", `${sniffed?.format || "formato desconocido"} necesita ffmpeg y no está en ${AUDIO_FFMPEG} (AUDIO_FFMPEG)`);
+    }
+    if (probe.missing) {
+      console.warn(`[AUDIO_PREP] No hay ffmpeg en ${AUDIO_FFMPEG}: ${sniffed.format} pasa sin medir la duración`);
+    } else if (probe.corrupt) {
+      return reject("corrupt", "ffmpeg no lo pudo leer");
+    } else {
+      durationSec = durationSec ?? probe.durationSec;
+    }
+  }
+  if (durationSec !== null && durationSec > AUDIO_MAX_SECONDS) return reject("too_long", `${Math.round(durationSec)}s`);
+
+  if (!transcode) {
+    const format = sniffed && FORMATS[sniffed.format];
+    return {
+      ok: true,
+      buffer,
+      contentType: format?.contentType || contentType,
+      ext: format?.ext || sniffed?.format || extensionFor(contentType, "ogg"),
+      format: sniffed?.format || null,
+      durationSec,
+      transcoded: false
+    };
+  }
+
+  const converted = await withFfmpeg(buffer, sniffed?.format || "bin", true);
+  if (converted.corrupt || !converted.buffer?.length) return reject("corrupt", "no se pudo convertir");
+  console.log(`[AUDIO_PREP] Convertido ${sniffed?.format || "desconocido"} -> flac (${buffer.length} -> ${converted.buffer.length} bytes)`);
+  emitMetric("AudioTranscoded", 1, { From: sniffed?.format || "unknown" });
+  return { ok: true, buffer: converted.buffer, contentType: TRANSCODED.contentType, ext: TRANSCODED.ext, format: TRANSCODED.format, durationSec: durationSec ?? converted.durationSec, transcoded: true };
+};
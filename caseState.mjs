@@ -0,0 +1,126 @@
+// caseState.mjs
+// Estado del caso por usuario (slot filling de la secuencia de intake).
+// Se guarda junto al historial en HISTORY_BUCKET como state/<userId>.json:
+//
+// {
+//   userId,
+//   fields: { nombre: { value, source, updatedAt }, ... },
+//   pedido: { registrado, at } | null,
+//   updatedAt
+// }
+//
+// source indica de dónde salió el dato: "usuario" (lo dijo en el chat), "foto",
+// "ubicacion", "pedido" (registrar_pedido) o "detector" (reglas en código).
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+
+const REGION = process.env.AWS_REGION || "us-west-2";
+const HISTORY_BUCKET = process.env.HISTORY_BUCKET || "toori-chat-history";
+
+const s3 = new S3Client({ region: REGION });
+
+// Campos de la secuencia de intake, en el orden en que se piden
+export const CASE_FIELDS = {
+  nombre: { label: "nombre completo", type: "string", required: true },
+  es_inquilino: { label: "es el inquilino", type: "boolean", required: true },
+  direccion: { label: "dirección exacta", type: "string", required: true },
+  problema: { label: "problema", type: "string", required: true },
+  tecnico: { label: "técnico", type: "string", enum: ["plomero", "gasista", "electricista"], required: true },
+  presupuesto_explicado: { label: "explicado que Toori gestiona presupuestos", type: "boolean", required: false },
+  urgente: { label: "urgente", type: "boolean", required: true },
+  medida_preventiva: { label: "medida preventiva sugerida", type: "string", required: false },
+  fotos: { label: "fotos recibidas", type: "number", required: false }
+};
+
+export const ACTUALIZAR_CASO_TOOL = {
+  name: "actualizar_caso",
+  description: "Guarda los datos del caso que el usuario acaba de dar (o que corrigió). Llamala antes de responder cada vez que aparezca un dato nuevo; solo incluí los campos nuevos o corregidos.",
+  input_schema: {
+    type: "object",
+    properties: {
+      nombre: { type: "string", description: "Nombre completo" },
+      es_inquilino: { type: "boolean", description: "true si quien escribe es el inquilino" },
+      direccion: { type: "string", description: "Dirección exacta" },
+      problema: { type: "string", description: "Descripción breve del problema" },
+      tecnico: { type: "string", enum: CASE_FIELDS.tecnico.enum, description: "Técnico que hace falta" },
+      presupuesto_explicado: { type: "boolean", description: "true cuando ya le explicaste que Toori gestiona presupuestos" },
+      urgente: { type: "boolean", description: "true si el usuario dijo que es urgente" },
+      medida_preventiva: { type: "string", description: "Medida preventiva que sugeriste" }
+    },
+    additionalProperties: false
+  }
+};
+
+const stateKey = (userId) => `state/${encodeURIComponent(userId)}.json`;
+
+export const emptyCaseState = (userId) => ({ userId, fields: {}, pedido: null, updatedAt: null });
+
+export const loadCaseState = async (userId) => {
+  try {
+    const res = await s3.send(new GetObjectCommand({ Bucket: HISTORY_BUCKET, Key: stateKey(userId) }));
+    const parsed = JSON.parse(await res.Body.transformToString());
+    return { ...emptyCaseState(userId), ...parsed };
+  } catch (e) {
+    if (e?.name !== "NoSuchKey") console.warn("[CASE] No se pudo cargar el estado:", e?.name, e?.message);
+    return emptyCaseState(userId);
+  }
+};
+
+export const saveCaseState = async (state) => {
+  await s3.send(new PutObjectCommand({
+    Bucket: HISTORY_BUCKET,
+    Key: stateKey(state.userId),
+    Body: JSON.stringify(state),
+    ContentType: "application/json"
+  }));
+};
+
+export const deleteCaseState = async (userId) => {
+  await s3.send(new DeleteObjectCommand({ Bucket: HISTORY_BUCKET, Key: stateKey(userId) }));
+};
+
+// Aplica valores nuevos al estado. Ignora campos desconocidos, vacíos o con tipo incorrecto.
+export const applyFieldUpdates = (state, updates, source) => {
+  const now = new Date().toISOString();
+  const applied = [];
+
+  for (const [field, value] of Object.entries(updates || {})) {
+    const def = CASE_FIELDS[field];
+    if (!def || value === undefined || value === null) continue;
+    if (typeof value !== def.type) continue;
+    if (def.type === "string" && !value.trim()) continue;
+    if (def.enum && !def.enum.includes(value)) continue;
+
+    const normalized = def.type === "string" ? value.trim() : value;
+    if (state.fields[field]?.value === normalized) continue;
+
+    state.fields[field] = { value: normalized, source, updatedAt: now };
+    applied.push(field);
+  }
+
+  if (applied.length) state.updatedAt = now;
+  return applied;
+};
+
+export const missingFields = (state) =>
+  Object.entries(CASE_FIELDS)
+    .filter(([field, def]) => def.required && state.fields[field] === undefined)
+    .map(([field]) => field);
+
+const formatValue = (value) => {
+  if (typeof value === "boolean") return value ? "sí" : "no";
+  return String(value);
+};
+
+// Resumen compacto para el system prompt: qué se sabe, de dónde salió y qué falta.
+export const summarizeCaseState = (state) => {
+  const known = Object.entries(CASE_FIELDS)
+    .filter(([field]) => state.fields[field] !== undefined)
+    .map(([field, def]) => `- ${def.label}: ${formatValue(state.fields[field].value)} (fuente: ${state.fields[field].source})`);
+  const missing = missingFields(state).map(field => CASE_FIELDS[field].label);
+
+  const lines = ["ESTADO DEL CASO (datos ya obtenidos, no los vuelvas a pedir):"];
+  lines.push(...(known.length ? known : ["- todavía no hay datos"]));
+  lines.push(`Falta: ${missing.length ? missing.join(", ") : "nada, ya podés registrar el pedido"}`);
+  if (state.pedido?.registrado) lines.push(`El pedido ya fue registrado (${state.pedido.at}). No lo registres de nuevo salvo que sea otro problema.`);
+  return lines.join("\n");
+};
@@ -0,0 +1,259 @@
+// console/app.js
+// Consola de operadores (ver consoleAssets.mjs). Sin build ni dependencias: lee la API de
+// admin cada POLL_MS y usa /operator/* para tomar, responder y devolver conversaciones.
+(() => {
+  const POLL_MS = 5000;
+  // La consola vive en <base>/console/; la API en <base>/admin y <base>/operator
+  const API_BASE = location.pathname.replace(/\/console(\/.*)?$/, "");
+
+  const FIELD_LABELS = {
+    nombre: "Nombre",
+    es_inquilino: "Inquilino",
+    direccion: "Dirección",
+    problema: "Problema",
+    tecnico: "Técnico",
+    presupuesto_explicado: "Presupuesto explicado",
+    urgente: "Urgente",
+    medida_preventiva: "Medida preventiva",
+    fotos: "Fotos"
+  };
+
+  const state = {
+    token: sessionStorage.getItem("toori.token"),
+    operator: sessionStorage.getItem("toori.operator"),
+    selected: null,
+    search: null,
+    conversations: [],
+    detail: null
+  };
+
+  const $ = (sel) => document.querySelector(sel);
+
+  // createElement con atributos y hijos (texto o nodos); nunca innerHTML con datos del usuario
+  const el = (tag, attrs = {}, ...children) => {
+    const node = document.createElement(tag);
+    for (const [key, value] of Object.entries(attrs)) {
+      if (key === "class") node.className = value;
+      else if (key.startsWith("on")) node.addEventListener(key.slice(2), value);
+      else node.setAttribute(key, value);
+    }
+    for (const child of children.flat()) {
+      if (child !== null && child !== undefined && child !== false) node.append(child);
+    }
+    return node;
+  };
+
+  const formatTime = (iso) => iso ? new Date(iso).toLocaleString("es-AR", { dateStyle: "short", timeStyle: "short" }) : "";
+  const formatValue = (value) => typeof value === "boolean" ? (value ? "sí" : "no") : String(value);
+  const textOf = (m) => (m.content || []).filter(c => c.type === "text").map(c => c.text).join("\n\n");
+
+  const api = async (method, path, body) => {
+    const resp = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: { "Authorization": `Bearer ${state.token}`, ...(body && { "Content-Type": "application/json" }) },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    if (resp.status === 401) {
+      logout();
+      throw new Error("Token inválido");
+    }
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(data.error || `Error ${resp.status}`);
+    return data;
+  };
+
+  // ---------- Lista de conversaciones ----------
+
+  const loadList = async () => {
+    try {
+      if (state.search) {
+        const q = state.search;
+        const param = /^[\d\s+()-]+$/.test(q) ? "phone" : "address";
+        const data = await api("GET", `/admin/search?${param}=${encodeURIComponent(q)}`);
+        state.conversations = data.results;
+        $("#list-status").textContent = data.complete ? `${data.results.length} resultado(s)` : `${data.results.length} resultado(s) en las primeras ${data.scanned} conversaciones`;
+      } else {
+        const data = await api("GET", "/admin/conversations?limit=100");
+        state.conversations = data.conversations;
+        $("#list-status").textContent = "";
+      }
+      renderList();
+    } catch (e) {
+      $("#list-status").textContent = e.message;
+    }
+  };
+
+  const renderList = () => {
+    const onlyWhatsApp = $("#only-whatsapp").checked;
+    const items = state.conversations
+      .filter(c => !onlyWhatsApp || c.channel === "whatsapp")
+      .map(c => el("li", { class: c.userId === state.selected ? "selected" : "", onclick: () => select(c.userId) },
+        el("span", { class: "when muted" }, formatTime(c.lastActivity)),
+        el("strong", {}, c.phone || c.userId),
+        c.direccion ? el("div", { class: "muted" }, c.direccion) : null
+      ));
+    $("#conversations").replaceChildren(...items);
+  };
+
+  // ---------- Conversación ----------
+
+  const select = async (userId) => {
+    state.selected = userId;
+    state.detail = null;
+    renderList();
+    $("#detail .empty").hidden = true;
+    $("#conversation").hidden = false;
+    $("#messages").replaceChildren();
+    await loadDetail();
+  };
+
+  const loadDetail = async () => {
+    if (!state.selected) return;
+    const userId = state.selected;
+    try {
+      const data = await api("GET", `/admin/conversations/${encodeURIComponent(userId)}`);
+      if (state.selected !== userId) return;
+      const grew = !state.detail || data.messages.length !== state.detail.messages.length;
+      state.detail = data;
+      renderDetail(grew);
+    } catch (e) {
+      $("#conv-meta").textContent = e.message;
+    }
+  };
+
+  const photos = (files) => {
+    const items = (files || []).filter(f => f.link || f.url);
+    if (!items.length) return null;
+    return el("div", { class: "photos" }, items.map(f => (f.contentType || "").startsWith("image/")
+      ? el("a", { href: f.link || f.url, target: "_blank", rel: "noopener" }, el("img", { src: f.link || f.url, alt: "foto" }))
+      : el("a", { href: f.link || f.url, target: "_blank", rel: "noopener" }, f.contentType || "archivo")));
+  };
+
+  const describeEvent = (m) => {
+    if (m.type === "handoff") return `Modo humano: ${m.status === "started" ? "iniciado" : "devuelto al bot"}${m.reason ? ` (${m.reason})` : ""}${m.by ? ` por ${m.by}` : ""}`;
+    if (m.type === "escalation") return `Escalamiento ${m.status}${m.reason ? ` (${m.reason})` : ""}${m.ackedBy ? `, tomado por ${m.ackedBy.name}` : ""}`;
+    if (m.type === "resend") return `Respuesta reenviada por ${m.by}${m.ok ? "" : " (falló)"}`;
+    return `${m.type} ${m.status || ""}`;
+  };
+
+  const renderMessage = (m) => {
+    if (m.role === "event") return el("li", { class: "event" }, `${describeEvent(m)} · ${formatTime(m.at)}`);
+    if (m.role === "summary") return el("li", { class: "summary" }, `Resumen de ${m.turns} mensajes anteriores: ${textOf(m)}`);
+
+    const who = { user: "Inquilino", assistant: "Bot", operator: `Operador${m.operator ? ` (${m.operator})` : ""}` }[m.role] || m.role;
+    return el("li", { class: m.role },
+      el("span", { class: "who" }, `${who}${m.at ? ` · ${formatTime(m.at)}` : ""}${m.role === "operator" && m.delivered === false ? " · no enviado" : ""}`),
+      textOf(m),
+      photos(m.media),
+      m.pedido ? el("span", { class: "who" }, m.pedido.registrado ? "📋 Pedido registrado" : "⚠️ Falló el registro del pedido") : null
+    );
+  };
+
+  const renderDetail = (scroll) => {
+    const d = state.detail;
+    const human = !!d.handoff?.active;
+
+    $("#conv-title").textContent = d.phone || d.userId;
+    $("#conv-meta").textContent = `${d.channel} · ${d.userId}${d.source === "history" ? " · historial (sin transcripción)" : ""}`;
+    $("#handoff-badge").textContent = human ? `Con operador${d.handoff.by ? ` (${d.handoff.by})` : ""}` : "Bot";
+    $("#handoff-badge").className = `badge${human ? " human" : ""}`;
+    $("#takeover").disabled = human;
+    $("#release").disabled = !human;
+
+    const list = $("#messages");
+    list.replaceChildren(...d.messages.map(renderMessage));
+    if (scroll) list.scrollTop = list.scrollHeight;
+
+    $("#case").hidden = false;
+    $("#fields").replaceChildren(...Object.entries(d.caseState?.fields || {}).flatMap(([field, f]) => [
+      el("dt", {}, FIELD_LABELS[field] || field),
+      el("dd", {}, formatValue(f.value))
+    ]));
+    $("#missing").replaceChildren(...(d.missingFields.length
+      ? d.missingFields.map(field => el("li", {}, FIELD_LABELS[field] || field))
+      : [el("li", { class: "muted" }, "Nada, el caso está completo")]));
+    $("#tickets").replaceChildren(...(d.tickets.length
+      ? d.tickets.map(t => el("div", { class: `ticket${t.registrado ? "" : " failed"}` },
+          el("strong", {}, `${t.registrado ? "Registrado" : "No registrado"} · ${formatTime(t.at)}`),
+          el("dl", {}, Object.entries(t.resumen)
+            .filter(([key]) => !["imagenes", "ubicacion", "contactos"].includes(key))
+            .flatMap(([key, value]) => [el("dt", {}, FIELD_LABELS[key] || key), el("dd", {}, formatValue(value))])),
+          t.error ? el("p", { class: "muted" }, t.error) : null,
+          photos(t.resumen.imagenes)))
+      : [el("p", { class: "muted" }, "Sin pedidos registrados")]));
+  };
+
+  // ---------- Acciones del operador ----------
+
+  const operatorAction = async (action, extra = {}) => {
+    if (!state.selected) return;
+    try {
+      await api("POST", `/operator/${action}`, { userId: state.selected, operator: state.operator, ...extra });
+      await loadDetail();
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  $("#takeover").addEventListener("click", () => operatorAction("takeover"));
+  $("#release").addEventListener("click", () => operatorAction("release"));
+  $("#reply").addEventListener("submit", async (ev) => {
+    ev.preventDefault();
+    const form = ev.target;
+    const text = form.text.value.trim();
+    if (!text) return;
+    form.querySelector("button").disabled = true;
+    await operatorAction("reply", { text });
+    form.querySelector("button").disabled = false;
+    form.text.value = "";
+  });
+
+  $("#search").addEventListener("submit", (ev) => {
+    ev.preventDefault();
+    state.search = ev.target.q.value.trim() || null;
+    $("#clear-search").hidden = !state.search;
+    loadList();
+  });
+  $("#clear-search").addEventListener("click", () => {
+    state.search = null;
+    $("#search").q.value = "";
+    $("#clear-search").hidden = true;
+    loadList();
+  });
+  $("#only-whatsapp").addEventListener("change", renderList);
+
+  // ---------- Sesión ----------
+
+  let timer = null;
+
+  const start = () => {
+    $("#login").hidden = true;
+    $("#app").hidden = false;
+    loadList();
+    timer = setInterval(() => {
+      loadList();
+      loadDetail();
+    }, POLL_MS);
+  };
+
+  const logout = () => {
+    clearInterval(timer);
+    sessionStorage.removeItem("toori.token");
+    state.token = null;
+    $("#app").hidden = true;
+    $("#login").hidden = false;
+  };
+
+  $("#logout").addEventListener("click", logout);
+  $("#login form").addEventListener("submit", (ev) => {
+    ev.preventDefault();
+    state.token = ev.target.token.value.trim();
+    state.operator = ev.target.operator.value.trim();
+    sessionStorage.setItem("toori.token", state.token);
+    sessionStorage.setItem("toori.operator", state.operator);
+    start();
+  });
+
+  if (state.token) start();
+  else $("#login").hidden = false;
+})();
@@ -0,0 +1,28 @@
+// consoleAssets.mjs
+// Consola de operadores: SPA estática en console/ que el Lambda principal sirve en
+// GET /console/. No tiene datos propios; lee la API de admin (adminApi.mjs) y toma o
+// responde conversaciones con /operator/* (handoff.mjs), con el token que pega el operador.
+// consoleMock.mjs sirve los mismos archivos con un backend falso para desarrollarla offline.
+import { promises as fs } from "fs";
+
+const ASSETS = {
+  "index.html": "text/html; charset=utf-8",
+  "app.js": "application/javascript; charset=utf-8",
+  "style.css": "text/css; charset=utf-8"
+};
+
+export const isConsolePath = (path) => /\/console(\/[\w.-]*)?$/.test(path || "");
+
+export const serveConsole = async (event) => {
+  const path = event.rawPath || event.path || "";
+  const match = path.match(/\/console(\/([\w.-]*))?$/);
+
+  // Sin barra final los paths relativos de index.html (app.js, style.css) no resuelven
+  if (!match[1]) return { statusCode: 301, headers: { Location: "console/" }, body: "" };
+
+  const file = match[2] || "index.html";
+  if (!ASSETS[file]) return { statusCode: 404, body: "Not found" };
+
+  const body = await fs.readFile(new URL(`./console/${file}`, import.meta.url), "utf8");
+  return { statusCode: 200, headers: { "Content-Type": ASSETS[file], "Cache-Control": "no-cache" }, body };
+};
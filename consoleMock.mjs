@@ -0,0 +1,188 @@
+// consoleMock.mjs
+// Backend falso para desarrollar la consola (console/) sin AWS ni WhatsApp:
+//
+//   node consoleMock.mjs      y abrir http://localhost:4020/console/ (token: dev)
+//
+// Sirve los archivos con consoleAssets.mjs y responde /admin/* y /operator/* con la misma
+// forma que adminApi.mjs e index.mjs, con datos en memoria. Cada tanto llega un mensaje
+// nuevo de un inquilino para ver la consola "en vivo".
+import http from "http";
+import crypto from "crypto";
+import { isConsolePath, serveConsole } from "./consoleAssets.mjs";
+
+const PORT = parseInt(process.env.CONSOLE_MOCK_PORT || "4020", 10);
+const TOKEN = process.env.CONSOLE_MOCK_TOKEN || "dev";
+
+// Campos obligatorios de CASE_FIELDS (caseState.mjs importa el SDK de AWS, acá no hace falta)
+const REQUIRED_FIELDS = ["nombre", "es_inquilino", "direccion", "problema", "tecnico", "urgente"];
+const missingFields = (caseState) => REQUIRED_FIELDS.filter(f => caseState.fields[f] === undefined);
+
+const minutesAgo = (min) => new Date(Date.now() - min * 60 * 1000).toISOString();
+
+// Foto de mentira (SVG inline) para no depender de S3
+const fakePhoto = (label, color) => ({
+  bucket: "toori360",
+  key: `media/mock/${label}.svg`,
+  contentType: "image/svg+xml",
+  link: `data:image/svg+xml,${encodeURIComponent(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200"><rect width="200" height="200" fill="${color}"/><text x="100" y="105" font-size="20" text-anchor="middle" fill="#fff">${label}</text></svg>`)}`
+});
+
+const text = (role, body, at, extra = {}) => ({ id: crypto.randomUUID(), role, content: [{ type: "text", text: body }], at, ...extra });
+const field = (value, source = "usuario") => ({ value, source, updatedAt: minutesAgo(30) });
+
+const canilla = fakePhoto("canilla", "#3b7dd8");
+const conversations = new Map([
+  ["wa:5491122334455", {
+    updatedAt: minutesAgo(2),
+    caseState: { userId: "wa:5491122334455", fields: { nombre: field("Laura Gómez"), es_inquilino: field(true), direccion: field("Av. Rivadavia 1234 3°B, CABA"), problema: field("pierde agua la canilla de la cocina"), tecnico: field("plomero", "pedido"), urgente: field(false), fotos: field(1, "foto") }, pedido: { registrado: true, at: minutesAgo(20) } },
+    handoff: null,
+    messages: [
+      text("user", "Hola, se rompió la canilla de la cocina", minutesAgo(40)),
+      text("assistant", "¡Hola! Qué macana. ¿Me pasás tu nombre y la dirección exacta?", minutesAgo(39)),
+      text("user", "Laura Gómez, Av. Rivadavia 1234 3°B", minutesAgo(35), { media: [canilla] }),
+      text("assistant", "Listo Laura, ya cargué el pedido para un plomero. Te van a contactar para coordinar la visita.", minutesAgo(20), {
+        pedido: { registrado: true, at: minutesAgo(20), resumen: { nombre: "Laura Gómez", direccion: "Av. Rivadavia 1234 3°B, CABA", tecnico: "plomero", urgente: false, problema: "Pierde agua la canilla de la cocina, se ve goteo constante en la foto", imagenes: [canilla] } }
+      }),
+      text("user", "Gracias!", minutesAgo(2))
+    ]
+  }],
+  ["wa:5491155667788", {
+    updatedAt: minutesAgo(1),
+    caseState: { userId: "wa:5491155667788", fields: { problema: field("olor a gas en el baño"), urgente: field(true, "detector") }, pedido: null },
+    handoff: { userId: "wa:5491155667788", active: true, reason: "user_request", by: null, channel: "twilio", phone: "+5491155667788", startedAt: minutesAgo(5) },
+    messages: [
+      text("user", "hay olor a gas en el baño", minutesAgo(8)),
+      text("assistant", "⚠️ Si sentís olor a gas: no prendas ni apagues luces, abrí puertas y ventanas y cerrá la llave de paso.", minutesAgo(8)),
+      { id: crypto.randomUUID(), role: "event", type: "escalation", status: "started", reason: "emergency", at: minutesAgo(8) },
+      text("user", "quiero hablar con una persona", minutesAgo(5)),
+      text("assistant", "Te paso con una persona del equipo de Toori. En un ratito te escribe por acá.", minutesAgo(5)),
+      { id: crypto.randomUUID(), role: "event", type: "handoff", status: "started", reason: "user_request", at: minutesAgo(5) }
+    ]
+  }],
+  ["web:demo-1", {
+    updatedAt: minutesAgo(90),
+    caseState: { userId: "web:demo-1", fields: {}, pedido: null },
+    handoff: null,
+    messages: [text("user", "hola", minutesAgo(91)), text("assistant", "¡Hola! ¿En qué te puedo ayudar?", minutesAgo(90))]
+  }]
+]);
+
+const describeUserId = (userId) => {
+  const wa = userId.match(/^(web:)?wa:(\d+)$/);
+  return wa ? { channel: "whatsapp", phone: `+${wa[2]}` } : { channel: "web", phone: null };
+};
+
+const summaryOf = (userId, c) => ({ userId, ...describeUserId(userId), lastActivity: c.updatedAt });
+
+const push = (userId, entries) => {
+  const c = conversations.get(userId);
+  c.messages.push(...entries);
+  c.updatedAt = new Date().toISOString();
+};
+
+const handoffEvent = (status, extra = {}) => ({ id: crypto.randomUUID(), role: "event", type: "handoff", status, at: new Date().toISOString(), ...extra });
+
+const json = (statusCode, body) => ({ statusCode, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+const handleApi = (method, url, body) => {
+  const path = url.pathname.replace(/\/+$/, "");
+  const query = Object.fromEntries(url.searchParams);
+
+  if (method === "GET" && path === "/admin/conversations") {
+    const list = [...conversations].map(([id, c]) => summaryOf(id, c)).sort((a, b) => b.lastActivity.localeCompare(a.lastActivity));
+    return json(200, { conversations: list, cursor: null });
+  }
+
+  if (method === "GET" && path === "/admin/search") {
+    const phone = (query.phone || "").replace(/\D/g, "");
+    const address = (query.address || "").toLowerCase();
+    const results = [...conversations]
+      .filter(([id, c]) => phone ? id.includes(phone) : (c.caseState.fields.direccion?.value || "").toLowerCase().includes(address))
+      .map(([id, c]) => ({ ...summaryOf(id, c), ...(address && { direccion: c.caseState.fields.direccion.value }) }));
+    return json(200, { results, scanned: conversations.size, complete: true });
+  }
+
+  const detail = path.match(/^\/admin\/conversations\/([^/]+)$/);
+  if (method === "GET" && detail) {
+    const userId = decodeURIComponent(detail[1]);
+    const c = conversations.get(userId);
+    if (!c) return json(404, { error: "Conversación no encontrada" });
+    return json(200, {
+      userId,
+      ...describeUserId(userId),
+      caseState: c.caseState,
+      missingFields: missingFields(c.caseState),
+      handoff: c.handoff,
+      source: "transcript",
+      messages: c.messages,
+      tickets: c.messages.filter(m => m.pedido).map(m => ({ messageId: m.id, at: m.pedido.at, registrado: m.pedido.registrado, resumen: m.pedido.resumen }))
+    });
+  }
+
+  const operator = path.match(/^\/operator\/(takeover|reply|release)$/);
+  if (method === "POST" && operator) {
+    const c = conversations.get(body.userId);
+    if (!c) return json(400, { error: "Falta userId" });
+    const action = operator[1];
+
+    if (action === "release") {
+      if (!c.handoff?.active) return json(409, { error: "La conversación no está en modo humano" });
+      c.handoff = { ...c.handoff, active: false, releasedAt: new Date().toISOString(), releasedBy: body.operator };
+      push(body.userId, [handoffEvent("released", { by: body.operator })]);
+      return json(200, { status: "RELEASED", handoff: c.handoff });
+    }
+
+    if (action === "reply" && !(body.text || "").trim()) return json(400, { error: "Falta text" });
+    if (!c.handoff?.active) {
+      const { phone } = describeUserId(body.userId);
+      c.handoff = { userId: body.userId, active: true, reason: "staff", by: body.operator, channel: phone ? "twilio" : "web", phone, startedAt: new Date().toISOString() };
+      push(body.userId, [handoffEvent("started", { reason: "staff", by: body.operator })]);
+    }
+    if (action === "reply") {
+      const delivered = c.handoff.channel !== "web";
+      push(body.userId, [text("operator", body.text.trim(), new Date().toISOString(), { operator: body.operator, delivered })]);
+      console.log(`[MOCK] Operador ${body.operator} → ${body.userId}: ${body.text.trim()}`);
+      return json(200, { status: "SENT", handoff: c.handoff, delivered });
+    }
+    return json(200, { status: "HANDOFF", handoff: c.handoff });
+  }
+
+  return json(404, { error: "Ruta no encontrada" });
+};
+
+// Un inquilino en modo humano sigue escribiendo
+const TENANT_LINES = ["¿Hola? ¿Hay alguien?", "Ya cerré la llave de paso", "¿Cuándo viene el gasista?", "Sigue habiendo un poco de olor"];
+setInterval(() => {
+  const userId = "wa:5491155667788";
+  if (!conversations.get(userId).handoff?.active) return;
+  push(userId, [text("user", TENANT_LINES[Math.floor(Math.random() * TENANT_LINES.length)], new Date().toISOString())]);
+}, 20000).unref();
+
+const readBody = (req) => new Promise((resolve) => {
+  const chunks = [];
+  req.on("data", c => chunks.push(c));
+  req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+});
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  let out;
+  try {
+    if (isConsolePath(url.pathname)) {
+      out = await serveConsole({ rawPath: url.pathname });
+    } else if ((req.headers.authorization || "") !== `Bearer ${TOKEN}`) {
+      out = json(401, { error: "Unauthorized" });
+    } else {
+      const raw = await readBody(req);
+      out = handleApi(req.method, url, raw ? JSON.parse(raw) : {});
+    }
+  } catch (e) {
+    out = json(500, { error: e.message });
+  }
+  res.writeHead(out.statusCode, out.headers || {});
+  res.end(out.body);
+});
+
+server.listen(PORT, () => {
+  console.log(`[MOCK] Consola en http://localhost:${PORT}/console/ (token: ${TOKEN})`);
+});
@@ -0,0 +1,246 @@
+// conversationStore.mjs
+// Persistencia del historial de conversación, compartida por index.mjs y WhatsAppAdapter.mjs.
+// Backend elegido con HISTORY_STORE:
+//
+//   s3 (default)  HISTORY_BUCKET/history/<encodeURIComponent(userId)>.json, versión = ETag
+//   dynamodb      tabla HISTORY_TABLE (pk "userId"; atributos history (JSON), version, updatedAt)
+//   fs            archivos en HISTORY_DIR/<encodeURIComponent(userId)>.json (desarrollo local)
+//
+// Todos exponen la misma interfaz:
+//
+//   load(userId)                       -> { history, version }   (version null si no existe)
+//   save(userId, history, { version }) -> { ok, version } | { ok: false, conflict: true }
+//   list({ limit, cursor })            -> { items: [{ userId, updatedAt, size? }], cursor }
+//   delete(userId)
+//
+// save es condicional: solo escribe si la versión guardada sigue siendo `version`.
+// saveWithMerge / appendTurn resuelven los conflictos mergeando por id de entrada.
+//
+// Solo el historial es intercambiable. El resto del estado por usuario (caseState, handoff,
+// idempotency, debounce, pendingTranscription, oncall) y los transcripts siguen en
+// HISTORY_BUCKET, así que HISTORY_STORE=fs no evita necesitar S3.
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
+import { DynamoDBClient, GetItemCommand, PutItemCommand, DeleteItemCommand, ScanCommand } from "@aws-sdk/client-dynamodb";
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { emitMetric } from "./metrics.mjs";
+
+const REGION = process.env.AWS_REGION || "us-west-2";
+const HISTORY_STORE = process.env.HISTORY_STORE || "s3";
+const HISTORY_BUCKET = process.env.HISTORY_BUCKET || "toori-chat-history";
+const HISTORY_TABLE = process.env.HISTORY_TABLE || "toori-chat-history";
+const HISTORY_DIR = process.env.HISTORY_DIR || "/tmp/toori-history";
+const SAVE_RETRIES = 4;
+
+const isConditionFailure = (e) =>
+  e?.name === "PreconditionFailed" || e?.name === "ConditionalRequestConflict" ||
+  e?.name === "ConditionalCheckFailedException" ||
+  e?.$metadata?.httpStatusCode === 412 || e?.$metadata?.httpStatusCode === 409;
+
+const parseHistory = (text) => {
+  const parsed = JSON.parse(text);
+  return Array.isArray(parsed) ? parsed : [];
+};
+
+export const createS3Store = ({ bucket = HISTORY_BUCKET, prefix = "history/" } = {}) => {
+  const s3 = new S3Client({ region: REGION });
+  const keyFor = (userId) => `${prefix}${encodeURIComponent(userId)}.json`;
+
+  return {
+    backend: "s3",
+    load: async (userId) => {
+      try {
+        const res = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: keyFor(userId) }));
+        return { history: parseHistory(await res.Body.transformToString()), version: res.ETag || null };
+      } catch (e) {
+        if (e?.name !== "NoSuchKey") console.warn("[STORE][S3] Error leyendo historial:", e?.name, e?.message);
+        return { history: [], version: null };
+      }
+    },
+    save: async (userId, history, { version = null } = {}) => {
+      try {
+        const res = await s3.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: keyFor(userId),
+          Body: JSON.stringify(history),
+          ContentType: "application/json",
+          ...(version ? { IfMatch: version } : { IfNoneMatch: "*" })
+        }));
+        return { ok: true, version: res.ETag || null };
+      } catch (e) {
+        if (isConditionFailure(e)) return { ok: false, conflict: true };
+        throw e;
+      }
+    },
+    list: async ({ limit = 100, cursor } = {}) => {
+      const res = await s3.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        MaxKeys: limit,
+        ...(cursor && { ContinuationToken: cursor })
+      }));
+      const items = (res.Contents || [])
+        .filter(o => o.Key.endsWith(".json"))
+        .map(o => ({
+          userId: decodeURIComponent(o.Key.slice(prefix.length, -".json".length)),
+          updatedAt: o.LastModified ? new Date(o.LastModified).toISOString() : null,
+          size: o.Size
+        }));
+      return { items, cursor: res.IsTruncated ? res.NextContinuationToken : null };
+    },
+    delete: async (userId) => {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: keyFor(userId) }));
+    }
+  };
+};
+
+// Ojo: DynamoDB limita los items a 400 KB; usar con HISTORY_MODE=summary en conversaciones largas
+export const createDynamoStore = ({ table = HISTORY_TABLE } = {}) => {
+  const ddb = new DynamoDBClient({ region: REGION });
+
+  return {
+    backend: "dynamodb",
+    load: async (userId) => {
+      const res = await ddb.send(new GetItemCommand({ TableName: table, Key: { userId: { S: userId } }, ConsistentRead: true }));
+      if (!res.Item) return { history: [], version: null };
+      return { history: parseHistory(res.Item.history?.S || "[]"), version: res.Item.version?.N || null };
+    },
+    save: async (userId, history, { version = null } = {}) => {
+      const nextVersion = String(Number(version || 0) + 1);
+      try {
+        await ddb.send(new PutItemCommand({
+          TableName: table,
+          Item: {
+            userId: { S: userId },
+            history: { S: JSON.stringify(history) },
+            version: { N: nextVersion },
+            updatedAt: { S: new Date().toISOString() }
+          },
+          ...(version
+            ? { ConditionExpression: "version = :v", ExpressionAttributeValues: { ":v": { N: String(version) } } }
+            : { ConditionExpression: "attribute_not_exists(userId)" })
+        }));
+        return { ok: true, version: nextVersion };
+      } catch (e) {
+        if (isConditionFailure(e)) return { ok: false, conflict: true };
+        throw e;
+      }
+    },
+    list: async ({ limit = 100, cursor } = {}) => {
+      const res = await ddb.send(new ScanCommand({
+        TableName: table,
+        Limit: limit,
+        ProjectionExpression: "userId, updatedAt",
+        ...(cursor && { ExclusiveStartKey: JSON.parse(Buffer.from(cursor, "base64").toString("utf8")) })
+      }));
+      const items = (res.Items || []).map(i => ({ userId: i.userId.S, updatedAt: i.updatedAt?.S || null }));
+      const next = res.LastEvaluatedKey ? Buffer.from(JSON.stringify(res.LastEvaluatedKey)).toString("base64") : null;
+      return { items, cursor: next };
+    },
+    delete: async (userId) => {
+      await ddb.send(new DeleteItemCommand({ TableName: table, Key: { userId: { S: userId } } }));
+    }
+  };
+};
+
+// Para desarrollo local: la versión es el hash del contenido (no es atómico entre procesos)
+export const createFsStore = ({ dir = HISTORY_DIR } = {}) => {
+  const fileFor = (userId) => path.join(dir, `${encodeURIComponent(userId)}.json`);
+  const hash = (text) => crypto.createHash("sha1").update(text).digest("hex");
+
+  const read = async (userId) => {
+    try {
+      return await fs.readFile(fileFor(userId), "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  };
+
+  return {
+    backend: "fs",
+    load: async (userId) => {
+      const text = await read(userId);
+      return text === null ? { history: [], version: null } : { history: parseHistory(text), version: hash(text) };
+    },
+    save: async (userId, history, { version = null } = {}) => {
+      const current = await read(userId);
+      if ((current === null ? null : hash(current)) !== version) return { ok: false, conflict: true };
+      const text = JSON.stringify(history);
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${fileFor(userId)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, text);
+      await fs.rename(tmp, fileFor(userId));
+      return { ok: true, version: hash(text) };
+    },
+    list: async ({ limit = 100, cursor } = {}) => {
+      let files = [];
+      try { files = (await fs.readdir(dir)).filter(f => f.endsWith(".json")).sort(); } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+      const start = cursor ? Number(cursor) : 0;
+      const page = files.slice(start, start + limit);
+      const items = await Promise.all(page.map(async f => {
+        const stat = await fs.stat(path.join(dir, f));
+        return { userId: decodeURIComponent(f.slice(0, -".json".length)), updatedAt: stat.mtime.toISOString(), size: stat.size };
+      }));
+      return { items, cursor: start + limit < files.length ? String(start + limit) : null };
+    },
+    delete: async (userId) => {
+      await fs.rm(fileFor(userId), { force: true });
+    }
+  };
+};
+
+// Identidad de una entrada del historial para mergear; las entradas viejas no tienen id
+const entryKey = (m) => m.id || (m.messageId && `${m.role}:${m.messageId}`) || JSON.stringify(m);
+
+// Otro Lambda guardó el historial del mismo usuario mientras procesábamos (mensajes
+// seguidos). Nos quedamos con lo nuestro y agregamos al final lo que el otro sumó respecto
+// de la versión que leímos, así no se pierde ningún turno de ninguno de los dos.
+export const mergeHistory = (base, ours, remote) => {
+  const known = new Set([...base, ...ours].map(entryKey));
+  const hasSummary = ours.some(m => m.role === "summary");
+  const theirs = remote.filter(m => !known.has(entryKey(m)) && !(hasSummary && m.role === "summary"));
+  return [...ours, ...theirs];
+};
+
+// Escritura condicional con merge y reintento. Devuelve lo que quedó guardado.
+export const saveWithMerge = async (store, userId, history, { version = null, base = [] } = {}) => {
+  let next = history;
+  let current = version;
+
+  for (let attempt = 0; ; attempt++) {
+    const res = await store.save(userId, next, { version: current });
+    if (res.ok) return next;
+
+    emitMetric("HistoryWriteConflict", 1, { Attempt: String(attempt + 1) });
+    if (attempt >= SAVE_RETRIES) {
+      emitMetric("HistoryWriteConflictUnresolved", 1);
+      throw new Error(`Conflicto de escritura del historial sin resolver para ${userId}`);
+    }
+    console.warn(`[HISTORY] ⚠️ Conflicto escribiendo el historial de ${userId} (intento ${attempt + 1}), mergeando`);
+    const remote = await store.load(userId);
+    next = mergeHistory(base, history, remote.history);
+    current = remote.version;
+  }
+};
+
+// Agrega entradas al final (turnos del adapter, eventos de escalamiento, ...)
+export const appendTurn = async (store, userId, entries) => {
+  const { history, version } = await store.load(userId);
+  return saveWithMerge(store, userId, [...history, ...entries], { version, base: history });
+};
+
+let store;
+// Store configurado por env (uno por proceso)
+export const getConversationStore = () => {
+  if (!store) {
+    if (HISTORY_STORE === "dynamodb") store = createDynamoStore();
+    else if (HISTORY_STORE === "fs") store = createFsStore();
+    else store = createS3Store();
+    console.log(`[STORE] Historial en ${store.backend}`);
+  }
+  return store;
+};
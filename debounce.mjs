@@ -0,0 +1,121 @@
+// debounce.mjs
+// Junta ráfagas de mensajes del mismo usuario ("hola" / "tengo un problema" / "se rompió
+// la canilla", o varias fotos de un álbum) en un solo turno de conversación.
+//
+// Cada mensaje entrante se agrega a buffers/<userId>.json en HISTORY_BUCKET:
+//
+// { userId, messages: [InboundMessage], firstAt, lastAt }
+//
+// Quien procesa espera a que el usuario deje de escribir DEBOUNCE_MS (o que pasen
+// DEBOUNCE_MAX_MS desde el primero) y se lleva todo el buffer de una vez, vaciándolo con
+// una escritura condicional (If-Match): aunque varios esperen al mismo tiempo, solo uno se
+// lo lleva. Lo que llega después arma un buffer nuevo y va al turno siguiente.
+//
+// Solo se usa con la cola de turnos (queue.mjs): quien espera es el worker, nunca el webhook.
+import { S3Client, PutObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+
+const REGION = process.env.AWS_REGION || "us-west-2";
+const HISTORY_BUCKET = process.env.HISTORY_BUCKET || "toori-chat-history";
+export const DEBOUNCE_MS = parseInt(process.env.DEBOUNCE_MS || "0", 10);
+const DEBOUNCE_MAX_MS = parseInt(process.env.DEBOUNCE_MAX_MS || String(DEBOUNCE_MS * 4), 10);
+const MAX_WRITE_ATTEMPTS = 5;
+
+const s3 = new S3Client({ region: REGION });
+
+const esperar = (ms) => new Promise(res => setTimeout(res, ms));
+
+const bufferKey = (userId) => `buffers/${encodeURIComponent(userId)}.json`;
+
+const isConditionFailure = (e) =>
+  e?.name === "PreconditionFailed" || e?.name === "ConditionalRequestConflict" ||
+  e?.$metadata?.httpStatusCode === 412 || e?.$metadata?.httpStatusCode === 409;
+
+const readBuffer = async (userId) => {
+  try {
+    const res = await s3.send(new GetObjectCommand({ Bucket: HISTORY_BUCKET, Key: bufferKey(userId) }));
+    return { buffer: JSON.parse(await res.Body.transformToString()), etag: res.ETag };
+  } catch (e) {
+    if (e?.name === "NoSuchKey") return { buffer: null, etag: null };
+    throw e;
+  }
+};
+
+// Devuelve false si el buffer cambió desde que lo leímos
+const writeBuffer = async (userId, buffer, etag) => {
+  try {
+    await s3.send(new PutObjectCommand({
+      Bucket: HISTORY_BUCKET,
+      Key: bufferKey(userId),
+      Body: JSON.stringify(buffer),
+      ContentType: "application/json",
+      ...(etag ? { IfMatch: etag } : { IfNoneMatch: "*" })
+    }));
+    return true;
+  } catch (e) {
+    if (isConditionFailure(e)) return false;
+    throw e;
+  }
+};
+
+export const bufferInbound = async (inbound) => {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const { buffer, etag } = await readBuffer(inbound.userId);
+    const now = new Date().toISOString();
+    const messages = buffer?.messages || [];
+    if (inbound.messageId && messages.some(m => m.messageId === inbound.messageId)) return messages.length;
+
+    const next = {
+      userId: inbound.userId,
+      messages: [...messages, inbound],
+      firstAt: messages.length ? buffer.firstAt : now,
+      lastAt: now
+    };
+    if (await writeBuffer(inbound.userId, next, etag)) {
+      console.log(`[DEBOUNCE] ${inbound.userId}: ${next.messages.length} mensaje(s) en el buffer`);
+      return next.messages.length;
+    }
+  }
+  throw new Error(`No se pudo agregar el mensaje al buffer de ${inbound.userId}`);
+};
+
+// Espera a que el usuario deje de escribir y se lleva los mensajes del buffer, o null si
+// ya no queda nada (otro proceso se los llevó).
+export const takeWhenQuiet = async (userId, { windowMs = DEBOUNCE_MS, maxMs = DEBOUNCE_MAX_MS } = {}) => {
+  for (;;) {
+    const { buffer, etag } = await readBuffer(userId);
+    if (!buffer?.messages?.length) return null;
+
+    const due = Math.min(Date.parse(buffer.lastAt) + windowMs, Date.parse(buffer.firstAt) + Math.max(maxMs, windowMs));
+    const wait = due - Date.now();
+    if (wait > 0) {
+      await esperar(wait);
+      continue;
+    }
+
+    if (await writeBuffer(userId, { userId, messages: [], firstAt: null, lastAt: null, takenAt: new Date().toISOString() }, etag)) {
+      console.log(`[DEBOUNCE] ${userId}: ${buffer.messages.length} mensaje(s) en un solo turno`);
+      return buffer.messages;
+    }
+  }
+};
+
+// Une los mensajes de la ráfaga en un InboundMessage. messageId queda el del último
+// (la clave del turno) y messageIds guarda todos.
+export const combineInbound = (messages) => {
+  const sorted = [...messages].sort((a, b) =>
+    Date.parse(a.timestamp || a.receivedAt) - Date.parse(b.timestamp || b.receivedAt));
+  if (sorted.length === 1) return sorted[0];
+
+  const last = sorted[sorted.length - 1];
+  return {
+    ...last,
+    type: sorted.some(m => m.type !== last.type) ? "mixed" : last.type,
+    text: sorted.map(m => m.text).filter(t => t && t.trim()).join("\n"),
+    media: sorted.flatMap(m => m.media || []),
+    location: [...sorted].reverse().find(m => m.location)?.location || null,
+    contacts: sorted.flatMap(m => m.contacts || []),
+    messageIds: sorted.map(m => m.messageId).filter(Boolean),
+    timestamp: sorted[0].timestamp || null,
+    receivedAt: sorted[0].receivedAt
+  };
+};
@@ -0,0 +1,92 @@
+// emergency.mjs
+// Detector de emergencias por reglas (gas, eléctrico, incendio). Corre antes de llamar
+// al modelo, sobre el texto y sobre las transcripciones de audio, para que el mensaje
+// de seguridad salga aunque Bedrock esté lento o caído.
+
+// Minúsculas y sin tildes: "pérdida" y "perdida" matchean igual
+export const normalizeText = (text) =>
+  (text || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+const RULES = [
+  {
+    type: "gas",
+    patterns: [
+      /\b(olor|olorcito|huele|olemos|siento)\s+(a|al|como a)\s+gas\b/,
+      /\b(perdida|fuga|escape|perdidas)\s+de\s+gas\b/,
+      /\b(pierde|sale|se escapa|larga)\s+gas\b/,
+      /\bgas\b[^.!?]{0,30}\b(pierde|escapa|sale|olor|huele)\b/,
+      /\bmonoxido\b/
+    ]
+  },
+  {
+    type: "incendio",
+    patterns: [
+      /\bhumo\b/,
+      // "fuego" solo no alcanza: la hornalla y el calefón también tienen fuego ("no prende el
+      // fuego", "tiene el fuego muy bajo")
+      /\b(hay|sale|salen|veo|vemos|agarro|agarra|tomo)\s+(un\s+|mucho\s+)?fuego\b/,
+      /\bprendi(o|eron)\s+fuego\b/,
+      /\bincendio\b/,
+      // "llama" sola es el verbo ("se llama Rivadavia", "me llamas") o la del calefón: solo
+      // cuenta con contexto de fuego
+      /\b(salen|salian|hay|veo|vemos|tira|largan?)\s+llamas\b/,
+      /(?<!\b(me|te|nos|le|les)\s)\bllamas\s+(en|por|saliendo)\b/,
+      /\ben llamas\b/,
+      /\bse (prendio|esta prendiendo) fuego\b/
+    ]
+  },
+  {
+    type: "electrico",
+    patterns: [
+      // "chispa" sola es el encendido del termotanque o la hornalla ("no hace chispa")
+      /\b(sale|salen|salta|saltan|tira|tiran|larga|largan|hay|hace|hacen|hizo)\s+(unas\s+|muchas\s+)?chispas\b/,
+      /\b(enchufe|toma|tomacorriente|cable|tablero|termica|zapatilla)s?\b[^.!?]{0,30}\bchispa/,
+      /\bchispea\b/,
+      /\bchisporrote/,
+      /\bcorto ?circuito\b/,
+      /\bolor a quemado\b/,
+      /\b(cable|cables|enchufe|toma|tomacorriente)s?\b[^.!?]{0,30}\b(quemad|derretid|prendid)/,
+      /\b(me|le|nos) (dio|da|patea) (corriente|la corriente|electricidad)\b/,
+      /\bpatea (la )?corriente\b/
+    ]
+  }
+];
+
+// "no hay olor a gas", "ya no sale humo", "no sé si hay olor a gas": negación pegada antes del match
+const NEGATION = /\b(no|ni|ya no|nunca|no se si|no sabemos si)\s+(hay|siento|sentimos|huele|sale|tengo|tenemos|veo|vemos|hubo)?\s*(ningun|ninguna|mas)?\s*$/;
+// "el gas no sale de la hornalla": negación entre el sujeto y el verbo, dentro del match
+const NEGATION_INSIDE = /\b(no|ni|nunca)\b/;
+// "olor a gas no hay": negación justo después y cerrando la frase ("olor a gas no hay nadie
+// en casa" sigue siendo una emergencia)
+const NEGATION_AFTER = /^\s+(no|ya no)\s+(hay|hubo|se siente|siento|sentimos|sale)\s*([.,;!?]|$)/;
+
+const isNegated = (normalized, match) => {
+  const before = normalized.slice(Math.max(0, match.index - 25), match.index);
+  const after = normalized.slice(match.index + match[0].length);
+  return NEGATION.test(before) || NEGATION_INSIDE.test(match[0]) || NEGATION_AFTER.test(after);
+};
+
+// Devuelve { type, matches } para la regla de mayor prioridad (gas > incendio > eléctrico), o null.
+export const detectEmergency = (text) => {
+  const normalized = normalizeText(text);
+  if (!normalized.trim()) return null;
+
+  for (const rule of RULES) {
+    const matches = [];
+    for (const pattern of rule.patterns) {
+      // La primera aparición sin negar: "el gas no sale, pero huele a gas" sigue siendo gas
+      const match = [...normalized.matchAll(new RegExp(pattern.source, "g"))].find(m => !isNegated(normalized, m));
+      if (match) matches.push(match[0]);
+    }
+    if (matches.length) return { type: rule.type, matches };
+  }
+
+  return null;
+};
+
+// Mensajes fijos y revisados: no pasan por el modelo.
+export const SAFETY_MESSAGES = {
+  gas: "🚨 Por tu seguridad, ahora mismo: no prendas ni apagues luces ni aparatos, no uses fuego ni fósforos. Abrí puertas y ventanas, cerrá la llave de paso del gas si podés hacerlo sin riesgo y salí del lugar. Desde afuera llamá a Bomberos (100) o al 911. Ya marcamos tu caso como URGENTE y avisamos al equipo de guardia.",
+  incendio: "🚨 Por tu seguridad: salí del lugar ya y no intentes apagar el fuego si es grande. Llamá a Bomberos (100) o al 911 desde afuera. Si podés hacerlo sin riesgo, cortá la luz desde la térmica. Ya marcamos tu caso como URGENTE y avisamos al equipo de guardia.",
+  electrico: "⚠️ Por tu seguridad: no toques el enchufe, los cables ni el artefacto. Si podés hacerlo sin riesgo y sin tocar agua, bajá la térmica o el disyuntor. Si hay humo o fuego, salí y llamá a Bomberos (100) o al 911. Ya marcamos tu caso como URGENTE y avisamos al equipo de guardia."
+};
@@ -0,0 +1,45 @@
+// escalation.mjs
+// Escalamiento de casos urgentes al equipo de Toori. Los hooks registrados se
+// disparan en paralelo y nunca tiran excepción hacia el handler.
+
+const ESCALATION_WEBHOOK_URL = process.env.ESCALATION_WEBHOOK_URL;
+
+const hooks = [];
+
+export const registerEscalationHook = (name, fn) => {
+  hooks.push({ name, fn });
+};
+
+// Hook por defecto: POST JSON a un webhook (Slack, backend de tickets, etc.)
+if (ESCALATION_WEBHOOK_URL) {
+  registerEscalationHook("webhook", async (escalation) => {
+    const resp = await fetch(ESCALATION_WEBHOOK_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(escalation),
+      signal: AbortSignal.timeout(5000)
+    });
+    if (!resp.ok) throw new Error(`Escalation webhook error: ${resp.status}`);
+    return { status: resp.status };
+  });
+}
+
+// escalation: { reason, type?, userId, channel, phone, identified, direccion?, problema?, text?, at }
+export const fireEscalation = async (escalation) => {
+  const payload = { at: new Date().toISOString(), ...escalation };
+  console.warn("[ESCALATION] 🚨 Escalando caso:", JSON.stringify(payload));
+
+  if (!hooks.length) {
+    console.warn("[ESCALATION] No hay hooks de escalamiento configurados");
+    return [];
+  }
+
+  const results = await Promise.allSettled(hooks.map(h => h.fn(payload)));
+  return results.map((r, i) => {
+    if (r.status === "rejected") {
+      console.error(`[ESCALATION] Hook ${hooks[i].name} falló:`, r.reason?.message || r.reason);
+      return { hook: hooks[i].name, ok: false, error: r.reason?.message || String(r.reason) };
+    }
+    return { hook: hooks[i].name, ok: true, result: r.value };
+  });
+};
@@ -0,0 +1,133 @@
+// handoff.mjs
+// Modo humano: una persona del equipo de Toori toma la conversación. Mientras está activo
+// index.mjs no llama a Bedrock; guarda lo que manda el inquilino y avisa al canal de
+// operadores. Lo que responde el operador (POST /operator/reply) sale por el canal del
+// inquilino y queda en el historial como role "operator". El estado se guarda en
+// HISTORY_BUCKET como handoff/<userId>.json:
+//
+// {
+//   userId, active,
+//   reason: "user_request" | "empty_messages" | "staff",
+//   by,                           // operador que la tomó (solo "staff")
+//   channel: "meta" | "twilio" | "web",
+//   phone,
+//   startedAt, releasedAt?, releasedBy?, updatedAt
+// }
+//
+// Los avisos a operadores son un POST JSON a OPERATOR_WEBHOOK_URL (Slack, consola, etc.):
+//   { type: "handoff_started" | "message" | "handoff_released", userId, channel, phone, ... }
+import { S3Client, PutObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+import { normalizeText } from "./emergency.mjs";
+import { emitMetric } from "./metrics.mjs";
+
+const REGION = process.env.AWS_REGION || "us-west-2";
+const HISTORY_BUCKET = process.env.HISTORY_BUCKET || "toori-chat-history";
+const OPERATOR_WEBHOOK_URL = process.env.OPERATOR_WEBHOOK_URL;
+// Canal para tomar conversaciones wa:<número> que nunca estuvieron en modo humano
+const OPERATOR_DEFAULT_CHANNEL = process.env.OPERATOR_DEFAULT_CHANNEL || "twilio";
+
+const s3 = new S3Client({ region: REGION });
+
+export const HANDOFF_MESSAGE = "Te paso con una persona del equipo de Toori. En un ratito te escribe por acá.";
+
+const HUMAN_REQUEST_PATTERNS = [
+  /\b(hablar|comunicarme|contactarme|pasame|pasarme)\s+con\s+(un |una |alguna |algun )?(persona|humano|operador|operadora|agente|alguien)\b/,
+  /\bpersona (real|de verdad)\b/,
+  /\b(un|una) (humano|operador|operadora)\b/,
+  /\bno (quiero|me sirve) (hablar con )?(un |una )?(bot|robot|maquina|contestador)\b/
+];
+
+// El usuario pide que lo atienda una persona
+export const detectHumanRequest = (text) => {
+  const normalized = normalizeText(text);
+  return HUMAN_REQUEST_PATTERNS.some(p => p.test(normalized));
+};
+
+const handoffKey = (userId) => `handoff/${encodeURIComponent(userId)}.json`;
+
+export const loadHandoff = async (userId) => {
+  try {
+    const res = await s3.send(new GetObjectCommand({ Bucket: HISTORY_BUCKET, Key: handoffKey(userId) }));
+    return JSON.parse(await res.Body.transformToString());
+  } catch (e) {
+    if (e?.name !== "NoSuchKey") console.warn("[HANDOFF] No se pudo cargar el estado:", e?.name, e?.message);
+    return null;
+  }
+};
+
+const saveHandoff = async (state) => {
+  const next = { ...state, updatedAt: new Date().toISOString() };
+  await s3.send(new PutObjectCommand({
+    Bucket: HISTORY_BUCKET,
+    Key: handoffKey(state.userId),
+    Body: JSON.stringify(next),
+    ContentType: "application/json"
+  }));
+  return next;
+};
+
+// Nunca tira excepción: si el canal de operadores falla, el mensaje igual queda en el historial
+export const notifyOperators = async (notice) => {
+  const payload = { at: new Date().toISOString(), ...notice };
+  console.log("[HANDOFF] Aviso a operadores:", JSON.stringify(payload));
+  if (!OPERATOR_WEBHOOK_URL) {
+    console.warn("[HANDOFF] OPERATOR_WEBHOOK_URL no configurado, no se avisa a nadie");
+    return { ok: false, error: "not_configured" };
+  }
+  try {
+    const resp = await fetch(OPERATOR_WEBHOOK_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(5000)
+    });
+    if (!resp.ok) throw new Error(`Operator webhook error: ${resp.status}`);
+    return { ok: true, status: resp.status };
+  } catch (e) {
+    console.error("[HANDOFF] No se pudo avisar a los operadores:", e?.message || e);
+    return { ok: false, error: e?.message || String(e) };
+  }
+};
+
+// Canal y teléfono para responderle al usuario. El teléfono sale siempre del userId (wa:<número>);
+// el canal es el del estado anterior o el canal por defecto. Nada de lo que mande un cliente
+// puede cambiar a quién le llegan las respuestas del operador.
+export const contactFor = (userId, previous = null) => {
+  const wa = userId.match(/^wa:(\d+)$/);
+  if (!wa) return { channel: "web", phone: null };
+  const channel = previous?.channel === "meta" || previous?.channel === "twilio" ? previous.channel : OPERATOR_DEFAULT_CHANNEL;
+  return { channel, phone: `+${wa[1]}` };
+};
+
+// channel es el canal de WhatsApp por el que llegó el mensaje (meta | twilio), si lo hay. El resto
+// de las opciones (text, media, direccion, problema) solo van en el aviso a operadores
+export const startHandoff = async (userId, reason, { channel, by = null, ...notice } = {}) => {
+  const previous = await loadHandoff(userId);
+  if (previous?.active) return previous;
+
+  const contact = contactFor(userId, channel ? { channel } : previous);
+  const state = await saveHandoff({
+    userId,
+    active: true,
+    reason,
+    by,
+    ...contact,
+    startedAt: new Date().toISOString()
+  });
+  console.warn(`[HANDOFF] 🙋 Conversación de ${userId} pasa a un operador (${reason})`);
+  emitMetric("HandoffStarted", 1, { Reason: reason });
+  await notifyOperators({ type: "handoff_started", userId, reason, by, ...contact, ...notice });
+  return state;
+};
+
+// null si la conversación no estaba en modo humano
+export const releaseHandoff = async (userId, { by = null } = {}) => {
+  const previous = await loadHandoff(userId);
+  if (!previous?.active) return null;
+
+  const state = await saveHandoff({ ...previous, active: false, releasedAt: new Date().toISOString(), releasedBy: by });
+  console.log(`[HANDOFF] Conversación de ${userId} vuelve al bot (${by || "sin operador"})`);
+  emitMetric("HandoffReleased", 1);
+  await notifyOperators({ type: "handoff_released", userId, by, channel: state.channel, phone: state.phone });
+  return state;
+};
@@ -0,0 +1,131 @@
+// historySummary.mjs
+// Modo HISTORY_MODE=summary: en vez de cortar el historial a los últimos MAX_TURNS,
+// cuando la conversación pasa HISTORY_TOKEN_BUDGET o MAX_TURNS*2 mensajes los turnos viejos
+// se condensan con Bedrock en una entrada role "summary" que se guarda al principio del historial:
+//
+// { role: "summary", content: [{ type: "text", text }], turns, at, media?, location?, contacts? }
+//
+// media/location/contacts de los mensajes resumidos se conservan en la entrada para que
+// el ticket (attachConversationInputs) siga recibiendo todas las fotos y la ubicación.
+//
+// El resumen va en el system prompt del siguiente request (no como mensaje, para no
+// romper la alternancia user/assistant). La transcripción completa se guarda aparte,
+// turno por turno, en transcripts/<userId>/<timestamp>.json para auditoría.
+import { BedrockRuntimeClient, InvokeModelCommand } from "@aws-sdk/client-bedrock-runtime";
+import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import crypto from "crypto";
+
+const REGION = process.env.AWS_REGION || "us-west-2";
+const HISTORY_BUCKET = process.env.HISTORY_BUCKET || "toori-chat-history";
+const SUMMARY_MODEL_ID = process.env.SUMMARY_MODEL_ID || process.env.MODEL_ID || "anthropic.claude-3-5-sonnet-20241022-v2:0";
+export const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET || "6000", 10);
+export const HISTORY_KEEP_RECENT = parseInt(process.env.HISTORY_KEEP_RECENT || "8", 10);
+
+const bedrock = new BedrockRuntimeClient({ region: REGION });
+const s3 = new S3Client({ region: REGION });
+
+const SUMMARY_PROMPT = `Resumís conversaciones entre un asistente de Toori y un inquilino que reporta un problema en su casa.
+Escribí en español, en viñetas cortas, solo hechos dichos en la conversación:
+- Nombre, si es inquilino, dirección exacta, teléfono o contacto alternativo, disponibilidad.
+- Problema, técnico que hace falta, urgencia, fotos mandadas y lo que se vio en ellas.
+- Medidas de seguridad o preventivas que ya se le dieron.
+- Si el pedido ya se registró, escalamientos y qué se le prometió al usuario.
+- Preguntas que quedaron sin responder.
+Copiá nombres, direcciones y teléfonos textuales. No inventes nada. Máximo 250 palabras.`;
+
+export const isSummary = (m) => m.role === "summary";
+const isChat = (m) => m.role === "user" || m.role === "assistant";
+
+const messageText = (m) => (m.content || []).filter(c => c.type === "text").map(c => c.text).join(" ");
+
+// Aproximación barata (~4 caracteres por token); alcanza para decidir cuándo resumir
+export const estimateTokens = (messages) =>
+  Math.ceil(messages.reduce((acc, m) => acc + messageText(m).length, 0) / 4);
+
+const transcriptLine = (m) => {
+  if (m.role === "event") return `[Evento: ${m.type} ${m.status || ""}${m.ackedBy ? ` por ${m.ackedBy.name}` : ""}]`;
+  const extras = [
+    m.media?.length ? `[${m.media.length} adjunto(s)]` : "",
+    m.pedido?.registrado ? "[pedido registrado]" : ""
+  ].filter(Boolean).join(" ");
+  const who = { user: "Usuario", operator: "Operador" }[m.role] || "Asistente";
+  return `${who}: ${messageText(m)}${extras ? ` ${extras}` : ""}`;
+};
+
+export const summarizeTurns = async (previousSummary, messages) => {
+  const transcript = messages.map(transcriptLine).join("\n");
+  const input = [
+    previousSummary ? `Resumen anterior:\n${previousSummary}\n` : "",
+    `Conversación a resumir:\n${transcript}`
+  ].filter(Boolean).join("\n");
+
+  const res = await bedrock.send(new InvokeModelCommand({
+    modelId: SUMMARY_MODEL_ID,
+    contentType: "application/json",
+    accept: "application/json",
+    body: JSON.stringify({
+      anthropic_version: "bedrock-2023-05-31",
+      system: SUMMARY_PROMPT,
+      max_tokens: 700,
+      temperature: 0,
+      messages: [{ role: "user", content: [{ type: "text", text: input }] }]
+    })
+  }));
+  const out = JSON.parse(await res.body.transformToString());
+  const text = (out.content || []).filter(c => c.type === "text").map(c => c.text).join("\n").trim();
+  if (!text) throw new Error("Resumen vacío");
+  return text;
+};
+
+// Devuelve { summary, recent, summarized }. recent es lo que queda sin resumir (incluye
+// entradas "event") y siempre arranca en un mensaje del usuario. Resume cuando se pasa del
+// presupuesto de tokens o de maxMessages mensajes (el recorte del modo truncate), para que
+// ningún turno salga del contexto sin pasar por el resumen.
+export const compactHistory = async (history, { budget = HISTORY_TOKEN_BUDGET, keepRecent = HISTORY_KEEP_RECENT, maxMessages = Infinity } = {}) => {
+  const summary = history.find(isSummary) || null;
+  const rest = history.filter(m => !isSummary(m));
+  const chat = rest.filter(isChat);
+
+  if (estimateTokens(chat) <= budget && chat.length <= maxMessages) return { summary, recent: rest, summarized: false };
+
+  let cut = Math.max(0, chat.length - keepRecent);
+  while (cut < chat.length && chat[cut].role !== "user") cut++;
+  const start = cut < chat.length ? rest.indexOf(chat[cut]) : rest.length;
+  const older = rest.slice(0, start);
+  if (!older.some(isChat)) return { summary, recent: rest, summarized: false };
+
+  console.log(`[SUMMARY] Resumiendo ${older.length} mensajes (${chat.length} mensajes, ~${estimateTokens(chat)} tokens; límites ${maxMessages} / ${budget})`);
+  const text = await summarizeTurns(summary ? messageText(summary) : null, older);
+  const olderUser = [...(summary ? [summary] : []), ...older.filter(m => m.role === "user")];
+  const media = olderUser.flatMap(m => m.media || []);
+  const location = [...olderUser].reverse().find(m => m.location)?.location;
+  const contacts = olderUser.flatMap(m => m.contacts || []);
+  return {
+    summary: {
+      id: crypto.randomUUID(),
+      role: "summary",
+      content: [{ type: "text", text }],
+      turns: (summary?.turns || 0) + older.filter(isChat).length,
+      at: new Date().toISOString(),
+      ...(media.length && { media }),
+      ...(location && { location }),
+      ...(contacts.length && { contacts })
+    },
+    recent: rest.slice(start),
+    summarized: true
+  };
+};
+
+export const summaryPrompt = (summary) =>
+  summary ? `CONVERSACIÓN HASTA AHORA (resumen de ${summary.turns} mensajes anteriores; estos datos ya los dio el usuario):\n${messageText(summary)}` : "";
+
+// Copia completa e inmutable de cada turno, aunque el historial vivo se resuma o recorte
+export const saveTranscriptTurn = async (userId, entries) => {
+  const at = new Date().toISOString();
+  await s3.send(new PutObjectCommand({
+    Bucket: HISTORY_BUCKET,
+    Key: `transcripts/${encodeURIComponent(userId)}/${at.replace(/[:.]/g, "-")}.json`,
+    Body: JSON.stringify({ userId, at, entries }),
+    ContentType: "application/json"
+  }));
+};
@@ -0,0 +1,156 @@
+// idempotency.mjs
+// Ids ya procesados (wamid de Meta / MessageSid de Twilio) con claim atómico: el primero
+// que reclama una clave la procesa y los reintentos / entregas duplicadas la encuentran tomada.
+//
+//   claim(scope, key)             -> { claimed: true } | { claimed: false, record }
+//   complete(scope, key, result)  marca la clave como terminada (queda hasta que vence el TTL)
+//   release(scope, key)           la libera si el procesamiento falló, para que se reintente
+//
+// Registro: { scope, key, status: "processing" | "done", claimedAt, leaseUntil, expiresAt, result? }
+// Una clave "processing" con leaseUntil vencido (Lambda que murió a mitad de camino) o un
+// registro con expiresAt vencido se pueden volver a reclamar.
+//
+// IDEMPOTENCY_BACKEND=s3 (default): PutObject condicional (If-None-Match: *) en
+//   HISTORY_BUCKET/idempotency/<scope>/<key>.json; retomar una clave vencida usa If-Match
+//   con el ETag leído. Conviene una regla de lifecycle que borre idempotency/ a los pocos días.
+// IDEMPOTENCY_BACKEND=memory: Map del proceso (pruebas locales, una sola instancia).
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+import { emitMetric } from "./metrics.mjs";
+
+const REGION = process.env.AWS_REGION || "us-west-2";
+const HISTORY_BUCKET = process.env.HISTORY_BUCKET || "toori-chat-history";
+const IDEMPOTENCY_BACKEND = process.env.IDEMPOTENCY_BACKEND || "s3";
+// Meta reintenta webhooks hasta 7 días
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || "168", 10);
+const IDEMPOTENCY_LEASE_SEC = parseInt(process.env.IDEMPOTENCY_LEASE_SEC || "900", 10);
+
+const isConditionFailure = (e) =>
+  e?.name === "PreconditionFailed" || e?.name === "ConditionalRequestConflict" ||
+  e?.$metadata?.httpStatusCode === 412 || e?.$metadata?.httpStatusCode === 409;
+
+// Store: create (falla si existe), read ({ record, version }), replace (falla si cambió), write, remove
+export const createS3IdempotencyStore = (bucket = HISTORY_BUCKET) => {
+  const s3 = new S3Client({ region: REGION });
+  const objectKey = (scope, key) => `idempotency/${scope}/${encodeURIComponent(key)}.json`;
+  const put = (record, conditions = {}) => s3.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: objectKey(record.scope, record.key),
+    Body: JSON.stringify(record),
+    ContentType: "application/json",
+    ...conditions
+  }));
+
+  return {
+    create: async (record) => {
+      try { await put(record, { IfNoneMatch: "*" }); return true; } catch (e) {
+        if (isConditionFailure(e)) return false;
+        throw e;
+      }
+    },
+    read: async (scope, key) => {
+      try {
+        const res = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(scope, key) }));
+        return { record: JSON.parse(await res.Body.transformToString()), version: res.ETag };
+      } catch (e) {
+        if (e?.name === "NoSuchKey") return null;
+        throw e;
+      }
+    },
+    replace: async (record, version) => {
+      try { await put(record, { IfMatch: version }); return true; } catch (e) {
+        if (isConditionFailure(e)) return false;
+        throw e;
+      }
+    },
+    write: (record) => put(record),
+    remove: (scope, key) => s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(scope, key) }))
+  };
+};
+
+export const createMemoryIdempotencyStore = () => {
+  const items = new Map();
+  let counter = 0;
+  const id = (scope, key) => `${scope}/${key}`;
+
+  return {
+    create: async (record) => {
+      if (items.has(id(record.scope, record.key))) return false;
+      items.set(id(record.scope, record.key), { record, version: String(++counter) });
+      return true;
+    },
+    read: async (scope, key) => items.get(id(scope, key)) || null,
+    replace: async (record, version) => {
+      const current = items.get(id(record.scope, record.key));
+      if (!current || current.version !== version) return false;
+      items.set(id(record.scope, record.key), { record, version: String(++counter) });
+      return true;
+    },
+    write: async (record) => { items.set(id(record.scope, record.key), { record, version: String(++counter) }); },
+    remove: async (scope, key) => { items.delete(id(scope, key)); }
+  };
+};
+
+export const createIdempotency = (store, { ttlHours = IDEMPOTENCY_TTL_HOURS, leaseSec = IDEMPOTENCY_LEASE_SEC } = {}) => {
+  const newRecord = (scope, key, status, extra = {}) => {
+    const now = Date.now();
+    return {
+      scope,
+      key,
+      status,
+      claimedAt: new Date(now).toISOString(),
+      leaseUntil: new Date(now + leaseSec * 1000).toISOString(),
+      expiresAt: new Date(now + ttlHours * 3600 * 1000).toISOString(),
+      ...extra
+    };
+  };
+
+  const isStale = (record) => {
+    const now = Date.now();
+    return Date.parse(record.expiresAt) < now ||
+      (record.status === "processing" && Date.parse(record.leaseUntil) < now);
+  };
+
+  const claim = async (scope, key) => {
+    // Sin id (p. ej. web sin messageId) no hay nada que deduplicar
+    if (!key) return { claimed: true, skipped: true };
+
+    const record = newRecord(scope, key, "processing");
+    for (let attempt = 0; attempt < 2; attempt++) {
+      if (await store.create(record)) return { claimed: true };
+
+      const existing = await store.read(scope, key);
+      if (!existing) continue; // se borró entre medio, probamos de nuevo
+      if (isStale(existing.record) && await store.replace(record, existing.version)) {
+        console.warn(`[IDEMPOTENCY] Clave ${scope}/${key} retomada (estaba ${existing.record.status}, vencida)`);
+        return { claimed: true, reclaimed: true };
+      }
+
+      console.log(`[IDEMPOTENCY] ${scope}/${key} ya tomado (${existing.record.status})`);
+      emitMetric("DuplicateMessageIgnored", 1, { Scope: scope });
+      return { claimed: false, record: existing.record };
+    }
+    return { claimed: false, record: null };
+  };
+
+  const complete = async (scope, key, result) => {
+    if (!key) return;
+    await store.write(newRecord(scope, key, "done", result !== undefined ? { result } : {}));
+  };
+
+  const release = async (scope, key) => {
+    if (!key) return;
+    await store.remove(scope, key);
+  };
+
+  return { claim, complete, release };
+};
+
+let idempotency;
+// Instancia configurada por env (una por proceso)
+export const getIdempotency = () => {
+  if (!idempotency) {
+    const store = IDEMPOTENCY_BACKEND === "memory" ? createMemoryIdempotencyStore() : createS3IdempotencyStore();
+    idempotency = createIdempotency(store);
+  }
+  return idempotency;
+};
@@ -0,0 +1,325 @@
+// inboundMessage.mjs
+// Normalización de eventos entrantes (Meta Cloud API, Twilio, web) a un único
+// registro InboundMessage que consumen index.mjs y WhatsAppAdapter.mjs:
+//
+// {
+//   channel: "meta" | "twilio" | "web",
+//   from: "+5491122334455" | null,        // E.164, null en web
+//   userId: "wa:5491122334455" | "web:<id>",
+//   anonymous: boolean,                    // web sin sesión ni userId de un servicio interno
+//   messageId: string | null,              // wamid de Meta / MessageSid de Twilio
+//   messageIds?: [string],                 // solo en ráfagas unidas por debounce.mjs
+//   type: "text" | "audio" | "image" | ..., // tipo principal del mensaje
+//   text: string,
+//   media: [{ url?, id?, contentType, kind, caption?, filename? }],
+//   location: { latitude, longitude, name?, address?, url? } | null,
+//   contacts: [{ name, phones: [string], emails?: [string], org? }],
+//   replyTo: string | null,                // id del mensaje citado
+//   replyChannel?: "meta" | "twilio",      // solo en web de un servicio interno (WhatsAppAdapter): canal real del usuario
+//   transcriptions?: [{ key, provider, confidence?, doubtful? }], // ídem: audios que ya transcribió WhatsAppAdapter
+//   profileName: string | null,
+//   timestamp: ISO string | null,          // hora informada por el proveedor
+//   receivedAt: ISO string
+// }
+
+import crypto from "crypto";
+import { getHeader, readRawBody } from "./webhookAuth.mjs";
+
+export const normalizePhone = (s) => (s || "").replace(/\D/g, "");
+
+const mediaKind = (contentType) => {
+  const type = (contentType || "").toLowerCase();
+  if (type.startsWith("audio/")) return "audio";
+  if (type.startsWith("image/")) return "image";
+  if (type.startsWith("video/")) return "video";
+  return "document";
+};
+
+export const readBodyText = (event) => readRawBody(event).toString("utf8");
+
+// Parsea el form de Twilio. Si el body llegó entero en una sola clave
+// (base64 o URL-encoded de más), lo decodifica y vuelve a parsear.
+export const parseTwilioParams = (rawBody) => {
+  let params = new URLSearchParams(rawBody);
+  let allKeys = Array.from(params.keys());
+
+  // If parsing failed (all data in one key), try to fix it
+  if (allKeys.length === 1 && allKeys[0].length > 100 && !params.get(allKeys[0])) {
+    const singleKey = allKeys[0];
+
+    // Try to decode if it looks like base64, else URL decode, else use it as is
+    let decodedBody = singleKey;
+    try {
+      if (/^[A-Za-z0-9+/]+=*$/.test(singleKey)) {
+        decodedBody = Buffer.from(singleKey, 'base64').toString('utf8');
+      }
+    } catch (e) {
+      try { decodedBody = decodeURIComponent(singleKey); } catch { /* queda como está */ }
+    }
+
+    // Re-parse with the potentially decoded body
+    params = new URLSearchParams(decodedBody);
+    allKeys = Array.from(params.keys());
+    console.warn(`[Twilio] El body llegó entero en una sola clave; después de decodificarlo hay ${allKeys.length} campos`);
+  }
+
+  return { params, allKeys };
+};
+
+// Primer paso: identificar el canal y parsear el body, sin interpretar el mensaje.
+// Los handlers validan firmas con este resultado antes de seguir.
+export const parseInboundEvent = (event) => {
+  const rawBody = readBodyText(event);
+  const ct = (getHeader(event.headers, "content-type") || "").toLowerCase();
+
+  if (rawBody && ct.includes("application/x-www-form-urlencoded")) {
+    const { params } = parseTwilioParams(rawBody);
+    return { channel: "twilio", rawBody, params };
+  }
+
+  let payload = {};
+  if (rawBody) {
+    try {
+      payload = JSON.parse(rawBody);
+    } catch (e) {
+      console.warn("[INBOUND] Body no es JSON válido:", e?.message);
+      payload = {};
+    }
+  }
+
+  if (payload?.object === "whatsapp_business_account" || Array.isArray(payload?.entry)) {
+    return { channel: "meta", rawBody, payload };
+  }
+
+  return { channel: "web", rawBody, payload };
+};
+
+const toE164 = (phone) => {
+  const digits = normalizePhone(phone);
+  return digits ? `+${digits}` : null;
+};
+
+const fromUnixSeconds = (value) => {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
+};
+
+const META_MEDIA_TYPES = ["audio", "image", "video", "document", "sticker"];
+
+const metaText = (message) => {
+  if (message.text?.body) return message.text.body;
+  if (message.button?.text) return message.button.text;
+  if (message.interactive?.button_reply?.title) return message.interactive.button_reply.title;
+  if (message.interactive?.list_reply?.title) return message.interactive.list_reply.title;
+  const media = message[message.type];
+  if (META_MEDIA_TYPES.includes(message.type) && media?.caption) return media.caption;
+  return "";
+};
+
+const metaLocation = (message) => {
+  const loc = message.location;
+  if (!loc || loc.latitude == null || loc.longitude == null) return null;
+  return {
+    latitude: Number(loc.latitude),
+    longitude: Number(loc.longitude),
+    ...(loc.name && { name: loc.name }),
+    ...(loc.address && { address: loc.address }),
+    ...(loc.url && { url: loc.url })
+  };
+};
+
+const metaContacts = (message) => (message.contacts || []).map(c => ({
+  name: c.name?.formatted_name || [c.name?.first_name, c.name?.last_name].filter(Boolean).join(" ") || null,
+  phones: (c.phones || []).map(p => p.phone || (p.wa_id ? `+${p.wa_id}` : null)).filter(Boolean),
+  ...(c.emails?.length && { emails: c.emails.map(e => e.email).filter(Boolean) }),
+  ...(c.org?.company && { org: c.org.company })
+}));
+
+export const normalizeMetaPayload = (payload) => {
+  const value = payload?.entry?.[0]?.changes?.[0]?.value;
+  const message = value?.messages?.[0];
+  if (!message) {
+    // Confirmaciones de entrega/lectura (value.statuses) y otros eventos sin mensaje
+    console.log("[INBOUND] Evento de Meta sin mensajes, ignorado");
+    return null;
+  }
+
+  const from = toE164(message.from || value?.contacts?.[0]?.wa_id);
+  const media = [];
+  if (META_MEDIA_TYPES.includes(message.type) && message[message.type]?.id) {
+    const m = message[message.type];
+    const contentType = m.mime_type || (message.type === "audio" ? "audio/ogg" : "application/octet-stream");
+    media.push({
+      id: m.id,
+      contentType,
+      kind: message.type === "sticker" ? "image" : message.type,
+      ...(m.caption && { caption: m.caption }),
+      ...(m.filename && { filename: m.filename })
+    });
+  }
+
+  return {
+    channel: "meta",
+    from,
+    userId: from ? `wa:${normalizePhone(from)}` : "anon",
+    anonymous: !from,
+    messageId: message.id || null,
+    type: message.type || "text",
+    text: metaText(message).trim(),
+    media,
+    location: metaLocation(message),
+    contacts: metaContacts(message),
+    replyTo: message.context?.id || null,
+    profileName: value?.contacts?.[0]?.profile?.name || null,
+    timestamp: fromUnixSeconds(message.timestamp),
+    receivedAt: new Date().toISOString()
+  };
+};
+
+export const normalizeTwilioParams = (params) => {
+  let from = params.get("From") || "";
+  const waid = params.get("WaId");
+  const body = params.get("Body") || "";
+  const smsStatus = (params.get("SmsStatus") || "").toLowerCase();
+  const messageStatus = params.get("MessageStatus");
+  const numMedia = Number(params.get("NumMedia") || "0");
+  const messageSid = params.get("MessageSid") || params.get("SmsSid");
+
+  // URL decode the From field if it's encoded
+  if (from.includes('%')) {
+    from = decodeURIComponent(from);
+  }
+
+  // Los callbacks de estado (sent/delivered/read) traen MessageStatus y no son mensajes
+  const isInbound = (smsStatus === "received") || !!body || numMedia > 0 || !!params.get("Latitude");
+  if (!(from || waid) || !isInbound || messageStatus) {
+    console.log(`[Twilio] Ignorado ${messageSid || "(sin MessageSid)"}${messageStatus ? ` (estado ${messageStatus})` : ""}`);
+    return null;
+  }
+  // Sin teléfono ni texto en los logs
+  console.log(`[Twilio] Mensaje ${messageSid}: ${body.length} caracteres, ${numMedia} adjunto(s)`);
+
+  const media = [];
+  for (let i = 0; i < numMedia; i++) {
+    const url = params.get(`MediaUrl${i}`);
+    if (!url) continue;
+    const contentType = params.get(`MediaContentType${i}`) || "application/octet-stream";
+    media.push({ url, contentType, kind: mediaKind(contentType) });
+  }
+
+  // Twilio manda las ubicaciones compartidas como Latitude/Longitude (+ Address/Label)
+  const latitude = params.get("Latitude");
+  const longitude = params.get("Longitude");
+  const location = latitude && longitude ? {
+    latitude: Number(latitude),
+    longitude: Number(longitude),
+    ...(params.get("Label") && { name: params.get("Label") }),
+    ...(params.get("Address") && { address: params.get("Address") })
+  } : null;
+
+  // WaId suele venir más limpio que From
+  const phone = toE164(waid || from.replace(/^whatsapp:/, ""));
+
+  return {
+    channel: "twilio",
+    from: phone,
+    userId: phone ? `wa:${normalizePhone(phone)}` : "anon",
+    anonymous: !phone,
+    messageId: messageSid || null,
+    type: params.get("MessageType") || (location ? "location" : media[0]?.kind ?? "text"),
+    text: body.trim(),
+    media,
+    location,
+    contacts: [],
+    replyTo: params.get("OriginalRepliedMessageSid") || null,
+    profileName: params.get("ProfileName") || null,
+    timestamp: null,
+    receivedAt: new Date().toISOString()
+  };
+};
+
+// La web (y WhatsAppAdapter, que reenvía por la web) manda location/contacts ya con la forma
+// de InboundMessage, pero el body no es confiable: se validan igual que los de Meta.
+const webString = (value, max = 200) => typeof value === "string" && value.trim() ? value.trim().slice(0, max) : null;
+const webStrings = (values) => (Array.isArray(values) ? values : []).map(v => webString(v, 100)).filter(Boolean).slice(0, 5);
+
+const webLocation = (loc) => {
+  const latitude = Number(loc?.latitude);
+  const longitude = Number(loc?.longitude);
+  if (loc?.latitude == null || loc?.longitude == null || !(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) return null;
+  const name = webString(loc.name);
+  const address = webString(loc.address);
+  const url = webString(loc.url, 500);
+  return { latitude, longitude, ...(name && { name }), ...(address && { address }), ...(url && { url }) };
+};
+
+const webContacts = (contacts) => (Array.isArray(contacts) ? contacts : [])
+  .filter(c => c && typeof c === "object")
+  .slice(0, 10)
+  .map(c => {
+    const emails = webStrings(c.emails);
+    const org = webString(c.org);
+    return { name: webString(c.name), phones: webStrings(c.phones), ...(emails.length && { emails }), ...(org && { org }) };
+  });
+
+// identity sale de resolveWebIdentity (webSession.mjs): el userId nunca se toma del body
+// salvo que lo mande un servicio interno autenticado (identity.trusted).
+export const normalizeWebPayload = (payload, identity = {}) => {
+  const input = payload?.input;
+  const text = typeof input === "string" ? input : (input?.text || "");
+  const userId = identity.userId ||
+                 `web:${payload?.requestContext?.requestId || crypto.randomUUID()}`;
+  const media = (payload?.mediaInfo?.medias || [])
+    .filter(m => m?.url)
+    .map(m => ({ url: m.url, contentType: m.contentType || "application/octet-stream", kind: mediaKind(m.contentType) }));
+  // Archivos que WhatsAppAdapter ya guardó en S3 (fotos de Meta, etc.). Solo de servicios
+  // internos: si no, cualquiera podría hacer que leamos objetos arbitrarios del bucket.
+  const stored = (identity.trusted ? payload?.mediaInfo?.files || [] : [])
+    .filter(f => f?.bucket && f?.key)
+    .map(f => ({ bucket: f.bucket, key: f.key, url: f.url || `s3://${f.bucket}/${f.key}`, contentType: f.contentType, kind: mediaKind(f.contentType) }));
+  const replyChannel = identity.trusted && (payload?.replyChannel === "meta" || payload?.replyChannel === "twilio") ? payload.replyChannel : null;
+  const transcriptions = identity.trusted && Array.isArray(payload?.transcriptions) ? payload.transcriptions : [];
+
+  return {
+    channel: "web",
+    from: identity.trusted && payload?.phone ? toE164(payload.phone) : null,
+    userId,
+    anonymous: !identity.userId,
+    messageId: payload?.messageId || null,
+    type: media[0]?.kind || "text",
+    text: text.trim(),
+    media: [...media, ...stored],
+    location: webLocation(payload?.location),
+    contacts: webContacts(payload?.contacts),
+    replyTo: payload?.replyTo || null,
+    ...(replyChannel && { replyChannel }),
+    ...(transcriptions.length && { transcriptions }),
+    profileName: null,
+    timestamp: null,
+    receivedAt: new Date().toISOString()
+  };
+};
+
+// Segundo paso: convertir el evento parseado en InboundMessage (o null si no es un mensaje).
+// identity solo aplica al canal web.
+export const toInboundMessage = (parsed, identity) => {
+  switch (parsed.channel) {
+    case "meta": return normalizeMetaPayload(parsed.payload);
+    case "twilio": return normalizeTwilioParams(parsed.params);
+    default: return normalizeWebPayload(parsed.payload, identity);
+  }
+};
+
+// Texto que ve el modelo para las entradas estructuradas (ubicación / contactos).
+export const describeLocation = (location) => {
+  if (!location) return "";
+  const label = [location.name, location.address].filter(Boolean).join(", ");
+  return `📍 Ubicación compartida${label ? `: ${label}` : ""} (lat ${location.latitude}, lng ${location.longitude})`;
+};
+
+export const describeContacts = (contacts) => {
+  if (!contacts?.length) return "";
+  return contacts
+    .map(c => `👤 Contacto compartido: ${c.name || "sin nombre"}${c.phones?.length ? ` (${c.phones.join(", ")})` : ""}`)
+    .join("\n");
+};
@@ -1,9 +1,30 @@
 // index.mjs
-import { BedrockRuntimeClient, InvokeModelCommand } from "@aws-sdk/client-bedrock-runtime";
-import { S3Client, PutObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
-import { TranscribeClient, StartTranscriptionJobCommand, GetTranscriptionJobCommand, DeleteTranscriptionJobCommand } from "@aws-sdk/client-transcribe";
-import { Readable } from "stream";
+import { BedrockRuntimeClient, InvokeModelCommand, InvokeModelWithResponseStreamCommand } from "@aws-sdk/client-bedrock-runtime";
 import crypto from "crypto";
+import { verifyTwilioRequest, verifyMetaRequest, verifyBearerToken } from "./webhookAuth.mjs";
+import { parseInboundEvent, toInboundMessage, describeLocation, describeContacts, readBodyText, parseTwilioParams, normalizePhone } from "./inboundMessage.mjs";
+import { putMedia, downloadMetaMedia, extensionFor } from "./media.mjs";
+import { prepareAudio } from "./audio.mjs";
+import { getTranscriber, transcriptionRecord } from "./transcriber.mjs";
+import { LISTENING_MESSAGE, isAsyncTranscription, startPendingTranscription, parseTranscriptionEvent, loadPendingTranscription, clearPendingTranscription } from "./pendingTranscription.mjs";
+import { buildModelMessages } from "./vision.mjs";
+import { compactHistory, summaryPrompt, saveTranscriptTurn, isSummary } from "./historySummary.mjs";
+import { REGISTRAR_PEDIDO_TOOL, validateToolInput, normalizePedidoInput, registrarPedido } from "./registrarPedido.mjs";
+import { twilioBasicAuth, sendMessages } from "./outbound.mjs";
+import { detectEmergency, SAFETY_MESSAGES } from "./emergency.mjs";
+import { fireEscalation } from "./escalation.mjs";
+import { handleOncallCallback, callbackUrlFor } from "./oncall.mjs";
+import { emitMetric } from "./metrics.mjs";
+import { getTurnQueue } from "./queue.mjs";
+import { getIdempotency } from "./idempotency.mjs";
+import { getConversationStore, saveWithMerge, appendTurn } from "./conversationStore.mjs";
+import { DEBOUNCE_MS, bufferInbound, takeWhenQuiet, combineInbound } from "./debounce.mjs";
+import { handleAdminRequest } from "./adminApi.mjs";
+import { resolveWebIdentity } from "./webSession.mjs";
+import { readModelStream, createFragmentStream, openSse, endJson, streamifyResponse } from "./streaming.mjs";
+import { isConsolePath, serveConsole } from "./consoleAssets.mjs";
+import { HANDOFF_MESSAGE, detectHumanRequest, loadHandoff, startHandoff, releaseHandoff, notifyOperators, contactFor } from "./handoff.mjs";
+import { ACTUALIZAR_CASO_TOOL, loadCaseState, saveCaseState, emptyCaseState, applyFieldUpdates, missingFields, summarizeCaseState } from "./caseState.mjs";
 
 // Debug: Log all environment variables first
 console.log('[ENV_DEBUG] All environment variables:');
@@ -17,10 +38,10 @@ console.log('[ENV_DEBUG] PHONE_NUMBER_ID:', process.env.PHONE_NUMBER_ID);
 console.log('[ENV_DEBUG] WHATSAPP_TOKEN:', process.env.WHATSAPP_TOKEN ? 'SET' : 'NOT_SET');
 
 const REGION = process.env.AWS_REGION || "us-west-2";
-const HISTORY_BUCKET = process.env.HISTORY_BUCKET || "toori-chat-history";
 const MEDIA_BUCKET = process.env.MEDIA_BUCKET || "toori360";
 const MAX_TURNS = parseInt(process.env.MAX_TURNS || "12", 10);
-const DEBUG_S3 = process.env.DEBUG_S3 === "1";
+// "truncate": últimos MAX_TURNS turnos. "summary": resumen de los turnos viejos (ver historySummary.mjs)
+const HISTORY_MODE = process.env.HISTORY_MODE || "truncate";
 const DEBUG_TWILIO = process.env.DEBUG_TWILIO === "1";
 
 const PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID;
@@ -29,6 +50,17 @@ const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
 const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
 const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
 const TWILIO_WHATSAPP_FROM = process.env.TWILIO_WHATSAPP_FROM;
+// URL pública del webhook tal como está configurada en Twilio (recomendado detrás de API Gateway)
+const TWILIO_WEBHOOK_URL = process.env.TWILIO_WEBHOOK_URL;
+// Solo para pruebas locales: desactiva la validación de X-Twilio-Signature
+const TWILIO_SIGNATURE_BYPASS = process.env.TWILIO_SIGNATURE_BYPASS === "1";
+// App Secret de Meta para X-Hub-Signature-256 (el bypass es solo para pruebas locales)
+const META_APP_SECRET = process.env.META_APP_SECRET;
+const META_SIGNATURE_BYPASS = process.env.META_SIGNATURE_BYPASS === "1";
+// Authorization: Bearer de los endpoints /operator/* (modo humano, ver handoff.mjs)
+const OPERATOR_API_TOKEN = process.env.OPERATOR_API_TOKEN;
+// La consola (console/) usa el token de admin también para tomar y responder conversaciones
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
 
 // Debug: Log the actual values after assignment
 console.log('[ENV_DEBUG] After assignment:');
@@ -37,9 +69,7 @@ console.log('[ENV_DEBUG] TWILIO_AUTH_TOKEN:', TWILIO_AUTH_TOKEN ? 'SET' : 'NOT_S
 console.log('[ENV_DEBUG] TWILIO_WHATSAPP_FROM:', TWILIO_WHATSAPP_FROM);
 console.log('[ENV_DEBUG] PHONE_NUMBER_ID:', PHONE_NUMBER_ID);
 
-const s3 = new S3Client({ region: REGION });
 const bedrock = new BedrockRuntimeClient({ region: REGION });
-const transcribe = new TranscribeClient({ region: REGION });
 
 const SYSTEM_TEXT = `Actuás como un asistente virtual joven, experto en ayudar a inquilinos con problemas en casa.
 Respondés en estilo conversacional argentino, breve y directo, como en un chat real.
@@ -48,6 +78,9 @@ Usá modismos suaves y abreviaciones comunes (tipo "x", "tmb", "info", "urgente"
 IMPORTANTE: Revisá siempre el historial de la conversación para no repetir preguntas ya hechas o información ya dada.
 
 📱 MENSAJES DE AUDIO: Cuando el usuario envía un mensaje de audio que fue transcrito automáticamente, el texto puede tener pequeños errores de transcripción. Interpretá el mensaje con contexto y sentido común. Si no entendés algo por errores de transcripción, pedí aclaración de forma amigable.
+Lo que aparece entre [[ ]] es una parte del audio que no se entendió con seguridad. Si es un dato del pedido (dirección, número, nombre, teléfono), confirmalo puntualmente antes de registrar el pedido, p. ej. "¿dijiste Rivadavia 1234?". Nunca le muestres los [[ ]] al usuario.
+
+📷 FOTOS: Cuando el usuario manda fotos, las ves adjuntas a su mensaje. Miralas con atención: usalas para deducir si es tema de plomero, gasista o electricista, y describí lo que se ve en el campo "problema" de registrar_pedido. Si la foto no muestra el problema con claridad, pedí otra.
 
 🚨 EMERGENCIAS DE GAS: Si detectás olor a gas o problemas con gas, respondé INMEDIATAMENTE con medidas de seguridad (ventilar, no encender luces, salir del lugar, llamar bomberos). Es PRIORIDAD ABSOLUTA.
 
@@ -59,7 +92,8 @@ Reglas clave:
 - Nunca le digas al cliente que se arregle solo. Nosotros nos encargamos.
 - Pedí una foto del problema, siempre.
 - Si el usuario ya te saludó, no vuelvas a presentarte.
-- Si ya tenés algún dato (nombre, dirección, etc.), no lo vuelvas a pedir.
+- Si ya tenés algún dato (nombre, dirección, etc.), no lo vuelvas a pedir. El bloque ESTADO DEL CASO al final tiene lo que ya sabemos.
+- Cada vez que el usuario te da un dato nuevo (o corrige uno), guardalo con la herramienta actualizar_caso antes de responder.
 - Si el usuario manda mensajes vacíos pero ya hablaron de un problema antes, preguntá específicamente por ese tema.
 
 Secuencia de información a recopilar (solo preguntá lo que falta):
@@ -78,23 +112,15 @@ Si el usuario manda mensajes vacíos o confusos repetidamente:
 - Segunda vez: ofrecé opciones específicas (plomería, gas, electricidad, etc.)
 - Tercera vez: sugerí que llame si no puede escribir
 
-⚠️ Solo cuando tengas TODA la información, prepará este bloque JSON (no mostrar al cliente):
-[RESUMEN_JSON]
-{
-  "nombre": "Nombre completo",
-  "direccion": "Dirección exacta",
-  "tecnico": "plomero/gasista/electricista",
-  "urgente": true/false,
-  "problema": "Descripción breve del problema"
-}
-[/RESUMEN_JSON]`;
-
-const streamToString = async (stream) => {
-  const chunks = [];
-  const s = stream instanceof Readable ? stream : Readable.from(stream);
-  for await (const chunk of s) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
-  return Buffer.concat(chunks).toString("utf-8");
-};
+⚠️ Solo cuando tengas TODA la información (nombre, dirección, problema, técnico y urgencia), llamá a la herramienta registrar_pedido.
+Nunca escribas los datos del pedido como JSON ni bloques de código en el chat: el cliente ve todo lo que escribís.
+Si la herramienta devuelve un error de validación, corregí los datos (preguntándole al usuario lo que falte) y volvé a llamarla.
+Después de registrar, confirmale al usuario que el pedido quedó cargado.`;
+
+const MODEL_ID = process.env.MODEL_ID || "anthropic.claude-3-5-sonnet-20241022-v2:0";
+// Máximo de idas y vueltas con herramientas por turno (evita loops si el modelo insiste con datos inválidos)
+const MAX_TOOL_ROUNDS = 3;
+const ESCALATION_COOLDOWN_MIN = parseInt(process.env.ESCALATION_COOLDOWN_MIN || "30", 10);
 
 const dividirRespuesta = (texto) => {
   // First, split by double newlines (paragraph breaks)
@@ -128,75 +154,242 @@ const dividirRespuesta = (texto) => {
   return messages.length > 0 ? messages : [texto.trim()];
 };
 
-const esperar = (ms) => new Promise(res => setTimeout(res, ms));
+// Bedrock exige que la conversación arranque con un mensaje del usuario
+const fromFirstUser = (chat) => {
+  const firstUser = chat.findIndex(m => m.role === "user");
+  return firstUser === -1 ? [] : chat.slice(firstUser);
+};
 
 const trimHistory = (messages) =>
-  messages.filter(m => m.role === "user" || m.role === "assistant").slice(-MAX_TURNS * 2);
+  fromFirstUser(messages.filter(m => m.role === "user" || m.role === "assistant").slice(-MAX_TURNS * 2));
 
-const loadHistory = async (userId) => {
-  const key = `history/${encodeURIComponent(userId)}.json`;
-  try {
-    if (DEBUG_S3) console.log("[S3][GET]", HISTORY_BUCKET, key);
-    const res = await s3.send(new GetObjectCommand({ Bucket: HISTORY_BUCKET, Key: key }));
-    const body = await streamToString(res.Body);
-    const parsed = JSON.parse(body);
-    
-    console.log(`[DEBUG] Historial cargado para ${userId}:`, JSON.stringify(parsed, null, 2));
-    
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (e) {
-    if (DEBUG_S3) console.warn("[S3][GET] vacío o error:", e?.name, e?.message);
-    return [];
+// Lo que se vuelve a guardar: la misma ventana que trimHistory, pero conservando las
+// entradas role "event" (escalamientos) que caen dentro de ella
+const historyWindow = (messages) => {
+  const chat = trimHistory(messages);
+  return chat.length ? messages.slice(messages.indexOf(chat[0])) : messages.filter(m => m.role === "event");
+};
+
+// Historial que ve el modelo y el que se vuelve a guardar, según HISTORY_MODE.
+// Si falla el resumen se cae al recorte de siempre.
+const prepareHistory = async (messages) => {
+  if (HISTORY_MODE === "summary") {
+    try {
+      // Mismo límite de mensajes que el recorte: lo que no entra se resume, no se descarta
+      const { summary, recent } = await compactHistory(messages, { maxMessages: MAX_TURNS * 2 });
+      const chat = fromFirstUser(recent.filter(m => m.role === "user" || m.role === "assistant"));
+      return { summary, chat, kept: [...(summary ? [summary] : []), ...recent] };
+    } catch (e) {
+      console.error("[SUMMARY] No se pudo resumir el historial, se recorta:", e?.message || e);
+    }
   }
+  const summary = messages.find(isSummary) || null;
+  return { summary, chat: trimHistory(messages), kept: [...(summary ? [summary] : []), ...historyWindow(messages)] };
 };
 
-const saveHistory = async (userId, history) => {
-  const key = `history/${encodeURIComponent(userId)}.json`;
-  const body = JSON.stringify(history);
+// Fotos, ubicación y contactos de toda la conversación (no solo del último mensaje) para el ticket
+const attachConversationInputs = (resumen, messages) => {
+  const userMessages = messages.filter(m => m.role === "user" || isSummary(m));
+  const imagenes = userMessages.flatMap(m => m.media || []).filter(f => !isAudioFile(f.contentType));
+  const ubicacion = [...userMessages].reverse().find(m => m.location)?.location;
+  const contactos = userMessages.flatMap(m => m.contacts || []);
   
-  console.log(`[DEBUG] Guardando en S3 para ${userId}:`, JSON.stringify(history, null, 2));
-  
-  if (DEBUG_S3) console.log("[S3][PUT]", HISTORY_BUCKET, key, "bytes:", Buffer.byteLength(body));
-  await s3.send(new PutObjectCommand({
-    Bucket: HISTORY_BUCKET,
-    Key: key,
-    Body: body,
-    ContentType: "application/json"
-  }));
-  if (DEBUG_S3) console.log("[S3][PUT] OK");
+  if (imagenes.length) resumen.imagenes = imagenes;
+  if (ubicacion) resumen.ubicacion = ubicacion;
+  if (contactos.length) resumen.contactos = contactos;
+  return resumen;
 };
 
-const putMedia = async (buf, contentType, userId, ext = "bin") => {
-  const id = crypto.randomUUID();
-  const now = new Date();
-  const key = `media/${encodeURIComponent(userId)}/${id}.${ext}`;
-  
-  console.log(`[S3] Uploading media to: s3://${MEDIA_BUCKET}/${key}`);
-  console.log(`[S3] Content type: ${contentType}, Size: ${buf.length} bytes`);
-  
-  await s3.send(new PutObjectCommand({
-    Bucket: MEDIA_BUCKET,
-    Key: key,
-    Body: buf,
-    ContentType: contentType
-  }));
-  
-  console.log(`[S3] Upload successful: s3://${MEDIA_BUCKET}/${key}`);
-  return { bucket: MEDIA_BUCKET, key, url: `s3://${MEDIA_BUCKET}/${key}`, contentType };
+// Historial + versión (ETag en S3) para escribir condicionalmente; ver conversationStore.mjs
+const loadHistoryVersioned = async (userId) => {
+  const { history, version } = await getConversationStore().load(userId);
+  console.log(`[DEBUG] Historial cargado para ${userId}:`, JSON.stringify(history, null, 2));
+  return { history, etag: version };
 };
 
-const twilioBasicAuth = () => {
-  console.log('[AUTH_DEBUG] Creating Twilio auth...');
-  console.log('[AUTH_DEBUG] TWILIO_ACCOUNT_SID exists:', !!TWILIO_ACCOUNT_SID);
-  console.log('[AUTH_DEBUG] TWILIO_AUTH_TOKEN exists:', !!TWILIO_AUTH_TOKEN);
-  
-  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) {
-    throw new Error('Twilio credentials not configured');
+// Escritura condicional: si alguien escribió en el medio, relee, mergea y reintenta.
+// Devuelve lo que quedó guardado.
+const saveHistory = async (userId, history, { etag = null, base = [] } = {}) => {
+  console.log(`[DEBUG] Guardando historial para ${userId}:`, JSON.stringify(history, null, 2));
+  return saveWithMerge(getConversationStore(), userId, history, { version: etag, base });
+};
+
+// Agrega entradas (p. ej. eventos de escalamiento) fuera de un turno de conversación
+const appendHistory = (userId, entries) => appendTurn(getConversationStore(), userId, entries);
+
+// Escala el caso a la guardia (hooks de escalation.mjs / oncall.mjs). Un mismo caso no
+// se vuelve a escalar dentro de ESCALATION_COOLDOWN_MIN, aunque siga escribiendo.
+const escalateCase = async (ctx, reason, extra = {}) => {
+  const last = ctx.caseState.escalacion;
+  if (last && Date.now() - Date.parse(last.at) < ESCALATION_COOLDOWN_MIN * 60 * 1000) {
+    console.log(`[ESCALATION] El caso ya se escaló (${last.reason}, ${last.at}), no se repite`);
+    return null;
   }
-  
-  const auth = "Basic " + Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString("base64");
-  console.log('[AUTH_DEBUG] Auth header created successfully');
-  return auth;
+
+  const results = await fireEscalation({
+    reason,
+    userId: ctx.userId,
+    channel: ctx.channel,
+    phone: ctx.phone,
+    // Solo con un teléfono verificado (WhatsApp o WhatsAppAdapter): una sesión web nueva
+    // no puede disparar llamadas de guardia
+    identified: Boolean(ctx.phone),
+    direccion: ctx.caseState.fields.direccion?.value || null,
+    problema: ctx.caseState.fields.problema?.value || null,
+    ...extra
+  });
+  const at = new Date().toISOString();
+  ctx.caseState.escalacion = { reason, at };
+  ctx.events.push({ id: crypto.randomUUID(), role: "event", type: "escalation", status: "started", reason, at, hooks: results });
+  return results;
+};
+
+// Callbacks de las llamadas de guardia (Gather / StatusCallback de Twilio Voice).
+// Responden TwiML y dejan el resultado final en el historial del usuario.
+const handleEscalationCallback = async (event, kind) => {
+  const id = event.queryStringParameters?.id;
+  const { params } = parseTwilioParams(readBodyText(event));
+  const auth = verifyTwilioRequest(event, params, {
+    authToken: TWILIO_AUTH_TOKEN,
+    webhookUrl: id ? callbackUrlFor(kind, id) : undefined,
+    bypass: TWILIO_SIGNATURE_BYPASS
+  });
+  if (!auth.ok) {
+    console.warn("[ONCALL] Callback rechazado:", auth.reason);
+    return { statusCode: 403, body: JSON.stringify({ error: "Forbidden" }) };
+  }
+
+  const { twiml, state, event: outcome } = await handleOncallCallback(kind, id, params);
+  if (outcome && state?.userId) {
+    try {
+      await appendHistory(state.userId, [{ id: crypto.randomUUID(), ...outcome }]);
+    } catch (e) {
+      console.error("[ONCALL] No se pudo registrar el resultado en el historial:", e?.message || e);
+    }
+  }
+
+  return { statusCode: 200, headers: { "Content-Type": "text/xml" }, body: twiml };
+};
+
+// Lo que escribieron los operadores en modo humano. El modelo solo recibe mensajes
+// user/assistant, así que al retomar la conversación se lo contamos en el system prompt.
+const operatorNotes = (messages) => {
+  const notes = messages.filter(m => m.role === "operator").slice(-5).map(m => `- ${m.content?.[0]?.text || ""}`);
+  return notes.length ? `Una persona del equipo de Toori atendió esta conversación y le escribió al usuario:\n${notes.join("\n")}` : "";
+};
+
+const handoffEvent = (status, extra = {}) =>
+  ({ id: crypto.randomUUID(), role: "event", type: "handoff", status, at: new Date().toISOString(), ...extra });
+
+// Respuesta del canal web. El historial completo solo va si el cliente lo pide
+// (includeHistory); session es el token renovado que el cliente tiene que guardar.
+const webResponse = (inbound, { reply, history, session, includeHistory, ...extra }) => ({
+  statusCode: 200,
+  body: JSON.stringify({
+    reply,
+    historySaved: !inbound.anonymous,
+    ...(session && { session: { token: session.token, expiresAt: session.expiresAt } }),
+    ...(includeHistory && { history }),
+    ...extra
+  })
+});
+
+// Turno en modo humano: se guarda lo que mandó el usuario y se avisa a los operadores.
+// Si el modo arranca en este turno (reason) el usuario recibe HANDOFF_MESSAGE; si ya
+// estaba activo no se le contesta nada, le responde el operador.
+const runHandoffTurn = async (inbound, { handoff, reason, userMessage, ctx, baseHistory, historyEtag, caseStateBefore, safetyMessage, session, includeHistory }) => {
+  const { userId, caseState } = ctx;
+  const isWhatsApp = inbound.channel === "meta" || inbound.channel === "twilio";
+  const notice = {
+    text: userMessage?.content[0].text || "",
+    media: (userMessage?.media || []).map(({ url, contentType }) => ({ url, contentType })),
+    direccion: caseState.fields.direccion?.value || null,
+    problema: caseState.fields.problema?.value || null
+  };
+
+  const entries = userMessage ? [userMessage] : [];
+  if (reason) {
+    await startHandoff(userId, reason, { channel: isWhatsApp ? inbound.channel : inbound.replyChannel, ...notice });
+    entries.push({ id: crypto.randomUUID(), role: "assistant", content: [{ type: "text", text: HANDOFF_MESSAGE }] });
+    entries.push(handoffEvent("started", { reason }));
+  } else {
+    await notifyOperators({ type: "message", userId, channel: handoff.channel, phone: handoff.phone, ...notice });
+  }
+  entries.push(...ctx.events);
+
+  let newHistory = [...baseHistory, ...entries];
+  try {
+    newHistory = await saveHistory(userId, newHistory, { etag: historyEtag, base: baseHistory });
+  } catch (e) { console.error("S3 save err:", e?.message || e); }
+  try { await saveTranscriptTurn(userId, entries); } catch (e) { console.error("[TRANSCRIPT] Error guardando turno:", e?.message || e); }
+  if (JSON.stringify(caseState) !== caseStateBefore) {
+    try { await saveCaseState(caseState); } catch (e) { console.error("[CASE] Error guardando estado:", e?.message || e); }
+  }
+
+  if (isWhatsApp) {
+    if (reason) await sendMessages(inbound.channel, inbound.from, [HANDOFF_MESSAGE]);
+    return { statusCode: 200, body: JSON.stringify({ status: "HANDOFF" }) };
+  }
+
+  const reply = [...(safetyMessage ? [safetyMessage] : []), ...(reason ? [HANDOFF_MESSAGE] : [])]
+    .map(text => ({ type: "text", text }));
+  return webResponse(inbound, { reply, history: newHistory, session, includeHistory, handoff: true });
+};
+
+// Endpoints de operadores (modo humano). POST JSON con Authorization: Bearer OPERATOR_API_TOKEN
+// (o ADMIN_API_TOKEN):
+//   /operator/takeover  { userId, operator?, phone? }            un operador toma la conversación
+//   /operator/reply     { userId, text, operator? }              responde por el canal del usuario
+//   /operator/release   { userId, operator? }                    devuelve la conversación al bot
+// El canal y el teléfono salen siempre del userId (contactFor); si viene phone tiene que coincidir.
+const handleOperatorRequest = async (event, action) => {
+  const auth = verifyBearerToken(event, { tokens: [OPERATOR_API_TOKEN, ADMIN_API_TOKEN] });
+  if (!auth.ok) return { statusCode: 401, body: JSON.stringify({ error: "Unauthorized" }) };
+
+  let body;
+  try {
+    body = JSON.parse(readBodyText(event) || "{}");
+  } catch {
+    return { statusCode: 400, body: JSON.stringify({ error: "JSON inválido" }) };
+  }
+  const { userId, operator = null } = body;
+  if (!userId) return { statusCode: 400, body: JSON.stringify({ error: "Falta userId" }) };
+  if (body.phone && normalizePhone(body.phone) !== normalizePhone(contactFor(userId).phone || "")) {
+    return { statusCode: 400, body: JSON.stringify({ error: "phone no coincide con userId" }) };
+  }
+
+  if (action === "release") {
+    const state = await releaseHandoff(userId, { by: operator });
+    if (!state) return { statusCode: 409, body: JSON.stringify({ error: "La conversación no está en modo humano" }) };
+    await appendHistory(userId, [handoffEvent("released", { by: operator })]);
+    return { statusCode: 200, body: JSON.stringify({ status: "RELEASED", handoff: state }) };
+  }
+
+  const text = (body.text || "").trim();
+  if (action === "reply" && !text) return { statusCode: 400, body: JSON.stringify({ error: "Falta text" }) };
+
+  // Responder también toma la conversación, para que el bot no conteste encima del operador
+  const entries = [];
+  let state = await loadHandoff(userId);
+  if (!state?.active) {
+    state = await startHandoff(userId, "staff", { by: operator });
+    entries.push(handoffEvent("started", { reason: "staff", by: operator }));
+  }
+
+  if (action === "reply") {
+    const delivered = (state.channel === "meta" || state.channel === "twilio") && state.phone
+      ? await sendMessages(state.channel, state.phone, [text])
+      : false;
+    if (!delivered) console.warn(`[HANDOFF] Respuesta del operador para ${userId} no enviada (canal ${state.channel})`);
+    entries.push({ id: crypto.randomUUID(), role: "operator", content: [{ type: "text", text }], operator, at: new Date().toISOString(), delivered });
+  }
+
+  if (entries.length) {
+    await appendHistory(userId, entries);
+    try { await saveTranscriptTurn(userId, entries); } catch (e) { console.error("[TRANSCRIPT] Error guardando turno:", e?.message || e); }
+  }
+  const delivered = entries.find(m => m.role === "operator")?.delivered;
+  return { statusCode: 200, body: JSON.stringify({ status: action === "reply" ? "SENT" : "HANDOFF", handoff: state, ...(action === "reply" && { delivered }) }) };
 };
 
 const downloadTwilioMedia = async (mediaUrl) => {
@@ -234,214 +427,566 @@ const downloadTwilioMedia = async (mediaUrl) => {
   }
 };
 
-const normalizePhone = (s) => (s || "").replace(/\D/g, "");
+// Función para determinar si un archivo es de audio
+const isAudioFile = (contentType) => {
+  if (!contentType) return false;
+  // Solo audio/*: "video/mp4" de Meta no es un audio a transcribir
+  return contentType.toLowerCase().startsWith('audio/');
+};
 
-// Función para transcribir audio usando Amazon Transcribe
-const transcribeAudio = async (audioS3Url, audioFormat = 'ogg') => {
+// Texto que aporta al turno un audio ya guardado en S3: la transcripción, o un aviso para el
+// modelo si no se entendió o falló. transcripts trae lo que resolvió un trabajo asíncrono.
+// -> { text, transcription } (transcription: transcriptionRecord, null si no hubo texto)
+const audioText = async (file, { buffer, transcripts } = {}) => {
   try {
-    console.log(`[TRANSCRIBE] Iniciando transcripción de: ${audioS3Url}`);
-    console.log(`[TRANSCRIBE] Formato de audio: ${audioFormat}`);
-    
-    // Validate S3 URL format
-    if (!audioS3Url || !audioS3Url.startsWith('s3://')) {
-      console.error(`[TRANSCRIBE] URL de S3 inválida: ${audioS3Url}`);
-      return null;
+    const result = transcripts && file.key in transcripts
+      ? transcripts[file.key]
+      : await getTranscriber().transcribe({ buffer, contentType: file.contentType, s3Url: file.url });
+    if (result?.text?.trim()) {
+      console.log(`[AUDIO] ✅ Transcripción exitosa: "${result.text.trim()}"${result.doubtful?.length ? ` (dudoso: ${result.doubtful.map(d => d.text).join(", ")})` : ""}`);
+      return { text: result.text.trim(), transcription: transcriptionRecord(file.key, result) };
     }
-    
-    const jobName = `transcribe-job-${crypto.randomUUID()}`;
-    
-    // Mejorar el mapeo de formatos de audio
-    let mediaFormat = 'ogg'; // Default
-    if (audioFormat) {
-      const format = audioFormat.toLowerCase();
-      if (['mp3', 'mpeg'].includes(format)) {
-        mediaFormat = 'mp3';
-      } else if (['mp4', 'm4a', 'aac'].includes(format)) {
-        mediaFormat = 'mp4';
-      } else if (['wav'].includes(format)) {
-        mediaFormat = 'wav';
-      } else if (['webm'].includes(format)) {
-        mediaFormat = 'webm';
-      } else if (['ogg'].includes(format)) {
-        mediaFormat = 'ogg';
-      } else if (['flac'].includes(format)) {
-        mediaFormat = 'flac';
-      }
+    console.warn('[AUDIO] ⚠️ Transcripción vacía');
+    return { text: "He recibido tu mensaje de audio pero no pude entender lo que dijiste. ¿Podrías escribirme o enviar el audio de nuevo?", transcription: null };
+  } catch (transcribeError) {
+    console.error('[AUDIO] ❌ Error transcribiendo audio:', transcribeError);
+    return { text: "He recibido tu mensaje de audio pero hubo un problema al procesarlo. ¿Podrías escribirme o intentar de nuevo?", transcription: null };
+  }
+};
+
+const modelRequest = (messages, system) => ({
+  modelId: MODEL_ID,
+  contentType: "application/json",
+  accept: "application/json",
+  body: JSON.stringify({
+    anthropic_version: "bedrock-2023-05-31",
+    system,
+    max_tokens: 1000,
+    temperature: 0.7,
+    top_p: 0.9,
+    tools: [REGISTRAR_PEDIDO_TOOL, ACTUALIZAR_CASO_TOOL],
+    messages
+  })
+});
+
+const invokeModel = async (messages, system = SYSTEM_TEXT) => {
+  const bedrockRes = await bedrock.send(new InvokeModelCommand(modelRequest(messages, system)));
+  const raw = await bedrockRes.body.transformToString();
+  return JSON.parse(raw);
+};
+
+// Igual que invokeModel, pero el texto va saliendo por fragments (ver streaming.mjs)
+const invokeModelStream = async (messages, system, fragments) => {
+  const bedrockRes = await bedrock.send(new InvokeModelWithResponseStreamCommand(modelRequest(messages, system)));
+  return await readModelStream(bedrockRes.body, { onText: fragments.write, onTextEnd: fragments.endBlock });
+};
+
+const toolResult = (toolUseId, text, isError = false) => ({
+  type: "tool_result",
+  tool_use_id: toolUseId,
+  content: [{ type: "text", text }],
+  ...(isError && { is_error: true })
+});
+
+// Ejecuta una herramienta pedida por el modelo. Los errores de validación vuelven al
+// modelo como tool_result con is_error para que corrija y reintente.
+const runTool = async (toolUse, ctx) => {
+  if (toolUse.name === ACTUALIZAR_CASO_TOOL.name) {
+    const errors = validateToolInput(ACTUALIZAR_CASO_TOOL.input_schema, toolUse.input);
+    if (errors.length) {
+      console.warn("[CASE] Argumentos inválidos de actualizar_caso:", errors);
+      return toolResult(toolUse.id, `Datos inválidos: ${errors.join("; ")}. Corregilos y volvé a llamar a actualizar_caso.`, true);
     }
+    const applied = applyFieldUpdates(ctx.caseState, toolUse.input, "usuario");
+    console.log("[CASE] Campos actualizados:", applied);
+    const missing = missingFields(ctx.caseState);
+    return toolResult(toolUse.id, `Guardado${applied.length ? `: ${applied.join(", ")}` : " (sin cambios)"}. Falta: ${missing.length ? missing.join(", ") : "nada"}. Ahora respondé al usuario.`);
+  }
+  if (toolUse.name !== REGISTRAR_PEDIDO_TOOL.name) {
+    return toolResult(toolUse.id, `Herramienta desconocida: ${toolUse.name}`, true);
+  }
+  if (ctx.pedido?.registrado) {
+    return toolResult(toolUse.id, "El pedido ya quedó registrado en este turno, no lo registres de nuevo.", true);
+  }
+
+  const resumen = normalizePedidoInput(toolUse.input);
+  const errors = validateToolInput(REGISTRAR_PEDIDO_TOOL.input_schema, resumen);
+  if (errors.length) {
+    console.warn("[PEDIDO] Argumentos inválidos de registrar_pedido:", errors, JSON.stringify(toolUse.input));
+    return toolResult(
+      toolUse.id,
+      `Datos inválidos: ${errors.join("; ")}. Corregí los datos (preguntale al usuario si hace falta) y volvé a llamar a registrar_pedido.`,
+      true
+    );
+  }
+
+  // Un reintento del mismo mensaje (turno liberado después de registrar) no duplica el ticket
+  const idempotency = getIdempotency();
+  const pedidoKey = ctx.turnKey;
+  if (!(await idempotency.claim("pedido", pedidoKey)).claimed) {
+    return toolResult(toolUse.id, "Este pedido ya quedó registrado. Confirmale al usuario que está cargado.");
+  }
+
+  attachConversationInputs(resumen, ctx.conversation);
+  const result = await registrarPedido(resumen);
+  if (result.ok) await idempotency.complete("pedido", pedidoKey);
+  else await idempotency.release("pedido", pedidoKey);
+  ctx.pedido = { resumen, registrado: result.ok, at: new Date().toISOString(), ...(!result.ok && { error: result.error }) };
+  if (result.ok) {
+    const { nombre, direccion, problema, tecnico, urgente, es_inquilino, medida_preventiva } = resumen;
+    applyFieldUpdates(ctx.caseState, { nombre, direccion, problema, tecnico, urgente, es_inquilino, medida_preventiva }, "pedido");
+    ctx.caseState.pedido = { registrado: true, at: ctx.pedido.at };
+    if (resumen.urgente === true) await escalateCase(ctx, "urgente");
+  }
+
+  return result.ok
+    ? toolResult(toolUse.id, "Pedido registrado correctamente. Confirmale al usuario que quedó cargado y que Toori gestiona el presupuesto.")
+    : toolResult(toolUse.id, "No se pudo registrar el pedido por un error del sistema. Decile al usuario que ya tenemos sus datos y que lo estamos cargando.", true);
+};
+
+// Un turno del asistente: llama al modelo y resuelve las herramientas que pida.
+// Devuelve solo el texto para el usuario; los tool_use/tool_result no se persisten.
+const runModelTurn = async (messages, ctx) => {
+  const convo = [...messages];
+  const texts = [];
+
+  for (let round = 0; ; round++) {
+    const modelOut = ctx.fragments
+      ? await invokeModelStream(convo, ctx.system, ctx.fragments)
+      : await invokeModel(convo, ctx.system);
+    const content = modelOut.content || [];
+    texts.push(...content.filter(c => c.type === "text" && c.text?.trim()).map(c => c.text.trim()));
+
+    const toolUses = content.filter(c => c.type === "tool_use");
+    if (modelOut.stop_reason !== "tool_use" || !toolUses.length) break;
+    if (round >= MAX_TOOL_ROUNDS) {
+      console.warn(`[TOOLS] Se alcanzó el máximo de ${MAX_TOOL_ROUNDS} rondas de herramientas`);
+      break;
+    }
+
+    const results = [];
+    for (const toolUse of toolUses) {
+      console.log(`[TOOLS] ${toolUse.name}:`, JSON.stringify(toolUse.input));
+      results.push(await runTool(toolUse, ctx));
+    }
+    convo.push({ role: "assistant", content });
+    convo.push({ role: "user", content: results });
+  }
+
+  return texts.join("\n\n").trim();
+};
+
+// Un turno de conversación completo: media, transcripción, Bedrock, ticket y respuesta.
+// No llamar directo: pasa por runTurnOnce para no procesar dos veces el mismo mensaje.
+// onFragment (solo web en streaming) recibe cada fragmento de la respuesta apenas está listo.
+const processTurn = async (inbound, { emergencyNotified = false, session = null, includeHistory = false, onFragment = null } = {}) => {
+  const isWhatsApp = inbound.channel === "meta" || inbound.channel === "twilio";
+  const isTwilio = inbound.channel === "twilio";
+  const userId = inbound.userId;
+  const phone = inbound.from;
+  const messageId = inbound.messageId;
+  const imagenesS3 = [];
+  let inputText = inbound.text;
+  let pendingAudio = null;
+  // Primer audio rechazado por prepareAudio (muy largo, muy pesado o dañado)
+  let rejectedAudio = null;
+  // Confianza de cada audio transcripto en este turno (ver transcriptionRecord)
+  const transcriptions = [...(inbound.transcriptions || [])];
+  let history = [];
+  let historyEtag = null;
+
+  if (isWhatsApp) {
+    console.log("Phone:", phone, "UserId:", userId);
     
-    console.log(`[TRANSCRIBE] Formato de media para AWS: ${mediaFormat}`);
-    
-    // Configuración para la transcripción
-    const transcriptionConfig = {
-      TranscriptionJobName: jobName,
-      LanguageCode: 'es-AR', // Español argentino
-      MediaFormat: mediaFormat,
-      Media: {
-        MediaFileUri: audioS3Url
-      },
-      Settings: {
-        ShowSpeakerLabels: false,
-        ShowAlternatives: false,
-        MaxAlternatives: 1
-      }
-    };
-    
-    console.log(`[TRANSCRIBE] Configuración del trabajo:`, JSON.stringify(transcriptionConfig, null, 2));
-    
-    // Iniciar trabajo de transcripción
-    const startJobCommand = new StartTranscriptionJobCommand(transcriptionConfig);
-    const startResult = await transcribe.send(startJobCommand);
-    console.log(`[TRANSCRIBE] Trabajo iniciado exitosamente: ${jobName}`);
-    console.log(`[TRANSCRIBE] Estado inicial:`, startResult.TranscriptionJob?.TranscriptionJobStatus);
-    
-    // Esperar a que termine la transcripción
-    let jobStatus = 'IN_PROGRESS';
-    let attempts = 0;
-    const maxAttempts = 60; // 60 intentos = ~60 segundos máximo
-    const waitTime = 2000; // 2 segundos entre intentos
+    ({ history, etag: historyEtag } = await loadHistoryVersioned(userId));
+  }
+
+  if (inbound.channel === "meta" || inbound.channel === "twilio") {
+    if (DEBUG_TWILIO && isTwilio) console.log("[Twilio] From:", inbound.from, "userId:", userId, "Body:", inputText);
     
-    while (jobStatus === 'IN_PROGRESS' && attempts < maxAttempts) {
-      await esperar(waitTime);
-      attempts++;
-      
-      const getJobCommand = new GetTranscriptionJobCommand({
-        TranscriptionJobName: jobName
-      });
-      
+    // Twilio manda URLs protegidas con la cuenta; Meta manda ids que se resuelven por Graph API
+    for (const m of inbound.media) {
       try {
-        const result = await transcribe.send(getJobCommand);
-        jobStatus = result.TranscriptionJob?.TranscriptionJobStatus || 'UNKNOWN';
-        
-        // Log cada 10 intentos para evitar spam
-        if (attempts % 10 === 0 || jobStatus !== 'IN_PROGRESS') {
-          console.log(`[TRANSCRIBE] Estado del trabajo (${attempts}/${maxAttempts}): ${jobStatus}`);
-        }
-        
-        if (jobStatus === 'COMPLETED') {
-          const transcriptUri = result.TranscriptionJob.Transcript?.TranscriptFileUri;
-          if (!transcriptUri) {
-            console.error('[TRANSCRIBE] No se encontró URI de transcripción en el resultado completado');
-            // Clean up the job
-            try {
-              await transcribe.send(new DeleteTranscriptionJobCommand({
-                TranscriptionJobName: jobName
-              }));
-            } catch (cleanupError) {
-              console.warn('[TRANSCRIBE] Error limpiando trabajo fallido:', cleanupError.message);
-            }
-            return null;
-          }
-          
-          console.log(`[TRANSCRIBE] Transcripción completada: ${transcriptUri}`);
+        let buf;
+        let mediaFile;
+        if (m.bucket && m.key) {
+          // Ya está en S3: turno retomado después de una transcripción asíncrona
+          mediaFile = { bucket: m.bucket, key: m.key, url: m.url, contentType: m.contentType };
+        } else {
+          console.log(`[MEDIA] Processing ${inbound.channel} media: ${m.url || m.id}, ContentType: ${m.contentType}`);
           
-          // Descargar y parsear el resultado
-          try {
-            const transcriptResponse = await fetch(transcriptUri);
-            if (!transcriptResponse.ok) {
-              console.error(`[TRANSCRIBE] Error al descargar transcripción: ${transcriptResponse.status} ${transcriptResponse.statusText}`);
-              return null;
-            }
-            
-            const transcriptData = await transcriptResponse.json();
-            console.log(`[TRANSCRIBE] Datos de transcripción recibidos:`, JSON.stringify(transcriptData, null, 2));
-            
-            const transcribedText = transcriptData.results?.transcripts?.[0]?.transcript || '';
-            
-            // Clean up the job after successful processing
-            try {
-              await transcribe.send(new DeleteTranscriptionJobCommand({
-                TranscriptionJobName: jobName
-              }));
-              console.log(`[TRANSCRIBE] Trabajo limpiado: ${jobName}`);
-            } catch (cleanupError) {
-              console.warn('[TRANSCRIBE] Error limpiando trabajo exitoso:', cleanupError.message);
-            }
-            
-            if (transcribedText.trim()) {
-              console.log(`[TRANSCRIBE] Texto transcrito exitosamente: "${transcribedText}"`);
-              return transcribedText.trim();
-            } else {
-              console.warn('[TRANSCRIBE] La transcripción está vacía o no contiene texto');
-              return null;
+          let mime = m.contentType;
+          if (m.id) {
+            const downloaded = await downloadMetaMedia(m.id);
+            buf = downloaded.buffer;
+            mime = downloaded.contentType || mime;
+          } else {
+            buf = await downloadTwilioMedia(m.url);
+          }
+          mime = mime || "image/jpeg";
+          let ext = extensionFor(mime, "jpg");
+          if (isAudioFile(mime)) {
+            // Formato real, límites y conversión antes de guardarlo (ver audio.mjs)
+            const audio = await prepareAudio(buf, mime);
+            if (!audio.ok) {
+              rejectedAudio = rejectedAudio || audio;
+              continue;
             }
-            
-          } catch (fetchError) {
-            console.error('[TRANSCRIBE] Error al procesar resultado de transcripción:', fetchError);
-            return null;
+            ({ buffer: buf, contentType: mime, ext } = audio);
           }
+          mediaFile = await putMedia(buf, mime, userId, ext);
           
-        } else if (jobStatus === 'FAILED') {
-          const failureReason = result.TranscriptionJob?.FailureReason || 'Razón desconocida';
-          console.error(`[TRANSCRIBE] Trabajo falló: ${failureReason}`);
-          console.error(`[TRANSCRIBE] Detalles completos del trabajo fallido:`, JSON.stringify(result.TranscriptionJob, null, 2));
-          
-          // Clean up the failed job
-          try {
-            await transcribe.send(new DeleteTranscriptionJobCommand({
-              TranscriptionJobName: jobName
-            }));
-          } catch (cleanupError) {
-            console.warn('[TRANSCRIBE] Error limpiando trabajo fallido:', cleanupError.message);
-          }
-          return null;
-        }
-        
-      } catch (pollError) {
-        console.error(`[TRANSCRIBE] Error al consultar estado del trabajo (intento ${attempts}):`, pollError);
-        console.error(`[TRANSCRIBE] Error name: ${pollError.name}`);
-        console.error(`[TRANSCRIBE] Error message: ${pollError.message}`);
-        
-        if (pollError.name === 'AccessDenied' || pollError.name === 'UnauthorizedOperation') {
-          console.error('[TRANSCRIBE] Error de permisos, abortando transcripción');
-          return null;
+          console.log(`[MEDIA] Media uploaded to S3: ${mediaFile.url}`);
         }
+        imagenesS3.push(mediaFile);
         
-        // If it's not a permission error, continue trying
-        if (attempts >= maxAttempts) {
-          break;
+        // Procesar audio para transcripción si es un archivo de audio
+        if (isAudioFile(mediaFile.contentType)) {
+          console.log(`[AUDIO] Detectado archivo de audio (${inbound.channel}): ${mediaFile.url}`);
+          
+          if (!inbound.transcripts && isAsyncTranscription()) {
+            // Se espera el primero; si la ráfaga trae más audios se transcriben al retomar
+            pendingAudio = pendingAudio || mediaFile;
+          } else {
+            // Se agrega al texto (no lo reemplaza): con el debounce puede venir junto a otros mensajes
+            const audio = await audioText(mediaFile, { buffer: buf, transcripts: inbound.transcripts });
+            inputText = [inputText, audio.text].filter(Boolean).join("\n");
+            if (audio.transcription) transcriptions.push(audio.transcription);
+          }
         }
+      } catch (e) { 
+        console.error(`[MEDIA] Error procesando media de ${inbound.channel}:`, e?.message || e);
+        console.error("[MEDIA] Error stack:", e?.stack);
       }
     }
     
-    if (attempts >= maxAttempts) {
-      console.error(`[TRANSCRIBE] Timeout esperando transcripción después de ${attempts} intentos (${attempts * waitTime / 1000} segundos)`);
-      // Clean up the timed out job
-      try {
-        await transcribe.send(new DeleteTranscriptionJobCommand({
-          TranscriptionJobName: jobName
-        }));
-      } catch (cleanupError) {
-        console.warn('[TRANSCRIBE] Error limpiando trabajo con timeout:', cleanupError.message);
+    // Ubicación y contactos compartidos: se guardan estructurados y se describen para el modelo
+    const structured = [describeLocation(inbound.location), describeContacts(inbound.contacts)].filter(Boolean).join("\n");
+    if (structured && !inputText.includes(structured)) {
+      inputText = [inputText, structured].filter(Boolean).join("\n");
+    }
+  } else {
+    if (!inbound.anonymous) ({ history, etag: historyEtag } = await loadHistoryVersioned(userId));
+    
+    // Fotos/documentos/audios que WhatsAppAdapter ya subió a S3
+    const stored = inbound.media.filter(m => m.bucket && m.key);
+    imagenesS3.push(...stored);
+    for (const audio of stored.filter(m => isAudioFile(m.contentType))) {
+      // Asíncrona solo si hay un WhatsApp por donde mandar la respuesta cuando termine
+      if (inbound.replyChannel && isAsyncTranscription()) {
+        pendingAudio = pendingAudio || audio;
+        continue;
       }
-      return null;
+      const transcribed = await audioText(audio, { transcripts: inbound.transcripts });
+      inputText = [inputText, transcribed.text].filter(Boolean).join("\n");
+      if (transcribed.transcription) transcriptions.push(transcribed.transcription);
     }
     
-  } catch (error) {
-    console.error('[TRANSCRIBE] Error crítico en transcripción:', error);
-    console.error('[TRANSCRIBE] Error name:', error.name);
-    console.error('[TRANSCRIBE] Error message:', error.message);
-    console.error('[TRANSCRIBE] Stack trace:', error.stack);
-    return null;
+    const structured = [describeLocation(inbound.location), describeContacts(inbound.contacts)].filter(Boolean).join("\n");
+    if (structured && !inputText.includes(structured)) {
+      inputText = [inputText, structured].filter(Boolean).join("\n");
+    }
   }
+
+  // Audio rechazado (solo webhooks de WhatsApp; WhatsAppAdapter avisa por su cuenta): el aviso
+  // va directo al inquilino. Si el turno no trae nada más, no se llama al modelo.
+  if (rejectedAudio) {
+    await sendMessages(inbound.channel, phone, [rejectedAudio.message]);
+    if (!inputText && !imagenesS3.length) {
+      return { statusCode: 200, body: JSON.stringify({ status: "AUDIO_REJECTED", reason: rejectedAudio.reason }) };
+    }
+  }
+
+  // Transcripción asíncrona (ver pendingTranscription.mjs): el turno sigue en transcriptionWorker.
+  // Al retomarlo se contesta directo por WhatsApp, también si vino de WhatsAppAdapter (replyChannel).
+  if (pendingAudio) {
+    const resumable = { ...inbound, turnKey: turnKey(inbound), channel: isWhatsApp ? inbound.channel : inbound.replyChannel, media: imagenesS3 };
+    await startPendingTranscription(resumable, pendingAudio, { emergencyNotified });
+    if (isWhatsApp) {
+      await sendMessages(inbound.channel, phone, [LISTENING_MESSAGE]);
+      return { statusCode: 200, body: JSON.stringify({ status: "TRANSCRIBING" }), pending: true };
+    }
+    return { ...webResponse(inbound, { reply: [{ type: "text", text: LISTENING_MESSAGE }], session, transcribing: true }), pending: true };
+  }
+
+  // Modo humano (ver handoff.mjs): el operador ve lo que llegó, sin reescribir los mensajes vacíos
+  const handoff = inbound.anonymous ? null : await loadHandoff(userId);
+  let handoffReason = null;
+  if (handoff?.active && !inputText) {
+    inputText = imagenesS3.length ? `[${imagenesS3.length} adjunto(s)]` : "mensaje vacío";
+  }
+
+  // Handle empty messages more intelligently
+  if (!handoff?.active && (!inputText || inputText === 'mensaje vacío')) {
+    // Check if this is a repeated empty message
+    const recentMessages = history.slice(-10); // Check last 10 messages for better context
+    const recentEmptyMessages = recentMessages.filter(m => 
+      m.role === "user" && (m.content?.[0]?.text === "mensaje vacío" || !m.content?.[0]?.text?.trim())
+    );
+    
+    // Check for various types of context from recent conversation
+    const hasGasContext = recentMessages.some(m => 
+      m.role === "user" && m.content?.[0]?.text?.toLowerCase().includes('gas')
+    );
+    
+    const hasElectricalContext = recentMessages.some(m => 
+      m.role === "user" && (m.content?.[0]?.text?.toLowerCase().includes('enchufe') || 
+                            m.content?.[0]?.text?.toLowerCase().includes('electricidad') ||
+                            m.content?.[0]?.text?.toLowerCase().includes('heladera'))
+    );
+    
+    const hasPlumbingContext = recentMessages.some(m => 
+      m.role === "user" && (m.content?.[0]?.text?.toLowerCase().includes('agua') ||
+                            m.content?.[0]?.text?.toLowerCase().includes('canilla') ||
+                            m.content?.[0]?.text?.toLowerCase().includes('pérdida'))
+    );
+    
+    // Check if user provided name and address recently
+    const hasUserInfo = recentMessages.some(m => 
+      m.role === "user" && (m.content?.[0]?.text?.toLowerCase().includes('rivadavia') ||
+                            m.content?.[0]?.text?.toLowerCase().includes('sol') ||
+                            m.content?.[0]?.text?.toLowerCase().includes('inqui'))
+    );
+    
+    if (recentEmptyMessages.length >= 3) {
+      // Too many empty messages: que lo atienda una persona
+      inputText = "necesito ayuda urgente pero no puedo escribir bien, ayúdame";
+      if (!inbound.anonymous) handoffReason = "empty_messages";
+    } else if (recentEmptyMessages.length >= 2 && hasGasContext) {
+      // Multiple empty messages but we know it's about gas - might be an emergency
+      inputText = "sigo teniendo el problema de gas que mencioné antes";
+    } else if (recentEmptyMessages.length >= 2 && hasElectricalContext) {
+      // Multiple empty messages with electrical context
+      inputText = "sigo con el problema del enchufe de la heladera que te comenté";
+    } else if (recentEmptyMessages.length >= 2 && hasPlumbingContext) {
+      // Multiple empty messages with plumbing context
+      inputText = "sigo con el problema de agua que te mencioné";
+    } else if (recentEmptyMessages.length >= 2 && hasUserInfo) {
+      // User has context but multiple empty messages
+      inputText = "necesito ayuda con el problema que te estaba contando";
+    } else if (recentEmptyMessages.length >= 2) {
+      // User sent multiple empty messages, ask for clarification
+      inputText = "necesito ayuda pero no sé cómo explicar mi problema";
+    } else if (imagenesS3.some(f => !isAudioFile(f.contentType))) {
+      // Fotos sin texto: que el modelo sepa que llegaron
+      const fotos = imagenesS3.filter(f => !isAudioFile(f.contentType)).length;
+      inputText = fotos > 1 ? `[Te mando ${fotos} fotos]` : "[Te mando una foto]";
+    } else if (imagenesS3.length === 0 && history.length === 0) {
+      // First message and it's empty - treat as greeting
+      inputText = "hola";
+    } else if (imagenesS3.length === 0) {
+      inputText = "mensaje vacío";
+    }
+    
+    console.log(`[DEBUG] Mensaje vacío procesado para userId: ${userId}, recientes: ${recentEmptyMessages.length}, contextos: gas=${hasGasContext}, electrical=${hasElectricalContext}, plumbing=${hasPlumbingContext}, userInfo=${hasUserInfo}`);
+  }
+
+  if (!handoff?.active && !handoffReason && !inbound.anonymous && detectHumanRequest(inputText)) {
+    handoffReason = "user_request";
+  }
+
+  console.log(`[DEBUG] InputText: "${inputText}", UserId: ${userId}, HistoryLength: ${history.length}`);
+  
+  // Debug: mostrar estructura del historial
+  if (history.length > 0) {
+    console.log(`[DEBUG] Último mensaje del historial:`, JSON.stringify(history[history.length - 1], null, 2));
+    console.log(`[DEBUG] Historial completo:`, JSON.stringify(history, null, 2));
+  }
+
+  // Estado del caso: datos ya obtenidos, para no volver a pedirlos aunque el historial se recorte
+  const caseState = inbound.anonymous ? emptyCaseState(userId) : await loadCaseState(userId);
+  const caseStateBefore = JSON.stringify(caseState);
+  // Sin messageId (web) la clave del pedido es propia del turno: igual se reclama
+  const turnCtx = {
+    userId, messageId, channel: inbound.channel, phone, caseState, events: [], conversation: [], system: SYSTEM_TEXT, pedido: null,
+    turnKey: inbound.turnKey || turnKey(inbound) || `${inbound.channel}:${userId}:turn-${crypto.randomUUID()}`
+  };
+
+  // Emergencias (gas, incendio, eléctrico): mensaje de seguridad fijo y escalamiento
+  // ANTES de llamar al modelo, así salen aunque Bedrock esté lento o caído
+  const emergencia = detectEmergency(inputText);
+  let safetyMessage = null;
+  // WhatsAppAdapter ya manda el mensaje de seguridad por su cuenta (también en sus turnos
+  // retomados después de una transcripción asíncrona, que corren como WhatsApp)
+  const safetyAlreadySent = emergencyNotified;
+  if (emergencia) {
+    console.warn(`[EMERGENCY] 🚨 Emergencia detectada (${emergencia.type}):`, emergencia.matches);
+    emitMetric("EmergencyDetected", 1, { Type: emergencia.type, Channel: inbound.channel });
+    safetyMessage = SAFETY_MESSAGES[emergencia.type];
+    applyFieldUpdates(caseState, { urgente: true }, "detector");
+    caseState.emergencia = { type: emergencia.type, matches: emergencia.matches, at: new Date().toISOString() };
+
+    if (isWhatsApp && !safetyAlreadySent) {
+      await sendMessages(inbound.channel, phone, [safetyMessage]);
+    }
+    await escalateCase(turnCtx, "emergency", { type: emergencia.type, text: inputText });
+  }
+
+  const baseHistory = Array.isArray(history) ? history : [];
+  
+  // Create user message with messageId if available
+  const userMessage = inputText ? {
+    id: crypto.randomUUID(),
+    role: "user", 
+    content: [{ type: "text", text: inputText }],
+    ...(messageId && { messageId }),
+    ...(inbound.messageIds && { messageIds: inbound.messageIds }),
+    ...(imagenesS3.length && { media: imagenesS3.map(({ bucket, key, url, contentType }) => ({ bucket, key, url, contentType })) }),
+    ...(transcriptions.length && { transcriptions }),
+    ...(inbound.location && { location: inbound.location }),
+    ...(inbound.contacts.length && { contacts: inbound.contacts })
+  } : null;
+
+  // Modo humano: no se llama a Bedrock (tampoco para resumir el historial)
+  if (handoff?.active || handoffReason) {
+    return await runHandoffTurn(inbound, {
+      handoff, reason: handoffReason, userMessage, ctx: turnCtx, baseHistory, historyEtag, caseStateBefore,
+      safetyMessage: safetyAlreadySent ? null : safetyMessage, session, includeHistory
+    });
+  }
+
+  const { summary: historySummary, chat: safeHistory, kept: keptHistory } = await prepareHistory(baseHistory);
+  
+  const updatedMessages = [
+    ...safeHistory,
+    ...(userMessage ? [userMessage] : [])
+  ];
+
+  // Bedrock solo recibe role/content; las fotos se adjuntan como bloques image (ver vision.mjs)
+  const modelMessages = await buildModelMessages(updatedMessages);
+
+  const conversation = [...baseHistory, ...(userMessage ? [userMessage] : [])];
+
+  const fotos = conversation.filter(m => m.role === "user" || isSummary(m)).flatMap(m => m.media || []).filter(f => !isAudioFile(f.contentType)).length;
+  if (fotos) applyFieldUpdates(caseState, { fotos }, "foto");
+  if (inbound.location?.address && !caseState.fields.direccion) {
+    applyFieldUpdates(caseState, { direccion: inbound.location.address }, "ubicacion");
+  }
+
+  turnCtx.conversation = conversation;
+  if (onFragment) {
+    if (safetyMessage && !safetyAlreadySent) onFragment(safetyMessage);
+    turnCtx.fragments = createFragmentStream(onFragment, dividirRespuesta);
+  }
+  const notasOperador = operatorNotes(keptHistory);
+  const doubtful = transcriptions.flatMap(t => t.doubtful || []);
+  turnCtx.system = [
+    SYSTEM_TEXT,
+    summarizeCaseState(caseState),
+    ...(historySummary ? [summaryPrompt(historySummary)] : []),
+    ...(notasOperador ? [notasOperador] : []),
+    ...(safetyMessage ? [`Ya se le mandó al usuario este mensaje de seguridad automático: «${safetyMessage}». No lo repitas; seguí con el caso, que ya está marcado como urgente.`] : []),
+    ...(doubtful.length ? [`En el audio de este mensaje no se entendió con seguridad: ${doubtful.map(d => `«${d.text}»`).join(", ")}. Si alguno es un dato del pedido, confirmalo con el usuario antes de registrar el pedido.`] : [])
+  ].join("\n\n");
+
+  let salidaIA;
+  try {
+    salidaIA = await runModelTurn(modelMessages, turnCtx);
+  } catch (e) {
+    // En una emergencia el usuario ya recibió las instrucciones de seguridad: no cortamos con un 500
+    if (!safetyMessage) throw e;
+    console.error("[EMERGENCY] Bedrock falló durante una emergencia:", e?.message || e);
+    salidaIA = "Estamos con tu caso, ya avisamos al equipo de guardia. Cuando estés a salvo, pasame la dirección exacta así te mandamos a alguien.";
+  }
+
+  // Por las dudas: nunca mandar al cliente un bloque de resumen escrito a mano por el modelo
+  const salidaSinJson = salidaIA.replace(/\[RESUMEN_JSON\][\s\S]*?\[\/RESUMEN_JSON\]/g, "").trim() ||
+    "Dale, ya lo tengo anotado. ¿Hay algo más que quieras contarme?";
+  const mensajes = dividirRespuesta(salidaSinJson);
+  const streamed = turnCtx.fragments?.finish(mensajes);
+
+  console.log(`[DEBUG] Mensajes a enviar (${mensajes.length}):`, mensajes);
+
+  let newHistory = [...keptHistory, ...(userMessage ? [userMessage] : [])];
+  const assistantMessage = {
+    id: crypto.randomUUID(),
+    role: "assistant",
+    content: [{ type: "text", text: safetyMessage ? `${safetyMessage}\n\n${salidaSinJson}` : salidaSinJson }],
+    ...(turnCtx.pedido && { pedido: turnCtx.pedido })
+  };
+  newHistory.push(assistantMessage);
+  newHistory.push(...turnCtx.events);
+  
+  console.log(`[DEBUG] Guardando historial para ${userId}:`);
+  console.log(`[DEBUG] Nuevo mensaje asistente:`, JSON.stringify(assistantMessage, null, 2));
+  console.log(`[DEBUG] Historial completo a guardar:`, JSON.stringify(newHistory, null, 2));
+  
+  try {
+    newHistory = await saveHistory(userId, newHistory, { etag: historyEtag, base: baseHistory });
+  } catch (e) { console.error("S3 save err:", e?.message || e); }
+  if (!inbound.anonymous) {
+    const turnEntries = [...(userMessage ? [userMessage] : []), assistantMessage, ...turnCtx.events];
+    try { await saveTranscriptTurn(userId, turnEntries); } catch (e) { console.error("[TRANSCRIPT] Error guardando turno:", e?.message || e); }
+  }
+  if (JSON.stringify(caseState) !== caseStateBefore) {
+    try { await saveCaseState(caseState); } catch (e) { console.error("[CASE] Error guardando estado:", e?.message || e); }
+  }
+
+  if (isWhatsApp) {
+    console.log(`[OUTBOUND] Sending ${mensajes.length} messages via ${inbound.channel}...`);
+    await sendMessages(inbound.channel, phone, mensajes);
+    return { statusCode: 200, body: JSON.stringify({ status: "OK" }) };
+  }
+
+  const assistantReply = [...(safetyMessage && !safetyAlreadySent ? [safetyMessage] : []), ...mensajes]
+    .map(text => ({ type: "text", text }));
+  
+  console.log("Respuesta backend:", JSON.stringify({ reply: assistantReply }, null, 2));
+  
+  return webResponse(inbound, { reply: assistantReply, history: newHistory, session, includeHistory, ...(streamed?.replace && { replace: true }) });
 };
 
-// Función para determinar si un archivo es de audio
-const isAudioFile = (contentType) => {
-  if (!contentType) return false;
-  const audioTypes = ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/wav', 'audio/webm', 'audio/aac'];
-  return audioTypes.some(type => contentType.toLowerCase().includes(type.split('/')[1]));
+// Clave de idempotencia del turno. El messageId de web lo elige el cliente: sin canal y
+// userId podría reclamar el MessageSid / wamid de otro usuario y hacer que se ignore.
+const turnKey = (inbound) =>
+  inbound.messageId ? `${inbound.channel}:${inbound.userId}:${inbound.messageId}` : null;
+
+// Reclama el messageId antes de cualquier efecto (descarga de media, Transcribe, Bedrock,
+// ticket). Si el turno falla se libera para que el reintento (SQS / webhook) lo procese.
+// Lo llama el webhook en línea (web, o sin cola configurada) o el worker desde la cola.
+const runTurnOnce = async (inbound, options) => {
+  const idempotency = getIdempotency();
+  const key = turnKey(inbound);
+  const { claimed } = await idempotency.claim("turn", key);
+  if (!claimed) {
+    console.log(`[DEBUG] Mensaje duplicado detectado (${inbound.channel}): ${inbound.messageId}`);
+    return { statusCode: 200, body: JSON.stringify({ status: "DUPLICATE_IGNORED" }) };
+  }
+
+  try {
+    const { pending, ...res } = await processTurn(inbound, options);
+    // Esperando una transcripción: el claim queda tomado hasta que transcriptionWorker termine el turno
+    if (!pending) await idempotency.complete("turn", key, { statusCode: res?.statusCode });
+    return res;
+  } catch (err) {
+    await idempotency.release("turn", key).catch(e => console.error("[IDEMPOTENCY] No se pudo liberar:", e?.message || e));
+    throw err;
+  }
 };
 
-export const handler = async (event) => {
-  let isWhatsApp = false;
-  let isTwilio = false;
-  let inputText = "";
-  let phone = null;
-  let userId = null;
-  let history = [];
-  let imagenesS3 = [];
-  let messageId = null;
+// Debounce (solo desde el worker): espera a que el usuario deje de escribir y corre un solo
+// turno con todo lo que mandó. Si falla, los mensajes vuelven al buffer y el worker devuelve
+// el flush a la cola para el reintento.
+let debounceWarned = false;
+
+const runBufferedTurn = async (userId) => {
+  const messages = await takeWhenQuiet(userId);
+  if (!messages) {
+    console.log(`[DEBOUNCE] ${userId}: el buffer ya lo tomó otro turno`);
+    return { statusCode: 200, body: JSON.stringify({ status: "BUFFERED" }) };
+  }
 
+  try {
+    return await runTurnOnce(combineInbound(messages));
+  } catch (err) {
+    for (const m of messages) {
+      await bufferInbound(m).catch(e => console.error("[DEBOUNCE] No se pudo devolver el mensaje al buffer:", e?.message || e));
+    }
+    throw err;
+  }
+};
+
+export const handler = async (event) => {
   try {
     console.log("Processing message...");
     console.log('[ENV] Environment check:', {
@@ -451,498 +996,201 @@ export const handler = async (event) => {
       whatsappToken: WHATSAPP_TOKEN ? 'present' : 'missing'
     });
     
-    const rawBody = typeof event.body === "string"
-      ? (event.isBase64Encoded ? Buffer.from(event.body, "base64").toString("utf8") : event.body)
-      : (event.body ? JSON.stringify(event.body) : "");
-    const headers = event.headers || {};
-    const ct = (headers["content-type"] || headers["Content-Type"] || "").toLowerCase();
+    console.log("Headers:", event.headers || {});
 
-    console.log("Raw body:", rawBody);
-    console.log("Headers:", headers);
+    const escalationRoute = (event.rawPath || event.path || "").match(/\/escalation\/(ack|status)\/?$/);
+    if (escalationRoute) return await handleEscalationCallback(event, escalationRoute[1]);
 
-    let metaMsg = null;
-    if (rawBody && ct.includes("application/json")) {
-      try {
-        const parsed = JSON.parse(rawBody);
-        metaMsg = parsed?.entry?.[0]?.changes?.[0]?.value?.messages?.[0] || null;
-        messageId = metaMsg?.id || null;
-      } catch {}
-    }
+    const operatorRoute = (event.rawPath || event.path || "").match(/\/operator\/(takeover|reply|release)\/?$/);
+    if (operatorRoute) return await handleOperatorRequest(event, operatorRoute[1]);
 
-    let twilioData = null;
-    if (!metaMsg && rawBody && ct.includes("application/x-www-form-urlencoded")) {
-      try {
-        console.log("Procesando datos de Twilio...");
-        console.log("Raw body length:", rawBody.length);
-        console.log("Raw body sample:", rawBody.substring(0, 200));
-        
-        // Parsear los parámetros del form
-        let params;
-        let allKeys;
-        
-        // First try normal parsing
-        params = new URLSearchParams(rawBody);
-        allKeys = Array.from(params.keys());
-        console.log("Claves encontradas:", allKeys);
-        
-        // If parsing failed (all data in one key), try to fix it
-        if (allKeys.length === 1 && allKeys[0].length > 100 && !params.get(allKeys[0])) {
-          console.log("Parsing falló, el body completo está en una clave. Intentando fix...");
-          const singleKey = allKeys[0];
-          
-          // Try to decode if it looks like base64
-          let decodedBody = singleKey;
-          try {
-            if (/^[A-Za-z0-9+/]+=*$/.test(singleKey)) {
-              decodedBody = Buffer.from(singleKey, 'base64').toString('utf8');
-              console.log("Body decodificado de base64:", decodedBody.substring(0, 300));
-            }
-          } catch (e) {
-            console.log("No es base64 válido, intentando URL decode");
-            try {
-              decodedBody = decodeURIComponent(singleKey);
-              console.log("Body decodificado URL:", decodedBody.substring(0, 300));
-            } catch (urlError) {
-              console.log("URL decode también falló, usando como está");
-            }
-          }
-          
-          // Re-parse with the potentially decoded body
-          params = new URLSearchParams(decodedBody);
-          allKeys = Array.from(params.keys());
-          console.log("Claves después de re-parsing:", allKeys);
-        }
-        
-        // Extract the parameters
-        let from = params.get("From");
-        let waid = params.get("WaId");
-        let body = params.get("Body");
-        let smsStatus = (params.get("SmsStatus") || "").toLowerCase();
-        let messageStatus = params.get("MessageStatus");
-        let numMedia = Number(params.get("NumMedia") || "0");
-        let messageSid = params.get("MessageSid") || params.get("SmsSid");
-        
-        // URL decode the From field if it's encoded
-        if (from && from.includes('%')) {
-          from = decodeURIComponent(from);
-        }
-        
-        console.log("Datos extraídos:", { 
-          from, 
-          waid, 
-          body, 
-          smsStatus, 
-          messageStatus, 
-          numMedia,
-          messageSid
-        });
-        
-        const isInbound = (smsStatus === "received") || !!body || numMedia > 0;
-        if ((from || waid) && isInbound && !messageStatus) {
-          const medias = [];
-          for (let i = 0; i < numMedia; i++) {
-            const mediaUrl = params.get(`MediaUrl${i}`) || (allKeys.length === 1 ? new URLSearchParams(allKeys[0]).get(`MediaUrl${i}`) : null);
-            const mediaContentType = params.get(`MediaContentType${i}`) || (allKeys.length === 1 ? new URLSearchParams(allKeys[0]).get(`MediaContentType${i}`) : null);
-            if (mediaUrl) {
-              medias.push({
-                url: mediaUrl,
-                contentType: mediaContentType
-              });
-            }
-          }
-          twilioData = { From: from, WaId: waid, Body: body || "", medias, MessageSid: messageSid };
-          console.log("TwilioData creado:", twilioData);
-        } else {
-          console.log("[Twilio] Mensaje ignorado:", { from, waid, smsStatus, messageStatus, numMedia, isInbound });
-        }
-      } catch (e) {
-        console.error("Error parsing Twilio data:", e);
+    // Consola de operadores (archivos estáticos de console/) y su API
+    if (isConsolePath(event.rawPath || event.path)) return await serveConsole(event);
+    if (/\/admin(\/|$)/.test(event.rawPath || event.path || "")) return await handleAdminRequest(event);
+
+    // Identificar canal y parsear el body (ver inboundMessage.mjs)
+    const request = parseInboundEvent(event);
+    console.log("Raw body:", request.rawBody);
+
+    if (request.channel === "twilio") {
+      // Validar la firma antes de cualquier efecto (historial, descarga de media, Bedrock)
+      const auth = verifyTwilioRequest(event, request.params, {
+        authToken: TWILIO_AUTH_TOKEN,
+        webhookUrl: TWILIO_WEBHOOK_URL,
+        bypass: TWILIO_SIGNATURE_BYPASS
+      });
+      if (!auth.ok) {
+        console.warn("[TWILIO_AUTH] Webhook rechazado:", auth.reason);
+        return { statusCode: 403, body: JSON.stringify({ error: "Forbidden" }) };
       }
     }
 
-    if (metaMsg) {
-      isWhatsApp = true;
-      phone = metaMsg.from;
-      userId = `wa:${normalizePhone(phone)}`;
-      inputText = metaMsg?.text?.body?.trim() || "";
-      
-      // Load history first to check for duplicate messages
-      history = await loadHistory(userId);
-      
-      // Check if this message was already processed (prevent duplicates)
-      if (messageId) {
-        const recentMessages = history.slice(-10); // Check last 10 messages
-        const isDuplicate = recentMessages.some(msg => 
-          msg.role === "user" && 
-          msg.content?.[0]?.text === inputText &&
-          msg.messageId === messageId
-        );
-        
-        if (isDuplicate) {
-          console.log(`[DEBUG] Mensaje duplicado detectado: ${messageId}`);
-          return { statusCode: 200, body: JSON.stringify({ status: "DUPLICATE_IGNORED" }) };
-        }
+    if (request.channel === "meta") {
+      // Cualquier JSON con entry[] parece un webhook de Meta: sin firma válida no se procesa
+      const auth = verifyMetaRequest(event, { appSecret: META_APP_SECRET, bypass: META_SIGNATURE_BYPASS });
+      if (!auth.ok) {
+        console.warn("[META_AUTH] Webhook rechazado:", auth.reason);
+        emitMetric("WebhookSignatureRejected", 1, { Function: "index", Provider: "meta" });
+        return { statusCode: 401, body: JSON.stringify({ error: "Unauthorized" }) };
       }
-      
-      // For Meta WhatsApp, we would need WhatsApp API credentials
-      // Since we're using Twilio, we'll skip this part
-      console.log('[META] Skipping Meta WhatsApp media processing - using Twilio flow');
-      
-    } else if (twilioData) {
-      isWhatsApp = true;
-      isTwilio = true;
-      // Extract phone number properly, handling URL encoding and whatsapp: prefix
-      const rawFrom = twilioData.From || "";
-      const rawWaId = twilioData.WaId || "";
-      
-      // Try WaId first (it's usually cleaner), then fall back to From
-      phone = rawWaId || rawFrom.replace(/^whatsapp:/, "");
-      
-      // Ensure we have a valid phone number
-      const normalizedPhone = normalizePhone(phone);
-      if (normalizedPhone) {
-        userId = `wa:${normalizedPhone}`;
-      } else {
-        console.error("No se pudo extraer número de teléfono válido:", { rawFrom, rawWaId, phone });
-        userId = "anon";
+    }
+
+    // Web: el userId sale del token de sesión (o del servicio interno), nunca del body
+    let identity = null;
+    if (request.channel === "web") {
+      identity = resolveWebIdentity(event, request.payload);
+      if (!identity.ok) {
+        return { statusCode: identity.status, body: JSON.stringify({ error: "Sesión inválida o vencida", reason: identity.reason }) };
       }
-      inputText = (twilioData.Body || "").trim();
-      messageId = twilioData.MessageSid; // Usar MessageSid como messageId único
-      
-      console.log("Phone:", phone, "UserId:", userId);
-      
-      // Load history first to check for duplicate messages
-      history = await loadHistory(userId);
-      
-      // Check if this message was already processed using MessageSid
-      if (messageId) {
-        const recentMessages = history.slice(-10); // Check last 10 messages
-        const isDuplicate = recentMessages.some(msg => 
-          msg.role === "user" && 
-          msg.messageId === messageId
-        );
-        
-        if (isDuplicate) {
-          console.log(`[DEBUG] Mensaje Twilio duplicado detectado: ${messageId}`);
-          return { statusCode: 200, body: JSON.stringify({ status: "DUPLICATE_IGNORED" }) };
-        }
+    }
+
+    const inbound = toInboundMessage(request, identity);
+    if (!inbound) {
+      // Callbacks de estado de Twilio / Meta: no hay mensaje que responder
+      return { statusCode: 200, body: JSON.stringify({ status: "IGNORED" }) };
+    }
+    console.log("[INBOUND] Mensaje normalizado:", JSON.stringify(inbound));
+
+    // WhatsApp: responder 200 enseguida y dejar el turno en la cola (Twilio corta a los 15s
+    // y Meta reintenta). Web sigue en línea porque espera la respuesta en el body.
+    // Con DEBOUNCE_MS el mensaje va al buffer del usuario y la cola solo lleva el aviso de flush.
+    // Sin cola no hay debounce: el webhook tendría que dormir la ventana y, si el turno falla,
+    // el reintento del proveedor llegaría con el claim ya completo y se descartaría.
+    const turnQueue = getTurnQueue();
+    const debounce = DEBOUNCE_MS > 0 && !!turnQueue;
+    if (DEBOUNCE_MS > 0 && !turnQueue && !debounceWarned) {
+      console.warn("[DEBOUNCE] DEBOUNCE_MS necesita una cola (TURN_QUEUE_URL); los mensajes se procesan de a uno");
+      debounceWarned = true;
+    }
+    if (turnQueue && (inbound.channel === "meta" || inbound.channel === "twilio")) {
+      const idempotency = getIdempotency();
+      const key = turnKey(inbound);
+      if (!(await idempotency.claim("webhook", key)).claimed) {
+        console.log(`[INGRESS] Mensaje duplicado (${inbound.channel}): ${inbound.messageId}`);
+        return { statusCode: 200, body: JSON.stringify({ status: "DUPLICATE_IGNORED" }) };
       }
-      
-      if (DEBUG_TWILIO) console.log("[Twilio] From:", twilioData.From, "WaId:", twilioData.WaId, "userId:", userId, "Body:", inputText);
       try {
-        for (const m of (twilioData.medias || [])) {
-          if (!m.url) continue;
-          
-          console.log(`[MEDIA] Processing media: ${m.url}, ContentType: ${m.contentType}`);
-          
-          const buf = await downloadTwilioMedia(m.url);
-          const mime = m.contentType || "image/jpeg";
-          const ext = (mime.split("/")[1] || "jpg").split(";")[0];
-          const mediaFile = await putMedia(buf, mime, userId, ext);
-          imagenesS3.push(mediaFile);
-          
-          console.log(`[MEDIA] Media uploaded to S3: ${mediaFile.url}`);
-          
-          // Procesar audio para transcripción si es un archivo de audio
-          if (isAudioFile(mime)) {
-            console.log(`[AUDIO] Detectado archivo de audio de Twilio: ${mediaFile.url}`);
-            console.log(`[AUDIO] MIME type: ${mime}, extensión: ${ext}`);
-            
-            try {
-              console.log(`[AUDIO] Iniciando transcripción de Twilio con extensión: ${ext}`);
-              const transcribedText = await transcribeAudio(mediaFile.url, ext);
-              
-              if (transcribedText && transcribedText.trim()) {
-                inputText = transcribedText.trim();
-                console.log(`[AUDIO] ✅ Transcripción exitosa de Twilio: "${inputText}"`);
-              } else {
-                console.warn('[AUDIO] ⚠️ Transcripción vacía de Twilio');
-                inputText = "He recibido tu mensaje de audio pero no pude entender lo que dijiste. ¿Podrías escribirme o enviar el audio de nuevo?";
-              }
-            } catch (transcribeError) {
-              console.error('[AUDIO] ❌ Error transcribiendo audio de Twilio:', transcribeError);
-              inputText = "He recibido tu mensaje de audio pero hubo un problema al procesarlo. ¿Podrías escribirme o intentar de nuevo?";
-            }
-          }
-        }
-      } catch (e) { 
-        console.error("Twilio media error:", e?.message || e);
-        console.error("Twilio media error stack:", e?.stack);
-      }
-    } else {
-      const parsed = rawBody ? JSON.parse(rawBody) : {};
-      inputText = typeof parsed.input === "string" ? parsed.input : parsed.input?.text;
-      const baseId = parsed.userId ||
-                     parsed?.requestContext?.requestId ||
-                     crypto.randomUUID() ||
-                     `anon-${Date.now()}`;
-      userId = `web:${baseId}`;
-      history = parsed.userId ? await loadHistory(userId) : [];
-      
-      // Handle media from WhatsAppAdapter.mjs
-      if (parsed.mediaInfo?.medias && inputText === '[AUDIO_MESSAGE_TO_TRANSCRIBE]') {
-        console.log('[WHATSAPP_ADAPTER] Processing audio message from WhatsAppAdapter');
-        console.log(`[WHATSAPP_ADAPTER] Total medias to process: ${parsed.mediaInfo.medias.length}`);
-        
-        try {
-          let audioProcessed = false;
-          
-          for (const [index, media] of parsed.mediaInfo.medias.entries()) {
-            console.log(`[WHATSAPP_ADAPTER] Processing media ${index + 1}/${parsed.mediaInfo.medias.length}`);
-            console.log(`[WHATSAPP_ADAPTER] Media URL: ${media.url}`);
-            console.log(`[WHATSAPP_ADAPTER] Media Content-Type: ${media.contentType}`);
-            
-            if (media.url && media.contentType?.includes('audio')) {
-              console.log(`[AUDIO] Processing audio from WhatsAppAdapter: ${media.url}`);
-              console.log(`[AUDIO] Audio content type: ${media.contentType}`);
-              
-              try {
-                // Download and save the audio file to S3
-                console.log('[AUDIO] Downloading audio file...');
-                const audioBuffer = await downloadTwilioMedia(media.url);
-                console.log(`[AUDIO] Audio downloaded successfully, size: ${audioBuffer.length} bytes`);
-                
-                const audioExtension = media.contentType.split('/')[1] || 'ogg';
-                console.log(`[AUDIO] Detected audio extension: ${audioExtension}`);
-                
-                console.log('[AUDIO] Uploading audio to S3...');
-                const audioFile = await putMedia(audioBuffer, media.contentType, userId, audioExtension);
-                console.log(`[AUDIO] Audio uploaded to S3: ${audioFile.url}`);
-                imagenesS3.push(audioFile);
-                
-                // Transcribe the audio
-                console.log('[AUDIO] Starting transcription process...');
-                console.log(`[AUDIO] Audio file details: URL=${audioFile.url}, Extension=${audioExtension}, ContentType=${media.contentType}`);
-                
-                const transcribedText = await transcribeAudio(audioFile.url, audioExtension);
-                
-                if (transcribedText && transcribedText.trim()) {
-                  inputText = transcribedText.trim();
-                  console.log(`[AUDIO] ✅ Transcripción exitosa desde WhatsAppAdapter: "${inputText}"`);
-                  audioProcessed = true;
-                } else {
-                  console.warn('[AUDIO] ⚠️ Transcripción vacía o nula desde WhatsAppAdapter');
-                  console.warn(`[AUDIO] Audio file URL was: ${audioFile.url}`);
-                  console.warn(`[AUDIO] Audio extension was: ${audioExtension}`);
-                  inputText = "Parece que intentaste mandar un mensaje de audio, pero no me llegó la transcripción del mismo. ¿Podrías intentar de nuevo o escribirme el mensaje?";
-                }
-                
-              } catch (audioError) {
-                console.error('[AUDIO] ❌ Error específico procesando audio individual:', audioError);
-                console.error('[AUDIO] Error stack:', audioError.stack);
-                inputText = "He recibido tu mensaje de audio pero hubo un problema técnico al procesarlo. ¿Podrías intentar enviarlo de nuevo o escribirme el mensaje?";
-              }
-              
-              break; // Process only the first audio file
-            } else {
-              console.log(`[WHATSAPP_ADAPTER] Media ${index + 1} is not audio, skipping`);
-            }
-          }
-          
-          if (!audioProcessed && inputText === '[AUDIO_MESSAGE_TO_TRANSCRIBE]') {
-            console.warn('[WHATSAPP_ADAPTER] No se encontraron archivos de audio válidos para procesar');
-            inputText = "Parece que intentaste mandar un mensaje de audio, pero no pude procesarlo. ¿Podrías intentar de nuevo?";
-          }
-          
-        } catch (e) {
-          console.error('[AUDIO] ❌ Error general processing audio from WhatsAppAdapter:', e);
-          console.error('[AUDIO] Error type:', e.name);
-          console.error('[AUDIO] Error message:', e.message);
-          console.error('[AUDIO] Error stack:', e.stack);
-          inputText = "He recibido tu mensaje de audio pero hubo un error al procesarlo. ¿Podrías escribirme o intentar de nuevo?";
-        }
+        if (debounce) await bufferInbound(inbound);
+        await turnQueue.send(debounce ? { flush: inbound.userId } : { inbound }, { groupId: inbound.userId, dedupId: key });
+      } catch (e) {
+        await idempotency.release("webhook", key);
+        throw e;
       }
-    }
+      await idempotency.complete("webhook", key);
 
-    // Handle empty messages more intelligently
-    if (!inputText || inputText === 'mensaje vacío') {
-      // Check if this is a repeated empty message
-      const recentMessages = history.slice(-10); // Check last 10 messages for better context
-      const recentEmptyMessages = recentMessages.filter(m => 
-        m.role === "user" && (m.content?.[0]?.text === "mensaje vacío" || !m.content?.[0]?.text?.trim())
-      );
-      
-      // Check for various types of context from recent conversation
-      const hasGasContext = recentMessages.some(m => 
-        m.role === "user" && m.content?.[0]?.text?.toLowerCase().includes('gas')
-      );
-      
-      const hasElectricalContext = recentMessages.some(m => 
-        m.role === "user" && (m.content?.[0]?.text?.toLowerCase().includes('enchufe') || 
-                              m.content?.[0]?.text?.toLowerCase().includes('electricidad') ||
-                              m.content?.[0]?.text?.toLowerCase().includes('heladera'))
-      );
-      
-      const hasPlumbingContext = recentMessages.some(m => 
-        m.role === "user" && (m.content?.[0]?.text?.toLowerCase().includes('agua') ||
-                              m.content?.[0]?.text?.toLowerCase().includes('canilla') ||
-                              m.content?.[0]?.text?.toLowerCase().includes('pérdida'))
-      );
-      
-      // Check if user provided name and address recently
-      const hasUserInfo = recentMessages.some(m => 
-        m.role === "user" && (m.content?.[0]?.text?.toLowerCase().includes('rivadavia') ||
-                              m.content?.[0]?.text?.toLowerCase().includes('sol') ||
-                              m.content?.[0]?.text?.toLowerCase().includes('inqui'))
-      );
-      
-      if (recentEmptyMessages.length >= 3) {
-        // Too many empty messages, ask for clarification
-        inputText = "necesito ayuda urgente pero no puedo escribir bien, ayúdame";
-      } else if (recentEmptyMessages.length >= 2 && hasGasContext) {
-        // Multiple empty messages but we know it's about gas - might be an emergency
-        inputText = "sigo teniendo el problema de gas que mencioné antes";
-      } else if (recentEmptyMessages.length >= 2 && hasElectricalContext) {
-        // Multiple empty messages with electrical context
-        inputText = "sigo con el problema del enchufe de la heladera que te comenté";
-      } else if (recentEmptyMessages.length >= 2 && hasPlumbingContext) {
-        // Multiple empty messages with plumbing context
-        inputText = "sigo con el problema de agua que te mencioné";
-      } else if (recentEmptyMessages.length >= 2 && hasUserInfo) {
-        // User has context but multiple empty messages
-        inputText = "necesito ayuda con el problema que te estaba contando";
-      } else if (recentEmptyMessages.length >= 2) {
-        // User sent multiple empty messages, ask for clarification
-        inputText = "necesito ayuda pero no sé cómo explicar mi problema";
-      } else if (imagenesS3.length === 0 && history.length === 0) {
-        // First message and it's empty - treat as greeting
-        inputText = "hola";
-      } else if (imagenesS3.length === 0) {
-        inputText = "mensaje vacío";
-      }
-      
-      console.log(`[DEBUG] Mensaje vacío procesado para userId: ${userId}, recientes: ${recentEmptyMessages.length}, contextos: gas=${hasGasContext}, electrical=${hasElectricalContext}, plumbing=${hasPlumbingContext}, userInfo=${hasUserInfo}`);
+      console.log(`[INGRESS] Turno encolado (${turnQueue.backend}) para ${inbound.userId}`);
+      return { statusCode: 200, body: JSON.stringify({ status: "QUEUED" }) };
     }
 
-    console.log(`[DEBUG] InputText: "${inputText}", UserId: ${userId}, HistoryLength: ${history.length}`);
-    
-    // Debug: mostrar estructura del historial
-    if (history.length > 0) {
-      console.log(`[DEBUG] Último mensaje del historial:`, JSON.stringify(history[history.length - 1], null, 2));
-      console.log(`[DEBUG] Historial completo:`, JSON.stringify(history, null, 2));
+    // identity solo existe en web: los webhooks de WhatsApp corren sin sesión
+    return await runTurnOnce(inbound, {
+      emergencyNotified: identity?.trusted === true && request.payload?.emergencyNotified === true,
+      session: identity?.session ?? null,
+      includeHistory: request.payload?.includeHistory === true
+    });
+
+  } catch (err) {
+    console.error("🔥 Error general:", err);
+    console.error("🔥 Error stack:", err.stack);
+    return { statusCode: 500, body: JSON.stringify({ error: err?.message || "Error", stack: err?.stack }) };
+  }
+};
+
+
+// Chat web con respuestas en streaming (SSE, ver streaming.mjs). Se despliega como otra
+// función con handler index.streamHandler detrás de una Function URL con InvokeMode
+// RESPONSE_STREAM; recibe el mismo body que el chat web de handler.
+export const streamHandler = streamifyResponse(async (event, responseStream) => {
+  let sse = null;
+  try {
+    const request = parseInboundEvent(event);
+    if (request.channel !== "web") {
+      return endJson(responseStream, 400, { error: "El streaming es solo para el chat web" });
     }
+    const identity = resolveWebIdentity(event, request.payload);
+    if (!identity.ok) {
+      return endJson(responseStream, identity.status, { error: "Sesión inválida o vencida", reason: identity.reason });
+    }
+    const inbound = toInboundMessage(request, identity);
+    console.log("[STREAM] Mensaje normalizado:", JSON.stringify(inbound));
 
-    const baseHistory = Array.isArray(history) ? history : [];
-    const safeHistory = trimHistory(baseHistory);
-    
-    // Create user message with messageId if available
-    const userMessage = inputText ? {
-      role: "user", 
-      content: [{ type: "text", text: inputText }],
-      ...(messageId && { messageId })
-    } : null;
-    
-    const updatedMessages = [
-      ...safeHistory,
-      ...(userMessage ? [userMessage] : [])
-    ];
-
-    const command = new InvokeModelCommand({
-      modelId: "anthropic.claude-3-5-sonnet-20241022-v2:0",
-      contentType: "application/json",
-      accept: "application/json",
-      body: JSON.stringify({
-        anthropic_version: "bedrock-2023-05-31",
-        system: SYSTEM_TEXT,
-        max_tokens: 1000,
-        temperature: 0.7,
-        top_p: 0.9,
-        messages: updatedMessages
-      })
+    sse = openSse(responseStream);
+    const res = await runTurnOnce(inbound, {
+      emergencyNotified: identity.trusted && request.payload?.emergencyNotified === true,
+      session: identity.session,
+      includeHistory: request.payload?.includeHistory === true,
+      onFragment: (text) => sse.send("fragment", { type: "text", text })
     });
+    sse.send("done", JSON.parse(res.body));
+    sse.end();
+  } catch (err) {
+    console.error("🔥 Error en streaming:", err);
+    if (!sse) return endJson(responseStream, 500, { error: err?.message || "Error" });
+    sse.send("error", { error: err?.message || "Error" });
+    sse.end();
+  }
+});
 
-    const bedrockRes = await bedrock.send(command);
-    const raw = await bedrockRes.body.transformToString();
-    const modelOut = JSON.parse(raw);
-    const salidaIA = (modelOut.content || []).map(c => c.text).join(" ").trim();
+// Fin de una transcripción asíncrona (ver pendingTranscription.mjs). Lo disparan la regla de
+// EventBridge "Transcribe Job State Change" y/o la notificación de S3 en transcribe-output/;
+// si llegan las dos, el claim por jobName hace que el turno corra una sola vez.
+export const transcriptionWorker = async (event) => {
+  const idempotency = getIdempotency();
 
-    let resumen = null;
-    const match = salidaIA.match(/\[RESUMEN_JSON\]([\s\S]*?)\[\/RESUMEN_JSON\]/);
-    if (match) {
-      try {
-        resumen = JSON.parse(match[1].trim());
-        if (imagenesS3.length) resumen.imagenes = imagenesS3;
-      } catch (e) { console.warn("Resumen JSON mal formado:", e?.message); }
+  for (const job of parseTranscriptionEvent(event)) {
+    if (!(await idempotency.claim("transcription", job.jobName)).claimed) {
+      console.log(`[TRANSCRIBE] ${job.jobName} ya se está procesando`);
+      continue;
     }
 
-    const salidaSinJson = salidaIA.replace(/\[RESUMEN_JSON\][\s\S]*?\[\/RESUMEN_JSON\]/g, "").trim();
-    const mensajes = dividirRespuesta(salidaSinJson);
-
-    console.log(`[DEBUG] Mensajes a enviar (${mensajes.length}):`, mensajes);
-
-    if (resumen) {
-      if (resumen?.detalle && !resumen.problema) { resumen.problema = resumen.detalle; delete resumen.detalle; }
-      const ok = !!resumen?.nombre && !!resumen?.direccion && !!resumen?.problema &&
-                 typeof resumen?.urgente === "boolean" && !!resumen?.tecnico;
-      if (ok) {
-        try {
-          const resp = await fetch("https://lxyzkamgvk.execute-api.us-west-2.amazonaws.com/default/proxy-registrar-pedido", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(resumen)
-          });
-          if (!resp.ok) console.error("Backend error:", resp.status, await resp.text());
-        } catch (e) { console.error("Backend fetch error:", e?.message || e); }
+    try {
+      const pending = await loadPendingTranscription(job);
+      if (!pending) {
+        console.warn(`[TRANSCRIBE] ${job.jobName} no tiene turno pendiente, ignorado`);
+        await idempotency.complete("transcription", job.jobName);
+        continue;
       }
+
+      const inbound = { ...pending.inbound, transcripts: { [pending.audio.key]: pending.transcription } };
+      console.log(`[TRANSCRIBE] Retomando turno de ${inbound.userId} (${job.jobName}, ${job.status})`);
+      const res = await processTurn(inbound, pending.options);
+      // turnKey es la clave que reclamó runTurnOnce, con el canal original (web si vino de WhatsAppAdapter)
+      await idempotency.complete("turn", inbound.turnKey, { statusCode: res?.statusCode });
+      await idempotency.complete("transcription", job.jobName);
+      await clearPendingTranscription(job.jobName);
+    } catch (err) {
+      console.error(`[TRANSCRIBE] 🔥 Error retomando ${job.jobName}:`, err?.message || err, err?.stack);
+      await idempotency.release("transcription", job.jobName).catch(e => console.error("[IDEMPOTENCY] No se pudo liberar:", e?.message || e));
+      throw err;
     }
+  }
+};
 
-    let newHistory = [...updatedMessages];
-    const assistantMessage = { role: "assistant", content: [{ type: "text", text: salidaSinJson }] };
-    newHistory.push(assistantMessage);
-    
-    console.log(`[DEBUG] Guardando historial para ${userId}:`);
-    console.log(`[DEBUG] Nuevo mensaje asistente:`, JSON.stringify(assistantMessage, null, 2));
-    console.log(`[DEBUG] Historial completo a guardar:`, JSON.stringify(newHistory, null, 2));
-    
-    try { await saveHistory(userId, newHistory); } catch (e) { console.error("S3 save err:", e?.message || e); }
+// Worker de la cola de turnos (event source mapping de SQS, con ReportBatchItemFailures).
+// Si falla un mensaje, los siguientes del mismo usuario en el batch también vuelven a la
+// cola para no responderlos fuera de orden.
+export const worker = async (event) => {
+  const batchItemFailures = [];
+  const failedGroups = new Set();
 
-    if (isWhatsApp) {
-      if (isTwilio) {
-        console.log('[TWILIO] Sending messages via Twilio...');
-        try {
-          const basic = twilioBasicAuth();
-          console.log('[TWILIO] Auth header created successfully');
-          
-          for (const fragmento of mensajes) {
-            console.log(`[TWILIO] Sending message: "${fragmento}"`);
-            const form = new URLSearchParams();
-            form.set("To", `whatsapp:${phone}`);
-            form.set("From", TWILIO_WHATSAPP_FROM);
-            form.set("Body", fragmento);
-            
-            const resp = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`, {
-              method: "POST",
-              headers: { Authorization: basic, "Content-Type": "application/x-www-form-urlencoded" },
-              body: form
-            });
-            
-            if (!resp.ok) {
-              const errorText = await resp.text();
-              console.error("Twilio send fail:", resp.status, errorText);
-            } else {
-              console.log(`[TWILIO] Message sent successfully`);
-            }
-            await esperar(800);
-          }
-        } catch (twilioSendError) {
-          console.error('[TWILIO] Error sending messages:', twilioSendError);
-        }
-      } else {
-        // This shouldn't happen since we're using Twilio, but keeping as fallback
-        console.log('[META] Would send via WhatsApp API, but not configured');
-      }
-      return { statusCode: 200, body: JSON.stringify({ status: "OK" }) };
+  for (const record of event.Records || []) {
+    const groupId = record.attributes?.MessageGroupId;
+    if (groupId && failedGroups.has(groupId)) {
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+      continue;
     }
 
-    const assistantReply = mensajes.map(text => ({ type: "text", text }));
-    
-    console.log("Respuesta backend:", JSON.stringify({ reply: assistantReply, history: newHistory }, null, 2));
-    
-    return { statusCode: 200, body: JSON.stringify({ reply: assistantReply, history: newHistory }) };
-
-  } catch (err) {
-    console.error("🔥 Error general:", err);
-    console.error("🔥 Error stack:", err.stack);
-    return { statusCode: 500, body: JSON.stringify({ error: err?.message || "Error", stack: err?.stack }) };
+    try {
+      const { inbound, flush } = JSON.parse(record.body);
+      console.log(`[WORKER] Procesando turno ${record.messageId} de ${flush || inbound.userId}`);
+      const res = flush ? await runBufferedTurn(flush) : await runTurnOnce(inbound);
+      console.log(`[WORKER] Turno ${record.messageId} terminado:`, res?.statusCode);
+    } catch (err) {
+      console.error(`[WORKER] 🔥 Error en turno ${record.messageId}:`, err?.message || err, err?.stack);
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+      if (groupId) failedGroups.add(groupId);
+    }
   }
-};
\ No newline at end of file
+
+  return { batchItemFailures };
+};
@@ -0,0 +1,77 @@
+// media.mjs
+// Descarga de media de WhatsApp (Meta Graph API) y guardado en S3, compartido por ambas Lambdas.
+import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import crypto from "crypto";
+
+const REGION = process.env.AWS_REGION || "us-west-2";
+const MEDIA_BUCKET = process.env.MEDIA_BUCKET || "toori360";
+const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
+const GRAPH_API_VERSION = process.env.GRAPH_API_VERSION || "v18.0";
+
+const s3 = new S3Client({ region: REGION });
+
+// Extensión de archivo a partir del MIME ("audio/ogg; codecs=opus" -> "ogg")
+export const extensionFor = (contentType, fallback = "bin") => {
+  const subtype = (contentType || "").split("/")[1];
+  if (!subtype) return fallback;
+  const ext = subtype.split(";")[0].trim().toLowerCase();
+  const aliases = { jpeg: "jpg", "vnd.openxmlformats-officedocument.wordprocessingml.document": "docx", plain: "txt" };
+  return aliases[ext] || ext || fallback;
+};
+
+export const putMedia = async (buf, contentType, userId, ext = "bin") => {
+  const id = crypto.randomUUID();
+  const key = `media/${encodeURIComponent(userId)}/${id}.${ext}`;
+
+  console.log(`[S3] Uploading media to: s3://${MEDIA_BUCKET}/${key}`);
+  console.log(`[S3] Content type: ${contentType}, Size: ${buf.length} bytes`);
+
+  await s3.send(new PutObjectCommand({
+    Bucket: MEDIA_BUCKET,
+    Key: key,
+    Body: buf,
+    ContentType: contentType
+  }));
+
+  console.log(`[S3] Upload successful: s3://${MEDIA_BUCKET}/${key}`);
+  return { bucket: MEDIA_BUCKET, key, url: `s3://${MEDIA_BUCKET}/${key}`, contentType };
+};
+
+// Meta solo manda el id del media; la URL (temporal) se obtiene del Graph API.
+export const resolveMetaMedia = async (mediaId) => {
+  if (!WHATSAPP_TOKEN) throw new Error("WHATSAPP_TOKEN not configured");
+
+  console.log(`[META_MEDIA] Resolving media id: ${mediaId}`);
+  const res = await fetch(`https://graph.facebook.com/${GRAPH_API_VERSION}/${mediaId}`, {
+    headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}` }
+  });
+
+  if (!res.ok) {
+    const errorText = await res.text().catch(() => "Unknown error");
+    throw new Error(`Failed to get WhatsApp media metadata: ${res.status} ${res.statusText} - ${errorText}`);
+  }
+
+  const data = await res.json();
+  console.log(`[META_MEDIA] Resolved: ${data.mime_type}, ${data.file_size} bytes`);
+  return { url: data.url, contentType: data.mime_type, size: data.file_size };
+};
+
+export const downloadMetaMedia = async (mediaId) => {
+  const { url, contentType } = await resolveMetaMedia(mediaId);
+
+  const res = await fetch(url, {
+    headers: {
+      Authorization: `Bearer ${WHATSAPP_TOKEN}`,
+      'User-Agent': 'AWS Lambda Function'
+    }
+  });
+
+  if (!res.ok) {
+    const errorText = await res.text().catch(() => "");
+    throw new Error(`WhatsApp media download failed: ${res.status} - ${errorText}`);
+  }
+
+  const ab = await res.arrayBuffer();
+  console.log(`[META_MEDIA] Downloaded ${ab.byteLength} bytes`);
+  return { buffer: Buffer.from(ab), contentType };
+};
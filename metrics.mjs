@@ -0,0 +1,21 @@
+// metrics.mjs
+// Métricas en CloudWatch Embedded Metric Format: una línea JSON en el log
+// que CloudWatch convierte en métrica sin llamadas extra a la API.
+
+const METRICS_NAMESPACE = process.env.METRICS_NAMESPACE || "Toori/Assistant";
+
+export const emitMetric = (name, value = 1, dimensions = {}, unit = "Count") => {
+  const dimensionKeys = Object.keys(dimensions);
+  console.log(JSON.stringify({
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [{
+        Namespace: METRICS_NAMESPACE,
+        Dimensions: dimensionKeys.length ? [dimensionKeys] : [[]],
+        Metrics: [{ Name: name, Unit: unit }]
+      }]
+    },
+    ...dimensions,
+    [name]: value
+  }));
+};
@@ -0,0 +1,295 @@
+// oncall.mjs
+// Llamadas de guardia por la API de voz de Twilio (Calls.json). Cuando se escala un caso
+// se llama a la primera persona de ONCALL_ROSTER con un resumen leído por TTS; si nadie
+// aprieta una tecla se pasa a la siguiente. El estado de cada escalamiento se guarda en
+// HISTORY_BUCKET como escalations/<id>.json, siempre con escritura condicional por ETag
+// (como idempotency.mjs y debounce.mjs): los callbacks de Twilio pueden llegar a la vez.
+//
+// {
+//   id, userId, reason, type, direccion, problema, phone,
+//   status: "calling" | "acked" | "exhausted",
+//   attempt,                      // índice en roster de la llamada en curso
+//   roster: [{ name, phone }],
+//   calls: [{ name, phone, sid, status, at }],  // una por intento: calls[attempt] es la llamada en curso
+//   ackedBy, createdAt, updatedAt
+// }
+//
+// Twilio nos avisa por dos callbacks (ver handler en index.mjs):
+//   <ESCALATION_CALLBACK_URL>/escalation/ack?id=...     (Gather, trae Digits)
+//   <ESCALATION_CALLBACK_URL>/escalation/status?id=...  (StatusCallback al cortar)
+import { S3Client, PutObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+import crypto from "crypto";
+import { twilioRequest } from "./outbound.mjs";
+import { registerEscalationHook } from "./escalation.mjs";
+
+const REGION = process.env.AWS_REGION || "us-west-2";
+const HISTORY_BUCKET = process.env.HISTORY_BUCKET || "toori-chat-history";
+const ONCALL_ROSTER = process.env.ONCALL_ROSTER || "";
+const ESCALATION_CALLBACK_URL = (process.env.ESCALATION_CALLBACK_URL || "").replace(/\/$/, "");
+const TWILIO_VOICE_FROM = process.env.TWILIO_VOICE_FROM ||
+  (process.env.TWILIO_WHATSAPP_FROM || "").replace(/^whatsapp:/, "");
+const ONCALL_RING_TIMEOUT = parseInt(process.env.ONCALL_RING_TIMEOUT || "25", 10);
+const MAX_WRITE_ATTEMPTS = 5;
+
+const s3 = new S3Client({ region: REGION });
+
+// "Juan:+5491111111111,Ana:+5491122222222" (el nombre es opcional)
+export const parseRoster = (raw) =>
+  (raw || "").split(",").map(entry => entry.trim()).filter(Boolean).map((entry, i) => {
+    const idx = entry.lastIndexOf(":");
+    const name = idx > 0 ? entry.slice(0, idx).trim() : `Guardia ${i + 1}`;
+    const phone = (idx > 0 ? entry.slice(idx + 1) : entry).replace(/[^\d+]/g, "");
+    return { name, phone };
+  }).filter(p => p.phone);
+
+const escapeXml = (text) => String(text ?? "")
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+
+// Teléfonos dígito por dígito para que el TTS no los lea como un número gigante
+const spellPhone = (phone) => (phone || "").replace(/\D/g, "").split("").join(" ");
+
+const REASONS = {
+  emergency: "Emergencia detectada",
+  urgente: "Pedido urgente"
+};
+
+const TYPES = { gas: "posible pérdida de gas", incendio: "humo o fuego", electrico: "riesgo eléctrico" };
+
+export const buildSpokenSummary = (state) => [
+  `Hola, te llama el asistente de Toori. ${REASONS[state.reason] || "Caso escalado"}${state.type ? `: ${TYPES[state.type] || state.type}` : ""}.`,
+  `Dirección: ${state.direccion || "todavía no la tenemos"}.`,
+  `Problema: ${state.problema || "sin descripción"}.`,
+  state.phone ? `Teléfono del inquilino: ${spellPhone(state.phone)}.` : ""
+].filter(Boolean).join(" ");
+
+export const callbackUrlFor = (kind, id) =>
+  `${ESCALATION_CALLBACK_URL}/escalation/${kind}?id=${encodeURIComponent(id)}`;
+
+export const buildCallTwiml = (state) => {
+  const summary = escapeXml(buildSpokenSummary(state));
+  if (!ESCALATION_CALLBACK_URL) {
+    // Sin callbacks no hay a dónde mandar la tecla: solo se lee el resumen dos veces
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Say language="es-MX">${summary}</Say><Pause length="1"/><Say language="es-MX">${summary}</Say></Response>`;
+  }
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<Response>`,
+    `<Gather numDigits="1" timeout="10" action="${escapeXml(callbackUrlFor("ack", state.id))}" method="POST">`,
+    `<Say language="es-MX">${summary}</Say>`,
+    `<Say language="es-MX">Apretá cualquier tecla para tomar el caso. Repito.</Say>`,
+    `<Say language="es-MX">${summary}</Say>`,
+    `</Gather>`,
+    `<Say language="es-MX">No recibimos confirmación. Llamamos a la siguiente persona de guardia.</Say>`,
+    `<Hangup/>`,
+    `</Response>`
+  ].join("");
+};
+
+export const twimlSay = (text) =>
+  `<?xml version="1.0" encoding="UTF-8"?><Response>${text ? `<Say language="es-MX">${escapeXml(text)}</Say>` : ""}</Response>`;
+
+const stateKey = (id) => `escalations/${encodeURIComponent(id)}.json`;
+
+const isConditionFailure = (e) =>
+  e?.name === "PreconditionFailed" || e?.name === "ConditionalRequestConflict" ||
+  e?.$metadata?.httpStatusCode === 412 || e?.$metadata?.httpStatusCode === 409;
+
+const readEscalation = async (id) => {
+  try {
+    const res = await s3.send(new GetObjectCommand({ Bucket: HISTORY_BUCKET, Key: stateKey(id) }));
+    return { state: JSON.parse(await res.Body.transformToString()), etag: res.ETag };
+  } catch (e) {
+    if (e?.name !== "NoSuchKey") console.warn("[ONCALL] No se pudo cargar el escalamiento:", e?.name, e?.message);
+    return { state: null, etag: null };
+  }
+};
+
+export const loadEscalation = async (id) => (await readEscalation(id)).state;
+
+// etag null crea el escalamiento. Devuelve false si alguien lo modificó desde que lo leímos
+const saveEscalation = async (state, etag) => {
+  state.updatedAt = new Date().toISOString();
+  try {
+    await s3.send(new PutObjectCommand({
+      Bucket: HISTORY_BUCKET,
+      Key: stateKey(state.id),
+      Body: JSON.stringify(state),
+      ContentType: "application/json",
+      ...(etag ? { IfMatch: etag } : { IfNoneMatch: "*" })
+    }));
+    return true;
+  } catch (e) {
+    if (isConditionFailure(e)) return false;
+    throw e;
+  }
+};
+
+// Lee, aplica mutate y guarda; si otro callback escribió en el medio, relee y vuelve a
+// aplicar. mutate devuelve false para no guardar nada. Devuelve { state, changed }.
+const updateEscalation = async (id, mutate) => {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const { state, etag } = await readEscalation(id);
+    if (!state) return { state: null, changed: false };
+    if (mutate(state) === false) return { state, changed: false };
+    if (await saveEscalation(state, etag)) return { state, changed: true };
+    console.log(`[ONCALL] El escalamiento ${id} cambió mientras lo actualizábamos, reintentando`);
+  }
+  throw new Error(`No se pudo actualizar el escalamiento ${id}`);
+};
+
+// Llama a roster[attempt] o al siguiente que acepte la llamada. Deja el estado en
+// "calling" si alguna llamada salió, o "exhausted" si no queda nadie.
+const callNext = async (state) => {
+  while (state.attempt < state.roster.length) {
+    const person = state.roster[state.attempt];
+    console.log(`[ONCALL] Llamando a ${person.name} (${person.phone}), intento ${state.attempt + 1}/${state.roster.length}`);
+
+    let res;
+    try {
+      res = await twilioRequest("Calls.json", {
+        To: person.phone,
+        From: TWILIO_VOICE_FROM,
+        Twiml: buildCallTwiml(state),
+        Timeout: ONCALL_RING_TIMEOUT,
+        ...(ESCALATION_CALLBACK_URL && {
+          StatusCallback: callbackUrlFor("status", state.id),
+          StatusCallbackMethod: "POST"
+        })
+      });
+    } catch (e) {
+      res = { ok: false, data: { message: e?.message || String(e) } };
+    }
+
+    state.calls.push({
+      name: person.name,
+      phone: person.phone,
+      sid: res.data?.sid || null,
+      status: res.ok ? "queued" : "failed",
+      ...(!res.ok && { error: res.data?.message || `HTTP ${res.status}` }),
+      at: new Date().toISOString()
+    });
+
+    if (res.ok) {
+      state.status = "calling";
+      return state;
+    }
+    state.attempt += 1;
+  }
+
+  state.status = "exhausted";
+  return state;
+};
+
+export const startOncallEscalation = async (escalation) => {
+  // Llamar a la guardia cuesta plata y despierta gente: solo para usuarios con teléfono verificado
+  if (!escalation.identified) {
+    console.warn(`[ONCALL] Escalamiento de ${escalation.userId} sin teléfono verificado: no se llama a la guardia`);
+    return { skipped: "unidentified" };
+  }
+  const roster = parseRoster(ONCALL_ROSTER);
+  if (!roster.length) throw new Error("ONCALL_ROSTER vacío");
+  if (!ESCALATION_CALLBACK_URL) {
+    console.warn("[ONCALL] ESCALATION_CALLBACK_URL no configurado: sin confirmación ni reintentos, solo se llama al primero");
+  }
+
+  const state = {
+    id: crypto.randomUUID(),
+    userId: escalation.userId,
+    reason: escalation.reason,
+    type: escalation.type || null,
+    direccion: escalation.direccion || null,
+    problema: escalation.problema || null,
+    phone: escalation.phone || null,
+    status: "calling",
+    attempt: 0,
+    roster,
+    calls: [],
+    ackedBy: null,
+    createdAt: new Date().toISOString()
+  };
+
+  await callNext(state);
+  await saveEscalation(state, null);
+  return { id: state.id, status: state.status, calling: state.calls.at(-1)?.name || null };
+};
+
+// Resultado del escalamiento para el historial de la conversación (role "event",
+// trimHistory lo filtra y no llega al modelo).
+const outcomeEvent = (state) => ({
+  role: "event",
+  type: "escalation",
+  escalationId: state.id,
+  status: state.status,
+  ...(state.ackedBy && { ackedBy: state.ackedBy }),
+  attempts: state.calls.length,
+  at: new Date().toISOString()
+});
+
+// Callbacks de Twilio. Devuelve { twiml, state, event? }; event solo cuando el
+// escalamiento termina (alguien lo tomó o no queda nadie en la lista).
+export const handleOncallCallback = async (kind, id, params) => {
+  const known = id ? await loadEscalation(id) : null;
+  if (!known) {
+    console.warn(`[ONCALL] Callback ${kind} de escalamiento desconocido:`, id);
+    return { twiml: twimlSay(""), state: null };
+  }
+
+  const callSid = params.get("CallSid");
+
+  if (kind === "ack") {
+    const digits = params.get("Digits");
+    let person = null;
+    const { state, changed } = await updateEscalation(id, (s) => {
+      if (!digits || s.status !== "calling") return false;
+      person = s.calls.find(c => c.sid === callSid) || s.calls.at(-1);
+      person.status = "acked";
+      s.status = "acked";
+      s.ackedBy = { name: person.name, phone: person.phone, at: new Date().toISOString() };
+    });
+    if (!changed) {
+      return { twiml: twimlSay(state?.status === "acked" ? "Este caso ya lo tomó otra persona. Gracias." : ""), state };
+    }
+    console.log(`[ONCALL] ✅ ${person.name} tomó el escalamiento ${state.id}`);
+    return { twiml: twimlSay("Gracias, el caso queda a tu cargo. Te mandamos los datos por el sistema de tickets."), state, event: outcomeEvent(state) };
+  }
+
+  if (kind === "status") {
+    // Primero se reserva el avance (attempt + 1) y recién después se llama: si llegan dos
+    // callbacks a la vez, o un ack en el medio, solo uno pasa al siguiente de la lista
+    let ended = null;
+    const { state: claimed, changed } = await updateEscalation(id, (s) => {
+      const current = s.calls[s.attempt];
+      // Solo avanzamos si cortó la llamada en curso, nadie confirmó y nadie avanzó ya
+      if (s.status !== "calling" || s.calls.length !== s.attempt + 1 || (callSid && current?.sid !== callSid)) return false;
+      current.status = params.get("CallStatus") || "completed";
+      ended = current;
+      s.attempt += 1;
+    });
+    if (!changed) return { twiml: twimlSay(""), state: claimed };
+
+    console.log(`[ONCALL] ${ended.name} no confirmó (${ended.status}), pasamos al siguiente`);
+    const placedFrom = claimed.calls.length;
+    await callNext(claimed);
+    const placed = claimed.calls.slice(placedFrom);
+    // Si alguien confirmó mientras llamábamos, su ack manda; las llamadas nuevas igual se registran
+    const { state } = await updateEscalation(id, (s) => {
+      s.calls.push(...placed);
+      if (s.status === "calling") {
+        s.attempt = claimed.attempt;
+        s.status = claimed.status;
+      }
+    });
+    if (state.status === "exhausted") {
+      console.error(`[ONCALL] 🚨 Nadie de la guardia confirmó el escalamiento ${state.id}`);
+      return { twiml: twimlSay(""), state, event: outcomeEvent(state) };
+    }
+    return { twiml: twimlSay(""), state };
+  }
+
+  return { twiml: twimlSay(""), state: known };
+};
+
+if (ONCALL_ROSTER) {
+  registerEscalationHook("oncall", startOncallEscalation);
+}
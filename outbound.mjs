@@ -0,0 +1,96 @@
+// outbound.mjs
+// Envío de mensajes de WhatsApp por Twilio (Messages.json) o Meta Cloud API.
+// TWILIO_API_BASE permite apuntar a un stub HTTP local en pruebas.
+
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_WHATSAPP_FROM = process.env.TWILIO_WHATSAPP_FROM;
+const TWILIO_API_BASE = (process.env.TWILIO_API_BASE || "https://api.twilio.com").replace(/\/$/, "");
+const PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID;
+const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
+const GRAPH_API_VERSION = process.env.GRAPH_API_VERSION || "v18.0";
+
+const esperar = (ms) => new Promise(res => setTimeout(res, ms));
+
+export const twilioBasicAuth = () => {
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) {
+    throw new Error('Twilio credentials not configured');
+  }
+  return "Basic " + Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString("base64");
+};
+
+// POST form-urlencoded a la API REST de Twilio (Messages.json, Calls.json, ...).
+// Devuelve { ok, status, data } sin tirar excepción por errores HTTP.
+export const twilioRequest = async (resource, params) => {
+  const form = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) form.set(key, String(value));
+  }
+
+  const resp = await fetch(`${TWILIO_API_BASE}/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/${resource}`, {
+    method: "POST",
+    headers: { Authorization: twilioBasicAuth(), "Content-Type": "application/x-www-form-urlencoded" },
+    body: form
+  });
+
+  const text = await resp.text();
+  let data = null;
+  try { data = JSON.parse(text); } catch { data = { raw: text }; }
+
+  if (!resp.ok) console.error(`[TWILIO] ${resource} fail:`, resp.status, text);
+  return { ok: resp.ok, status: resp.status, data };
+};
+
+export const sendTwilioMessage = async (phone, text) => {
+  console.log(`[TWILIO] Sending message: "${text}"`);
+  const res = await twilioRequest("Messages.json", {
+    To: `whatsapp:${phone}`,
+    From: TWILIO_WHATSAPP_FROM,
+    Body: text
+  });
+  if (res.ok) console.log(`[TWILIO] Message sent successfully`);
+  return res.ok;
+};
+
+export const sendMetaMessage = async (phone, text) => {
+  if (!PHONE_NUMBER_ID || !WHATSAPP_TOKEN) {
+    console.error('[META] PHONE_NUMBER_ID / WHATSAPP_TOKEN not configured');
+    return false;
+  }
+
+  const resp = await fetch(`https://graph.facebook.com/${GRAPH_API_VERSION}/${PHONE_NUMBER_ID}/messages`, {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${WHATSAPP_TOKEN}`,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify({
+      messaging_product: "whatsapp",
+      to: (phone || "").replace(/^\+/, ""),
+      type: "text",
+      text: { body: text }
+    })
+  });
+
+  if (!resp.ok) console.error("[META] Send fail:", resp.status, await resp.text().catch(() => ""));
+  return resp.ok;
+};
+
+// Manda los fragmentos en orden por el canal del usuario ("twilio" o "meta"),
+// con una pausa corta entre mensajes para que lleguen en orden.
+export const sendMessages = async (channel, phone, fragments, { delayMs = 800 } = {}) => {
+  const send = channel === "twilio" ? sendTwilioMessage : sendMetaMessage;
+  let allOk = true;
+
+  for (let i = 0; i < fragments.length; i++) {
+    try {
+      allOk = (await send(phone, fragments[i])) && allOk;
+    } catch (e) {
+      console.error(`[OUTBOUND] Error sending via ${channel}:`, e?.message || e);
+      allOk = false;
+    }
+    if (i < fragments.length - 1) await esperar(delayMs);
+  }
+
+  return allOk;
+};
@@ -0,0 +1,103 @@
+// pendingTranscription.mjs
+// Transcripción asíncrona de audios (TRANSCRIBE_MODE=async, el default, con TRANSCRIBER=aws). El
+// turno no espera a Amazon Transcribe dentro de la Lambda:
+//
+//   1. processTurn guarda pending-transcriptions/<jobName>.json en HISTORY_BUCKET (el
+//      InboundMessage con la media ya en S3), arranca el trabajo con salida en
+//      transcribe-output/<jobName>.json y le contesta al usuario LISTENING_MESSAGE.
+//   2. Cuando el trabajo termina llega un evento a index.transcriptionWorker: la regla de
+//      EventBridge "Transcribe Job State Change" y/o la notificación de S3 del archivo de
+//      salida. El worker corre el turno con la transcripción ya resuelta.
+//
+// La regla está en transcribe-event-rule.json. TRANSCRIBE_MODE=sync vuelve a consultar el trabajo
+// desde la Lambda hasta TRANSCRIBE_TIMEOUT_SEC; es solo para probar sin el worker desplegado.
+//
+// Registro: { jobName, inbound, audio: { bucket, key, url, contentType }, options, startedAt }
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+import crypto from "crypto";
+import { getTranscriber, transcriptionFromOutput } from "./transcriber.mjs";
+import { emitMetric } from "./metrics.mjs";
+
+const REGION = process.env.AWS_REGION || "us-west-2";
+const HISTORY_BUCKET = process.env.HISTORY_BUCKET || "toori-chat-history";
+const TRANSCRIBE_MODE = process.env.TRANSCRIBE_MODE || "async";
+
+const JOB_PREFIX = "toori-turn-";
+const OUTPUT_PREFIX = "transcribe-output/";
+const OUTPUT_KEY = /^transcribe-output\/(toori-turn-[\w-]+)\.json$/;
+
+export const LISTENING_MESSAGE = "🎧 Estoy escuchando tu audio, dame unos segundos y te respondo.";
+
+const s3 = new S3Client({ region: REGION });
+
+const pendingKey = (jobName) => `pending-transcriptions/${jobName}.json`;
+
+const readJson = async (key) => {
+  try {
+    const res = await s3.send(new GetObjectCommand({ Bucket: HISTORY_BUCKET, Key: key }));
+    return JSON.parse(await res.Body.transformToString());
+  } catch (e) {
+    if (e?.name === "NoSuchKey" || e?.$metadata?.httpStatusCode === 404) return null;
+    throw e;
+  }
+};
+
+// Solo Amazon Transcribe tiene trabajos que se pueden dejar corriendo
+export const isAsyncTranscription = () => TRANSCRIBE_MODE === "async" && typeof getTranscriber().start === "function";
+
+export const startPendingTranscription = async (inbound, audio, options = {}) => {
+  const jobName = `${JOB_PREFIX}${crypto.randomUUID()}`;
+  // Primero el registro: el evento de fin no puede llegar antes que él
+  await s3.send(new PutObjectCommand({
+    Bucket: HISTORY_BUCKET,
+    Key: pendingKey(jobName),
+    Body: JSON.stringify({ jobName, inbound, audio, options, startedAt: new Date().toISOString() }),
+    ContentType: "application/json"
+  }));
+  await getTranscriber().start({
+    s3Url: audio.url,
+    contentType: audio.contentType,
+    jobName,
+    output: { bucket: HISTORY_BUCKET, key: `${OUTPUT_PREFIX}${jobName}.json` }
+  });
+  console.log(`[TRANSCRIBE] Turno de ${inbound.userId} en espera de ${jobName}`);
+  emitMetric("TranscriptionPending", 1, { Channel: inbound.channel });
+  return jobName;
+};
+
+// Trabajos terminados que trae el evento: [{ jobName, status, failureReason? }]
+export const parseTranscriptionEvent = (event) => {
+  if (event?.source === "aws.transcribe") {
+    const detail = event.detail || {};
+    if (!detail.TranscriptionJobName?.startsWith(JOB_PREFIX)) return [];
+    return [{ jobName: detail.TranscriptionJobName, status: detail.TranscriptionJobStatus, failureReason: detail.FailureReason }];
+  }
+  return (event?.Records || [])
+    .filter(r => r.eventSource === "aws:s3")
+    .map(r => decodeURIComponent(r.s3.object.key.replace(/\+/g, " ")).match(OUTPUT_KEY))
+    .filter(Boolean)
+    .map(m => ({ jobName: m[1], status: "COMPLETED" }));
+};
+
+// Registro pendiente + transcription ({ text, confidence, doubtful } de transcriber.mjs, null si
+// el trabajo falló o no se entendió nada). null si no hay registro (trabajo ajeno o turno ya resuelto).
+export const loadPendingTranscription = async ({ jobName, status, failureReason }) => {
+  const pending = await readJson(pendingKey(jobName));
+  if (!pending) return null;
+
+  let transcription = null;
+  if (status === "COMPLETED") {
+    transcription = transcriptionFromOutput(await readJson(`${OUTPUT_PREFIX}${jobName}.json`));
+  } else {
+    console.warn(`[TRANSCRIBE] ${jobName} terminó ${status}: ${failureReason || "sin detalle"}`);
+  }
+  const waitedSec = (Date.now() - new Date(pending.startedAt).getTime()) / 1000;
+  emitMetric("TranscriptionSeconds", waitedSec, { Status: status }, "Seconds");
+  return { ...pending, transcription };
+};
+
+export const clearPendingTranscription = async (jobName) => {
+  await s3.send(new DeleteObjectCommand({ Bucket: HISTORY_BUCKET, Key: pendingKey(jobName) }))
+    .catch(e => console.warn(`[TRANSCRIBE] No se pudo borrar el registro de ${jobName}:`, e?.message || e));
+  await getTranscriber().finish(jobName);
+};
@@ -0,0 +1,74 @@
+// queue.mjs
+// Cola de turnos entre el webhook (ingress) y el worker. Misma interfaz para los dos
+// backends:
+//
+//   send(body, { groupId, dedupId })  encola un mensaje (groupId = userId, orden por usuario)
+//
+// QUEUE_BACKEND=sqs     SQS FIFO en TURN_QUEUE_URL (MessageGroupId = userId). El worker
+//                       es el handler conectado a la cola por event source mapping.
+// QUEUE_BACKEND=memory  cola en memoria del proceso, para pruebas locales: receive()
+//                       devuelve los mensajes con la forma de un evento SQS ({ Records }).
+// sin QUEUE_BACKEND     no hay cola y el webhook procesa el turno en línea (como antes).
+import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
+import crypto from "crypto";
+
+const REGION = process.env.AWS_REGION || "us-west-2";
+const QUEUE_BACKEND = process.env.QUEUE_BACKEND || (process.env.TURN_QUEUE_URL ? "sqs" : "");
+const TURN_QUEUE_URL = process.env.TURN_QUEUE_URL;
+
+export const createSqsQueue = (queueUrl = TURN_QUEUE_URL) => {
+  if (!queueUrl) throw new Error("TURN_QUEUE_URL no configurado");
+  const sqs = new SQSClient({ region: REGION });
+  const fifo = queueUrl.endsWith(".fifo");
+
+  return {
+    backend: "sqs",
+    send: async (body, { groupId, dedupId } = {}) => {
+      const res = await sqs.send(new SendMessageCommand({
+        QueueUrl: queueUrl,
+        MessageBody: JSON.stringify(body),
+        ...(fifo && {
+          MessageGroupId: groupId || "default",
+          // Sin messageId (web) se deduplica por contenido
+          MessageDeduplicationId: (dedupId || crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex")).slice(0, 128)
+        })
+      }));
+      return { id: res.MessageId };
+    }
+  };
+};
+
+export const createMemoryQueue = () => {
+  const pending = [];
+  const seen = new Set();
+
+  return {
+    backend: "memory",
+    send: async (body, { groupId, dedupId } = {}) => {
+      if (dedupId && seen.has(dedupId)) return { id: null, duplicate: true };
+      if (dedupId) seen.add(dedupId);
+      const id = crypto.randomUUID();
+      pending.push({ id, groupId: groupId || "default", body });
+      return { id };
+    },
+    // Saca hasta max mensajes, en orden de llegada, con la forma de un evento SQS
+    receive: (max = 10) => ({
+      Records: pending.splice(0, max).map(m => ({
+        messageId: m.id,
+        body: JSON.stringify(m.body),
+        attributes: { MessageGroupId: m.groupId }
+      }))
+    }),
+    size: () => pending.length
+  };
+};
+
+let queue;
+// Cola configurada por env (una por proceso), o null si se procesa en línea
+export const getTurnQueue = () => {
+  if (queue !== undefined) return queue;
+  if (QUEUE_BACKEND === "sqs") queue = createSqsQueue();
+  else if (QUEUE_BACKEND === "memory") queue = createMemoryQueue();
+  else queue = null;
+  return queue;
+};
@@ -0,0 +1,117 @@
+// registrarPedido.mjs
+// Herramienta registrar_pedido para Claude (tool use de Bedrock): schema, validación
+// de los argumentos y alta del pedido en el backend de tickets.
+
+const PEDIDOS_URL = process.env.PEDIDOS_URL ||
+  "https://lxyzkamgvk.execute-api.us-west-2.amazonaws.com/default/proxy-registrar-pedido";
+// Más que esto y el turno sigue sin ticket: el modelo recibe el error de la herramienta
+const PEDIDOS_TIMEOUT_SEC = parseFloat(process.env.PEDIDOS_TIMEOUT_SEC || "10");
+
+export const TECNICOS = ["plomero", "gasista", "electricista"];
+
+export const REGISTRAR_PEDIDO_TOOL = {
+  name: "registrar_pedido",
+  description: "Registra el pedido de reparación en el sistema de Toori. Usala una sola vez, solo cuando ya tengas nombre, dirección, problema, técnico y urgencia confirmados por el usuario. Nunca escribas estos datos como JSON en el chat.",
+  input_schema: {
+    type: "object",
+    properties: {
+      nombre: { type: "string", minLength: 2, description: "Nombre completo de quien reporta" },
+      direccion: { type: "string", minLength: 5, description: "Dirección exacta (calle, número, piso/depto, localidad)" },
+      tecnico: { type: "string", enum: TECNICOS, description: "Tipo de técnico que hace falta" },
+      urgente: { type: "boolean", description: "true si el usuario dijo que es urgente o hay riesgo" },
+      problema: { type: "string", minLength: 5, description: "Descripción breve del problema, incluyendo lo que se ve en las fotos" },
+      es_inquilino: { type: "boolean", description: "true si quien escribe es el inquilino" },
+      contacto: { type: "string", description: "Teléfono o contacto alternativo, si lo dio" },
+      disponibilidad: { type: "string", description: "Días/horarios en que se puede visitar, si los dio" },
+      medida_preventiva: { type: "string", description: "Medida preventiva sugerida al usuario, si aplica" }
+    },
+    required: ["nombre", "direccion", "tecnico", "urgente", "problema"],
+    additionalProperties: false
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+// Validador mínimo del subset de JSON Schema que usan nuestras herramientas.
+// Devuelve una lista de errores legibles (vacía si es válido).
+export const validateToolInput = (schema, input) => {
+  const errors = [];
+  if (typeOf(input) !== "object") {
+    return ["los argumentos deben ser un objeto JSON"];
+  }
+
+  for (const field of schema.required || []) {
+    const value = input[field];
+    if (value === undefined || value === null || (typeof value === "string" && !value.trim())) {
+      errors.push(`falta el campo obligatorio "${field}"`);
+    }
+  }
+
+  for (const [field, value] of Object.entries(input)) {
+    const prop = schema.properties?.[field];
+    if (!prop) {
+      if (schema.additionalProperties === false) errors.push(`el campo "${field}" no existe`);
+      continue;
+    }
+    if (value === undefined || value === null) continue;
+
+    if (prop.type && typeOf(value) !== prop.type) {
+      errors.push(`"${field}" debe ser ${prop.type}, llegó ${typeOf(value)}`);
+      continue;
+    }
+    if (prop.enum && !prop.enum.includes(value)) {
+      errors.push(`"${field}" debe ser uno de: ${prop.enum.join(", ")}`);
+    }
+    if (prop.minLength && typeof value === "string" && value.trim().length < prop.minLength) {
+      errors.push(`"${field}" es demasiado corto`);
+    }
+  }
+
+  return errors;
+};
+
+// Correcciones habituales del modelo antes de validar (alias viejos, mayúsculas).
+export const normalizePedidoInput = (input) => {
+  const resumen = { ...(input || {}) };
+  if (resumen.detalle && !resumen.problema) { resumen.problema = resumen.detalle; }
+  delete resumen.detalle;
+  if (typeof resumen.tecnico === "string") resumen.tecnico = resumen.tecnico.trim().toLowerCase();
+  if (typeof resumen.urgente === "string") {
+    const v = resumen.urgente.trim().toLowerCase();
+    if (["true", "si", "sí"].includes(v)) resumen.urgente = true;
+    else if (["false", "no"].includes(v)) resumen.urgente = false;
+  }
+  for (const [key, value] of Object.entries(resumen)) {
+    if (typeof value === "string") resumen[key] = value.trim();
+  }
+  return resumen;
+};
+
+export const registrarPedido = async (resumen) => {
+  try {
+    const resp = await fetch(PEDIDOS_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(resumen),
+      signal: AbortSignal.timeout(PEDIDOS_TIMEOUT_SEC * 1000)
+    });
+    if (!resp.ok) {
+      const errorText = await resp.text();
+      console.error("Backend error:", resp.status, errorText);
+      return { ok: false, status: resp.status, error: errorText };
+    }
+    console.log("[PEDIDO] ✅ Pedido registrado");
+    return { ok: true, status: resp.status };
+  } catch (e) {
+    if (e?.name === "TimeoutError") {
+      console.error(`[PEDIDO] El backend de pedidos no respondió en ${PEDIDOS_TIMEOUT_SEC}s`);
+      return { ok: false, status: 0, error: `timeout (${PEDIDOS_TIMEOUT_SEC}s)` };
+    }
+    console.error("Backend fetch error:", e?.message || e);
+    return { ok: false, status: 0, error: e?.message || String(e) };
+  }
+};
@@ -0,0 +1,123 @@
+// streaming.mjs
+// Respuestas en streaming para el chat web (Server-Sent Events sobre Lambda response
+// streaming). El modelo se llama con InvokeModelWithResponseStream y cada párrafo que
+// termina sale como un fragmento, igual que los cortes de dividirRespuesta:
+//
+//   event: fragment   data: {"type":"text","text":"..."}
+//   event: done       data: { reply, historySaved, session, replace?, ... }   (misma forma que la respuesta web)
+//   event: error      data: {"error":"..."}
+//
+// reply en "done" es la lista completa; los fragmentos ya enviados son su comienzo, salvo
+// con replace: true, que indica que no coinciden y el cliente tiene que reemplazarlos por reply.
+// Los tool_use y los bloques [RESUMEN_JSON] nunca llegan al cliente: las herramientas se
+// resuelven en el servidor cuando termina el stream.
+
+const RESUMEN_BLOCK = /\[RESUMEN_JSON\][\s\S]*?\[\/RESUMEN_JSON\]/g;
+const RESUMEN_OPEN = "[RESUMEN_JSON]";
+
+// Arma la salida del stream de Bedrock (eventos de la API de mensajes de Anthropic) con la
+// misma forma que InvokeModel: { content, stop_reason }. onText recibe cada pedazo de texto
+// y onTextEnd el cierre de cada bloque de texto.
+export const readModelStream = async (body, { onText, onTextEnd } = {}) => {
+  const content = [];
+  const toolJson = {};
+  let stopReason = null;
+
+  for await (const event of body) {
+    if (!event.chunk?.bytes) continue;
+    const msg = JSON.parse(Buffer.from(event.chunk.bytes).toString("utf8"));
+
+    if (msg.type === "content_block_start") {
+      content[msg.index] = { ...msg.content_block };
+      if (msg.content_block.type === "tool_use") toolJson[msg.index] = "";
+    } else if (msg.type === "content_block_delta") {
+      if (msg.delta.type === "text_delta") {
+        content[msg.index].text += msg.delta.text;
+        onText?.(msg.delta.text);
+      } else if (msg.delta.type === "input_json_delta") {
+        toolJson[msg.index] += msg.delta.partial_json;
+      }
+    } else if (msg.type === "content_block_stop") {
+      const block = content[msg.index];
+      if (block?.type === "tool_use") block.input = toolJson[msg.index] ? JSON.parse(toolJson[msg.index]) : {};
+      if (block?.type === "text") onTextEnd?.();
+    } else if (msg.type === "message_delta") {
+      stopReason = msg.delta?.stop_reason || stopReason;
+    }
+  }
+
+  return { content: content.filter(Boolean), stop_reason: stopReason };
+};
+
+// Junta el texto del modelo y emite un fragmento por cada párrafo completo (split es
+// dividirRespuesta). Lo que queda de un bloque [RESUMEN_JSON] sin cerrar no se emite.
+export const createFragmentStream = (onFragment, split) => {
+  let text = "";
+  let emittedUpTo = 0;
+  const sent = [];
+
+  const emit = (chunk) => {
+    for (const fragment of split(chunk).filter(Boolean)) {
+      sent.push(fragment);
+      onFragment(fragment);
+    }
+  };
+
+  const flush = () => {
+    const clean = text.replace(RESUMEN_BLOCK, "");
+    const open = clean.indexOf(RESUMEN_OPEN);
+    const ready = open === -1 ? clean : clean.slice(0, open);
+    const cut = ready.lastIndexOf("\n\n");
+    if (cut <= emittedUpTo) return;
+    emit(clean.slice(emittedUpTo, cut));
+    emittedUpTo = cut;
+  };
+
+  return {
+    write: (delta) => {
+      text += delta;
+      flush();
+    },
+    // Fin de un bloque de texto: cuenta como fin de párrafo (runModelTurn los une con \n\n)
+    endBlock: () => {
+      text += "\n\n";
+      flush();
+    },
+    // mensajes: el corte final de la respuesta. Se manda lo que falte y devuelve { replace }.
+    // Si lo enviado no coincide (p. ej. Bedrock falló a mitad y se usó un texto de respaldo)
+    // no se reenvía nada: replace avisa que el "done" trae la lista que va en su lugar.
+    finish: (mensajes) => {
+      if (!sent.every((fragment, i) => mensajes[i] === fragment)) return { replace: true };
+      for (const fragment of mensajes.slice(sent.length)) onFragment(fragment);
+      return { replace: false };
+    }
+  };
+};
+
+const SSE_HEADERS = {
+  "Content-Type": "text/event-stream",
+  "Cache-Control": "no-cache",
+  "X-Accel-Buffering": "no"
+};
+
+// awslambda es global en el runtime de Lambda (no existe en local)
+const httpStream = (responseStream, statusCode, headers) =>
+  globalThis.awslambda.HttpResponseStream.from(responseStream, { statusCode, headers });
+
+// Respuesta JSON común por un handler en streaming (errores antes de abrir el SSE)
+export const endJson = (responseStream, statusCode, body) => {
+  const stream = httpStream(responseStream, statusCode, { "Content-Type": "application/json" });
+  stream.write(JSON.stringify(body));
+  stream.end();
+};
+
+export const openSse = (responseStream) => {
+  const stream = httpStream(responseStream, 200, SSE_HEADERS);
+  return {
+    send: (event, data) => stream.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+    end: () => stream.end()
+  };
+};
+
+// Fuera de Lambda no hay streamifyResponse: se exporta el handler tal cual
+export const streamifyResponse = (fn) => globalThis.awslambda?.streamifyResponse ? globalThis.awslambda.streamifyResponse(fn) : fn;
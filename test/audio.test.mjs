@@ -0,0 +1,122 @@
+// test/audio.test.mjs
+// node --test test/
+// audio.mjs importa media.mjs: necesita @aws-sdk/client-s3 instalado, pero no hace llamadas.
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+
+let audio;
+
+before(async () => {
+  // Sin ffmpeg, como una Lambda sin el layer
+  process.env.AUDIO_FFMPEG = "/nonexistent/ffmpeg";
+  process.env.AUDIO_MAX_SECONDS = "60";
+  audio = await import("../audio.mjs");
+});
+
+const bytes = (...parts) => Buffer.concat(parts.map(p => typeof p === "string" ? Buffer.from(p, "latin1") : Buffer.from(p)));
+
+const oggPage = (granule, payload = "") => {
+  const header = Buffer.alloc(27);
+  header.write("OggS", 0, "latin1");
+  header.writeBigInt64LE(BigInt(granule), 6);
+  return bytes(header, payload);
+};
+
+const opusHead = (preSkip) => {
+  const head = Buffer.alloc(19);
+  head.write("OpusHead", 0, "latin1");
+  head[8] = 1;
+  head[9] = 1;
+  head.writeUInt16LE(preSkip, 10);
+  head.writeUInt32LE(48000, 12);
+  return head;
+};
+
+const vorbisId = (rate) => {
+  const id = Buffer.alloc(30);
+  id.write("\x01vorbis", 0, "latin1");
+  id.writeUInt32LE(rate, 12);
+  return id;
+};
+
+const wav = (seconds, { byteRate = 32000 } = {}) => {
+  const dataSize = Math.round(seconds * byteRate);
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "latin1");
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write("WAVE", 8, "latin1");
+  header.write("fmt ", 12, "latin1");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.write("data", 36, "latin1");
+  header.writeUInt32LE(dataSize, 40);
+  return bytes(header, Buffer.alloc(dataSize));
+};
+
+test("sniffAudio reconoce el contenedor por los primeros bytes", () => {
+  const cases = [
+    [oggPage(0, opusHead(312)), { format: "ogg", codec: "opus", transcode: false }],
+    [oggPage(0, vorbisId(16000)), { format: "ogg", codec: "vorbis", transcode: true }],
+    [bytes("#!AMR\n", [0x3c]), { format: "amr", transcode: true }],
+    [bytes([0x1a, 0x45, 0xdf, 0xa3, 0x01]), { format: "webm", transcode: true }],
+    [wav(0.1), { format: "wav", transcode: false }],
+    [bytes("fLaC", [0, 0, 0, 0x22]), { format: "flac", transcode: false }],
+    [bytes([0, 0, 0, 0x18], "ftyp3gp4"), { format: "3gp", transcode: true }],
+    [bytes([0, 0, 0, 0x18], "ftypM4A "), { format: "mp4", transcode: false }],
+    [bytes("ID3", [4, 0, 0]), { format: "mp3", transcode: false }],
+    [bytes([0xff, 0xf1, 0x50, 0x80]), { format: "aac", transcode: true }],
+    [bytes([0xff, 0xfb, 0x90, 0x64]), { format: "mp3", transcode: false }]
+  ];
+  for (const [buf, expected] of cases) assert.deepEqual(audio.sniffAudio(buf), expected);
+  assert.equal(audio.sniffAudio(bytes("<html>")), null);
+});
+
+test("nativeDuration lee OGG (Opus y Vorbis) y WAV sin ffmpeg", () => {
+  const opus = bytes(oggPage(0, opusHead(312)), oggPage(48000 * 3 + 312));
+  assert.equal(audio.nativeDuration(opus, audio.sniffAudio(opus)), 3);
+
+  const vorbis = bytes(oggPage(0, vorbisId(16000)), oggPage(16000 * 2));
+  assert.equal(audio.nativeDuration(vorbis, audio.sniffAudio(vorbis)), 2);
+
+  const wave = wav(1.5);
+  assert.equal(audio.nativeDuration(wave, audio.sniffAudio(wave)), 1.5);
+
+  assert.equal(audio.nativeDuration(bytes("ID3", [4, 0, 0]), { format: "mp3" }), null);
+});
+
+test("nativeDuration devuelve NaN para archivos cortados", () => {
+  // Granule -1: la última página no terminó de escribirse
+  const truncatedOgg = bytes(oggPage(0, opusHead(312)), oggPage(-1));
+  assert.ok(Number.isNaN(audio.nativeDuration(truncatedOgg, audio.sniffAudio(truncatedOgg))));
+
+  const noData = wav(1).subarray(0, 36);
+  assert.ok(Number.isNaN(audio.nativeDuration(noData, { format: "wav" })));
+});
+
+test("sin ffmpeg, lo que hay que convertir se rechaza como unsupported", async () => {
+  const amr = await audio.prepareAudio(bytes("#!AMR\n", Buffer.alloc(64)), "audio/amr");
+  assert.equal(amr.ok, false);
+  assert.equal(amr.reason, "unsupported");
+  assert.equal(amr.message, audio.AUDIO_REJECTED_MESSAGES.unsupported);
+
+  const unknown = await audio.prepareAudio(bytes("<html>no es audio</html>"), "audio/ogg");
+  assert.equal(unknown.reason, "unsupported");
+});
+
+test("sin ffmpeg, OGG/WAV se validan y MP3 pasa tal cual", async () => {
+  const voiceNote = bytes(oggPage(0, opusHead(312)), oggPage(48000 * 5 + 312));
+  assert.deepEqual(await audio.prepareAudio(voiceNote, "audio/ogg; codecs=opus"), {
+    ok: true, buffer: voiceNote, contentType: "audio/ogg", ext: "ogg", format: "ogg", durationSec: 5, transcoded: false
+  });
+
+  const long = await audio.prepareAudio(wav(61, { byteRate: 100 }), "audio/wav");
+  assert.equal(long.reason, "too_long");
+
+  const mp3 = await audio.prepareAudio(bytes("ID3", [4, 0, 0], Buffer.alloc(32)), "audio/mpeg");
+  assert.equal(mp3.ok, true);
+  assert.equal(mp3.ext, "mp3");
+  assert.equal(mp3.durationSec, null);
+});
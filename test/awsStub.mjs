@@ -0,0 +1,141 @@
+// test/awsStub.mjs
+// Stub HTTP local de las APIs de AWS que usan las Lambdas, para probarlas con el SDK real
+// sin salir a AWS:
+//
+//   S3       GetObject, PutObject (respeta If-Match / If-None-Match), DeleteObject y
+//            ListObjectsV2, en path-style (el SDK lo usa solo con un endpoint 127.0.0.1)
+//   Bedrock  InvokeModel por HTTP/2, como lo llama el SDK: contesta lo que devuelva model(body)
+//            (un mensaje de la API de Anthropic) o un error si devuelve { status, message }
+//   JSON     el resto (Transcribe, ...) por X-Amz-Target: contesta {} o lo que devuelva
+//            target(name, body)
+//
+// startAwsStub() apunta AWS_ENDPOINT_URL y AWS_ENDPOINT_URL_BEDROCK_RUNTIME a sí mismo y
+// pone credenciales de prueba, así que hay que llamarlo ANTES de importar los módulos.
+import http from "http";
+import http2 from "http2";
+
+const xmlEscape = (text) => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const s3Error = (res, status, code) => {
+  res.writeHead(status, { "Content-Type": "application/xml" });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+};
+
+export const DEFAULT_MODEL_REPLY = "Listo, ya lo tengo anotado. ¿Hay algo más que quieras contarme?";
+
+export const startAwsStub = async ({ model = null, target = null } = {}) => {
+  // "<bucket>/<key>" -> { body: Buffer, etag, contentType, lastModified }
+  const objects = new Map();
+  const modelRequests = [];
+  const targetCalls = [];
+  let version = 0;
+
+  const store = (bucket, key, body, contentType = "application/json") => {
+    const etag = `"v${++version}"`;
+    objects.set(`${bucket}/${key}`, { body: Buffer.from(body), etag, contentType, lastModified: new Date() });
+    return etag;
+  };
+
+  const handleS3 = (req, res, url, raw) => {
+    const [, bucket = "", ...rest] = url.pathname.split("/");
+    const key = rest.map(decodeURIComponent).join("/");
+    const id = `${bucket}/${key}`;
+    const current = objects.get(id);
+
+    if (req.method === "GET" && url.searchParams.get("list-type") === "2") {
+      const prefix = url.searchParams.get("prefix") || "";
+      const contents = [...objects.entries()]
+        .filter(([name]) => name.startsWith(`${bucket}/${prefix}`))
+        .map(([name, o]) => `<Contents><Key>${xmlEscape(name.slice(bucket.length + 1))}</Key><LastModified>${o.lastModified.toISOString()}</LastModified><ETag>${xmlEscape(o.etag)}</ETag><Size>${o.body.length}</Size></Contents>`);
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      return res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name><Prefix>${xmlEscape(prefix)}</Prefix><KeyCount>${contents.length}</KeyCount><IsTruncated>false</IsTruncated>${contents.join("")}</ListBucketResult>`);
+    }
+    if (req.method === "GET" || req.method === "HEAD") {
+      if (!current) return s3Error(res, 404, "NoSuchKey");
+      res.writeHead(200, { "Content-Type": current.contentType, ETag: current.etag, "Content-Length": current.body.length, "Last-Modified": current.lastModified.toUTCString() });
+      return res.end(req.method === "GET" ? current.body : undefined);
+    }
+    if (req.method === "PUT") {
+      const ifMatch = req.headers["if-match"];
+      const ifNoneMatch = req.headers["if-none-match"];
+      if ((ifMatch && current?.etag !== ifMatch) || (ifNoneMatch === "*" && current)) return s3Error(res, 412, "PreconditionFailed");
+      res.writeHead(200, { ETag: store(bucket, key, raw, req.headers["content-type"]) });
+      return res.end();
+    }
+    if (req.method === "DELETE") {
+      objects.delete(id);
+      res.writeHead(204);
+      return res.end();
+    }
+    return s3Error(res, 405, "MethodNotAllowed");
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks);
+      const name = req.headers["x-amz-target"];
+      if (!name) return handleS3(req, res, new URL(req.url, "http://stub"), raw);
+
+      const body = raw.length ? JSON.parse(raw.toString("utf8")) : {};
+      targetCalls.push({ name, body });
+      res.writeHead(200, { "Content-Type": "application/x-amz-json-1.1" });
+      res.end(JSON.stringify(target?.(name, body) || {}));
+    });
+  });
+
+  const bedrock = http2.createServer();
+  const sessions = new Set();
+  bedrock.on("session", session => {
+    sessions.add(session);
+    session.on("close", () => sessions.delete(session));
+  });
+  bedrock.on("stream", (stream, headers) => {
+    const chunks = [];
+    stream.on("data", chunk => chunks.push(chunk));
+    stream.on("end", () => {
+      const body = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+      const modelId = decodeURIComponent(headers[":path"].split("/")[2] || "");
+      modelRequests.push({ modelId, body });
+      const reply = model?.(body) || { content: [{ type: "text", text: DEFAULT_MODEL_REPLY }], stop_reason: "end_turn" };
+      if (reply.status) {
+        stream.respond({ ":status": reply.status, "content-type": "application/json", "x-amzn-errortype": reply.type || "ValidationException" });
+        return stream.end(JSON.stringify({ message: reply.message || "Error" }));
+      }
+      stream.respond({ ":status": 200, "content-type": "application/json" });
+      stream.end(JSON.stringify({ id: "msg_stub", type: "message", role: "assistant", ...reply }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  await new Promise(resolve => bedrock.listen(0, "127.0.0.1", resolve));
+
+  Object.assign(process.env, {
+    AWS_ENDPOINT_URL: `http://127.0.0.1:${server.address().port}`,
+    AWS_ENDPOINT_URL_BEDROCK_RUNTIME: `http://127.0.0.1:${bedrock.address().port}`,
+    AWS_ACCESS_KEY_ID: "test",
+    AWS_SECRET_ACCESS_KEY: "test",
+    AWS_REGION: process.env.AWS_REGION || "us-west-2"
+  });
+
+  return {
+    objects,
+    modelRequests,
+    targetCalls,
+    putJson: (bucket, key, value) => store(bucket, key, JSON.stringify(value)),
+    getJson: (bucket, key) => {
+      const o = objects.get(`${bucket}/${key}`);
+      return o ? JSON.parse(o.body.toString("utf8")) : null;
+    },
+    keys: (prefix = "") => [...objects.keys()].filter(k => k.startsWith(prefix)),
+    close: async () => {
+      for (const session of sessions) session.destroy();
+      server.closeAllConnections();
+      await Promise.all([
+        new Promise(resolve => server.close(resolve)),
+        new Promise(resolve => bedrock.close(resolve))
+      ]);
+    }
+  };
+};
@@ -0,0 +1,69 @@
+// test/debounce.test.mjs
+// node --test test/
+// Necesita los clientes del AWS SDK v3 instalados; habla solo con awsStub.mjs y twilioStub.mjs.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startAwsStub, DEFAULT_MODEL_REPLY } from "./awsStub.mjs";
+import { startTwilioStub } from "./twilioStub.mjs";
+
+const HISTORY = "test-history";
+const WAID = "5491133445566";
+
+let aws;
+let twilio;
+let index;
+let queue;
+let failModel = 0;
+
+before(async () => {
+  aws = await startAwsStub({
+    model: () => failModel-- > 0 ? { status: 400, message: "Bedrock no disponible" } : null
+  });
+  twilio = await startTwilioStub();
+  Object.assign(process.env, {
+    HISTORY_BUCKET: HISTORY,
+    QUEUE_BACKEND: "memory",
+    DEBOUNCE_MS: "50",
+    DEBOUNCE_MAX_MS: "500",
+    TWILIO_SIGNATURE_BYPASS: "1",
+    TWILIO_API_BASE: twilio.url,
+    TWILIO_ACCOUNT_SID: "ACtest",
+    TWILIO_AUTH_TOKEN: "secreto",
+    TWILIO_WHATSAPP_FROM: "whatsapp:+15550001111"
+  });
+  index = await import("../index.mjs");
+  queue = (await import("../queue.mjs")).getTurnQueue();
+});
+
+after(() => aws.close().then(() => twilio.close()));
+
+const twilioWebhook = (sid, body) => ({
+  headers: { "content-type": "application/x-www-form-urlencoded" },
+  body: new URLSearchParams({ From: `whatsapp:+${WAID}`, WaId: WAID, Body: body, MessageSid: sid, SmsStatus: "received", NumMedia: "0" }).toString()
+});
+
+test("si el turno de una ráfaga falla, el reintento de la cola lo responde entero", async () => {
+  for (const [sid, text] of [["SMdeb1", "hola"], ["SMdeb2", "se me rompió la canilla"]]) {
+    const res = await index.handler(twilioWebhook(sid, text));
+    assert.equal(JSON.parse(res.body).status, "QUEUED");
+  }
+  assert.equal(queue.size(), 2);
+
+  // Primer intento: Bedrock falla, los dos avisos de flush del usuario vuelven a la cola
+  failModel = 1;
+  const delivery = queue.receive(10);
+  const failed = await index.worker(delivery);
+  assert.deepEqual(failed.batchItemFailures.map(f => f.itemIdentifier), delivery.Records.map(r => r.messageId));
+  assert.equal(aws.getJson(HISTORY, `buffers/wa%3A${WAID}.json`).messages.length, 2);
+  assert.equal(twilio.requests.length, 0);
+
+  // El reintento del proveedor sigue siendo un duplicado: quien reintenta es la cola
+  assert.equal(JSON.parse((await index.handler(twilioWebhook("SMdeb1", "hola"))).body).status, "DUPLICATE_IGNORED");
+
+  // SQS vuelve a entregar los mismos mensajes: un solo turno con toda la ráfaga
+  assert.deepEqual(await index.worker(delivery), { batchItemFailures: [] });
+  assert.equal(aws.modelRequests.length, 2);
+  const lastUser = aws.modelRequests[1].body.messages.filter(m => m.role === "user").at(-1);
+  assert.match(JSON.stringify(lastUser.content), /hola[\s\S]*se me rompió la canilla/);
+  assert.deepEqual(twilio.requests.map(r => [r.params.To, r.params.Body]), [[`whatsapp:+${WAID}`, DEFAULT_MODEL_REPLY]]);
+});
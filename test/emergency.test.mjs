@@ -0,0 +1,47 @@
+// test/emergency.test.mjs
+// node --test test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectEmergency } from "../emergency.mjs";
+
+test("detecta emergencias con contexto", () => {
+  for (const [text, type] of [
+    ["hay olor a gas en la cocina", "gas"],
+    ["se siente una pérdida de gas", "gas"],
+    ["salen llamas de la cocina", "incendio"],
+    ["hay llamas en el balcón", "incendio"],
+    ["el auto está en llamas", "incendio"],
+    ["se prendió fuego la tele", "incendio"],
+    ["sale humo del enchufe", "incendio"],
+    ["el gas no sale de la hornalla pero huele a gas", "gas"],
+    ["se siente olor a gas no hay nadie en casa", "gas"],
+    ["hay fuego en el balcón", "incendio"],
+    ["le prendieron fuego al contenedor", "incendio"],
+    ["el enchufe tira chispas", "electrico"],
+    ["salen chispas del enchufe", "electrico"],
+    ["el tablero hizo una chispa y se cortó la luz", "electrico"]
+  ]) {
+    assert.equal(detectEmergency(text)?.type, type, text);
+  }
+});
+
+test("no confunde mensajes comunes con emergencias", () => {
+  for (const text of [
+    "mi calle se llama Rivadavia",
+    "¿me llamás mañana?",
+    "me llamás en un rato?",
+    "la llama del calefón se apaga sola",
+    "el piloto no tiene llama",
+    "no hay olor a gas",
+    "no sé si hay olor a gas",
+    "ya no sale humo",
+    "el gas no sale de la hornalla",
+    "olor a gas no hay",
+    "la hornalla no prende el fuego",
+    "el calefón tiene el fuego muy bajo",
+    "el termotanque no enciende, no hace chispa",
+    "se me rompió la canilla"
+  ]) {
+    assert.equal(detectEmergency(text), null, text);
+  }
+});
@@ -0,0 +1,34 @@
+// test/inboundMessage.test.mjs
+// node --test test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeWebPayload, describeContacts, describeLocation } from "../inboundMessage.mjs";
+
+const identity = { userId: "web:abc", trusted: false };
+
+test("un contacto web sin phones no rompe describeContacts", () => {
+  const inbound = normalizeWebPayload({
+    input: "te paso el plomero",
+    contacts: [{ name: "Juan Plomero" }, null, "texto suelto", { name: 42, phones: ["+54 9 11 5555-0000", 7, ""], emails: "no-es-lista" }]
+  }, identity);
+
+  assert.deepEqual(inbound.contacts, [
+    { name: "Juan Plomero", phones: [] },
+    { name: null, phones: ["+54 9 11 5555-0000"] }
+  ]);
+  assert.equal(describeContacts(inbound.contacts), "👤 Contacto compartido: Juan Plomero\n👤 Contacto compartido: sin nombre (+54 9 11 5555-0000)");
+});
+
+test("contacts que no es una lista queda vacío", () => {
+  assert.deepEqual(normalizeWebPayload({ input: "hola", contacts: { name: "Juan" } }, identity).contacts, []);
+});
+
+test("la ubicación web se valida como la de Meta", () => {
+  const ok = normalizeWebPayload({ input: "", location: { latitude: "-34.6", longitude: -58.4, name: " Casa ", extra: "x" } }, identity);
+  assert.deepEqual(ok.location, { latitude: -34.6, longitude: -58.4, name: "Casa" });
+  assert.equal(describeLocation(ok.location), "📍 Ubicación compartida: Casa (lat -34.6, lng -58.4)");
+
+  for (const location of [{ latitude: "abc", longitude: 1 }, { latitude: 91, longitude: 0 }, { latitude: 10 }, "Rivadavia 1234", []]) {
+    assert.equal(normalizeWebPayload({ input: "", location }, identity).location, null);
+  }
+});
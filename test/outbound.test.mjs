@@ -0,0 +1,57 @@
+// test/outbound.test.mjs
+// node --test test/
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTwilioStub } from "./twilioStub.mjs";
+
+let stub;
+let outbound;
+const failTo = new Set();
+
+before(async () => {
+  stub = await startTwilioStub({
+    respond: (req) => failTo.has(req.params.To) ? { status: 400, body: { code: 21211, message: "Invalid 'To' Phone Number" } } : null
+  });
+  // outbound.mjs lee la configuración al cargarse
+  process.env.TWILIO_API_BASE = stub.url;
+  process.env.TWILIO_ACCOUNT_SID = "ACtest";
+  process.env.TWILIO_AUTH_TOKEN = "secreto";
+  process.env.TWILIO_WHATSAPP_FROM = "whatsapp:+15550001111";
+  outbound = await import("../outbound.mjs");
+});
+
+after(() => stub.close());
+
+test("llamada de guardia por Calls.json contra el stub", async () => {
+  const res = await outbound.twilioRequest("Calls.json", {
+    To: "+5491111111111",
+    From: "+15550001111",
+    Twiml: "<Response><Say>Hola</Say></Response>",
+    Timeout: 25,
+    StatusCallback: undefined
+  });
+
+  assert.equal(res.ok, true);
+  assert.match(res.data.sid, /^CA/);
+  const req = stub.requests.at(-1);
+  assert.equal(req.method, "POST");
+  assert.equal(req.account, "ACtest");
+  assert.equal(req.resource, "Calls.json");
+  assert.equal(req.authorization, `Basic ${Buffer.from("ACtest:secreto").toString("base64")}`);
+  assert.deepEqual(req.params, { To: "+5491111111111", From: "+15550001111", Twiml: "<Response><Say>Hola</Say></Response>", Timeout: "25" });
+});
+
+test("un error de Twilio vuelve como ok: false con el detalle", async () => {
+  failTo.add("+000");
+  const res = await outbound.twilioRequest("Calls.json", { To: "+000", From: "+15550001111" });
+  assert.equal(res.ok, false);
+  assert.equal(res.status, 400);
+  assert.equal(res.data.code, 21211);
+});
+
+test("los mensajes de WhatsApp usan el mismo cliente", async () => {
+  assert.equal(await outbound.sendTwilioMessage("+5491122334455", "hola"), true);
+  const req = stub.requests.at(-1);
+  assert.equal(req.resource, "Messages.json");
+  assert.deepEqual(req.params, { To: "whatsapp:+5491122334455", From: "whatsapp:+15550001111", Body: "hola" });
+});
@@ -0,0 +1,35 @@
+// test/registrarPedido.test.mjs
+// node --test test/
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+let server;
+let registrarPedido;
+const received = [];
+
+before(async () => {
+  // Backend colgado: lee el pedido y nunca contesta
+  server = http.createServer((req) => {
+    let raw = "";
+    req.on("data", chunk => { raw += chunk; });
+    req.on("end", () => received.push(JSON.parse(raw)));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  process.env.PEDIDOS_URL = `http://127.0.0.1:${server.address().port}/pedidos`;
+  process.env.PEDIDOS_TIMEOUT_SEC = "0.2";
+  ({ registrarPedido } = await import("../registrarPedido.mjs"));
+});
+
+after(() => {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+});
+
+test("si el backend de pedidos no contesta, vuelve un error de herramienta al vencer el timeout", async () => {
+  const started = Date.now();
+  const result = await registrarPedido({ nombre: "Ana", direccion: "Rivadavia 1234" });
+  assert.deepEqual(result, { ok: false, status: 0, error: "timeout (0.2s)" });
+  assert.ok(Date.now() - started < 2000);
+  assert.deepEqual(received, [{ nombre: "Ana", direccion: "Rivadavia 1234" }]);
+});
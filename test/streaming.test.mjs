@@ -0,0 +1,35 @@
+// test/streaming.test.mjs
+// node --test test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFragmentStream } from "../streaming.mjs";
+
+const split = (text) => text.split(/\n\n+/).map(p => p.trim());
+
+test("emite un fragmento por párrafo y finish manda solo lo que falta", () => {
+  const sent = [];
+  const stream = createFragmentStream(fragment => sent.push(fragment), split);
+  stream.write("Hola, ¿cómo va?\n\nContame ");
+  assert.deepEqual(sent, ["Hola, ¿cómo va?"]);
+  stream.write("qué pasó");
+  assert.deepEqual(stream.finish(["Hola, ¿cómo va?", "Contame qué pasó"]), { replace: false });
+  assert.deepEqual(sent, ["Hola, ¿cómo va?", "Contame qué pasó"]);
+});
+
+test("no emite bloques [RESUMEN_JSON]", () => {
+  const sent = [];
+  const stream = createFragmentStream(fragment => sent.push(fragment), split);
+  stream.write("Listo.\n\n[RESUMEN_JSON]{\"a\":1}\n\n");
+  assert.deepEqual(sent, ["Listo."]);
+  stream.write("[/RESUMEN_JSON]");
+  stream.endBlock();
+  assert.deepEqual(sent, ["Listo."]);
+});
+
+test("si lo enviado no coincide no reenvía nada y pide reemplazar", () => {
+  const sent = [];
+  const stream = createFragmentStream(fragment => sent.push(fragment), split);
+  stream.write("Estoy revisando\n\ny");
+  assert.deepEqual(stream.finish(["Estamos con tu caso.", "Pasame la dirección."]), { replace: true });
+  assert.deepEqual(sent, ["Estoy revisando"]);
+});
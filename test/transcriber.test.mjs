@@ -0,0 +1,77 @@
+// test/transcriber.test.mjs
+// node --test test/
+// Necesita @aws-sdk/client-transcribe instalado; el proveedor aws habla solo con awsStub.mjs.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { startAwsStub } from "./awsStub.mjs";
+
+const AUDIO = Buffer.from("audio de prueba");
+
+let aws;
+let dir;
+let transcriber;
+
+before(async () => {
+  aws = await startAwsStub();
+  dir = await mkdtemp(path.join(os.tmpdir(), "toori-transcriber-test-"));
+  const fakeFile = path.join(dir, "fake.json");
+  await writeFile(fakeFile, JSON.stringify({
+    [crypto.createHash("sha256").update(AUDIO).digest("hex")]: "se me rompió el termo tanque",
+    "s3://media/silencio.ogg": null,
+    default: "hola"
+  }));
+  Object.assign(process.env, {
+    TRANSCRIBER: "fake",
+    TRANSCRIBER_FAKE_FILE: fakeFile,
+    // El "motor" local devuelve el contenido del archivo tal cual
+    TRANSCRIBER_COMMAND: "cat {file}",
+    TRANSCRIBE_VOCABULARY: "off"
+  });
+  transcriber = await import("../transcriber.mjs");
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+  await aws.close();
+});
+
+test("getTranscriber usa el proveedor de TRANSCRIBER y lo reutiliza", () => {
+  const first = transcriber.getTranscriber();
+  assert.equal(first.provider, "fake");
+  assert.equal(transcriber.getTranscriber(), first);
+});
+
+test("fake busca por sha256 del audio o s3Url y pasa por correctTranscript", async () => {
+  const fake = transcriber.createTranscriber("fake");
+  assert.deepEqual(await fake.transcribe({ buffer: AUDIO }), { text: "se me rompió el termotanque", provider: "fake" });
+  assert.equal(await fake.transcribe({ s3Url: "s3://media/silencio.ogg" }), null);
+  assert.deepEqual(await fake.transcribe({ buffer: Buffer.from("otro") }), { text: "hola", provider: "fake" });
+});
+
+test("local corre TRANSCRIBER_COMMAND con el audio en un archivo temporal", async () => {
+  const local = transcriber.createTranscriber("local");
+  assert.equal(local.provider, "local");
+  assert.equal(local.start, undefined);
+  assert.deepEqual(await local.transcribe({ buffer: Buffer.from("pierde la  canilla\n"), contentType: "audio/ogg" }), { text: "pierde la canilla", provider: "local" });
+});
+
+test("aws arranca trabajos con el MediaFormat del audio", async () => {
+  const awsTranscriber = transcriber.createTranscriber("aws");
+  assert.equal(awsTranscriber.provider, "aws");
+  assert.equal(typeof awsTranscriber.finish, "function");
+
+  await awsTranscriber.start({ s3Url: "s3://media/nota.flac", contentType: "audio/flac", jobName: "toori-turn-test", output: { bucket: "hist", key: "transcribe-output/toori-turn-test.json" } });
+  const call = aws.targetCalls.find(c => c.name.endsWith("StartTranscriptionJob"));
+  assert.equal(call.body.TranscriptionJobName, "toori-turn-test");
+  assert.equal(call.body.MediaFormat, "flac");
+  assert.deepEqual(call.body.Media, { MediaFileUri: "s3://media/nota.flac" });
+  assert.equal(call.body.OutputKey, "transcribe-output/toori-turn-test.json");
+});
+
+test("un proveedor desconocido falla en vez de caer en aws", () => {
+  assert.throws(() => transcriber.createTranscriber("whisper"), /TRANSCRIBER desconocido: whisper/);
+});
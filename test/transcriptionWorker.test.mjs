@@ -0,0 +1,101 @@
+// test/transcriptionWorker.test.mjs
+// node --test test/
+// Necesita los clientes del AWS SDK v3 instalados; habla solo con awsStub.mjs y twilioStub.mjs.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startAwsStub, DEFAULT_MODEL_REPLY } from "./awsStub.mjs";
+import { startTwilioStub } from "./twilioStub.mjs";
+
+const HISTORY = "test-history";
+const MEDIA = "test-media";
+const PHONE = "+5491122334455";
+
+let aws;
+let twilio;
+let index;
+
+before(async () => {
+  aws = await startAwsStub();
+  twilio = await startTwilioStub();
+  Object.assign(process.env, {
+    HISTORY_BUCKET: HISTORY,
+    MEDIA_BUCKET: MEDIA,
+    BACKEND_API_TOKEN: "adapter-token",
+    TWILIO_API_BASE: twilio.url,
+    TWILIO_ACCOUNT_SID: "ACtest",
+    TWILIO_AUTH_TOKEN: "secreto",
+    TWILIO_WHATSAPP_FROM: "whatsapp:+15550001111",
+    TRANSCRIBER: "aws",
+    TRANSCRIBE_VOCABULARY: "off"
+  });
+  delete process.env.TRANSCRIBE_MODE;
+  index = await import("../index.mjs");
+});
+
+after(() => aws.close().then(() => twilio.close()));
+
+// Lo que manda WhatsAppAdapter con un audio ya guardado en S3
+const adapterRequest = (messageId, key) => ({
+  headers: { "content-type": "application/json", authorization: "Bearer adapter-token" },
+  body: JSON.stringify({
+    userId: `wa:${PHONE.slice(1)}`,
+    phone: PHONE,
+    replyChannel: "twilio",
+    messageId,
+    input: "",
+    mediaInfo: { files: [{ bucket: MEDIA, key, contentType: "audio/ogg" }] }
+  })
+});
+
+const completionEvent = (jobName, status = "COMPLETED") => ({
+  source: "aws.transcribe",
+  "detail-type": "Transcribe Job State Change",
+  detail: { TranscriptionJobName: jobName, TranscriptionJobStatus: status }
+});
+
+test("un audio espera a Transcribe sin hacer polling y el evento de fin corre el turno", async () => {
+  aws.objects.set(`${MEDIA}/audio/nota.ogg`, { body: Buffer.from("OggS"), etag: '"a"', contentType: "audio/ogg", lastModified: new Date() });
+
+  const res = await index.handler(adapterRequest("wamid.audio1", "audio/nota.ogg"));
+  assert.equal(res.statusCode, 200);
+  assert.equal(JSON.parse(res.body).transcribing, true);
+  assert.equal(aws.modelRequests.length, 0);
+
+  const started = aws.targetCalls.filter(c => c.name.endsWith("StartTranscriptionJob"));
+  assert.equal(started.length, 1);
+  assert.equal(aws.targetCalls.some(c => c.name.endsWith("GetTranscriptionJob")), false);
+  const jobName = started[0].body.TranscriptionJobName;
+  assert.deepEqual(aws.keys(`${HISTORY}/pending-transcriptions/`), [`${HISTORY}/pending-transcriptions/${jobName}.json`]);
+
+  aws.putJson(HISTORY, started[0].body.OutputKey, {
+    jobName,
+    results: { transcripts: [{ transcript: "Se me rompió el termotanque" }], items: [] }
+  });
+  await index.transcriptionWorker(completionEvent(jobName));
+
+  assert.equal(aws.modelRequests.length, 1);
+  const lastUser = aws.modelRequests[0].body.messages.filter(m => m.role === "user").at(-1);
+  assert.match(JSON.stringify(lastUser.content), /Se me rompió el termotanque/);
+
+  const sent = twilio.requests.filter(r => r.resource === "Messages.json");
+  assert.deepEqual(sent.map(r => r.params.To), [`whatsapp:${PHONE}`]);
+  assert.equal(sent[0].params.Body, DEFAULT_MODEL_REPLY);
+
+  assert.deepEqual(aws.keys(`${HISTORY}/pending-transcriptions/`), []);
+  const deleted = aws.targetCalls.filter(c => c.name.endsWith("DeleteTranscriptionJob"));
+  assert.deepEqual(deleted.map(c => c.body.TranscriptionJobName), [jobName]);
+
+  // La notificación de S3 del mismo trabajo no vuelve a correr el turno
+  await index.transcriptionWorker({
+    Records: [{ eventSource: "aws:s3", s3: { bucket: { name: HISTORY }, object: { key: started[0].body.OutputKey } } }]
+  });
+  assert.equal(aws.modelRequests.length, 1);
+  assert.equal(twilio.requests.filter(r => r.resource === "Messages.json").length, 1);
+});
+
+test("un evento de un trabajo ajeno se ignora", async () => {
+  const before = aws.modelRequests.length;
+  await index.transcriptionWorker(completionEvent("otro-trabajo-123"));
+  await index.transcriptionWorker(completionEvent("toori-turn-sin-registro"));
+  assert.equal(aws.modelRequests.length, before);
+});
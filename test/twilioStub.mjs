@@ -0,0 +1,39 @@
+// test/twilioStub.mjs
+// Stub HTTP local de la API REST de Twilio (Messages.json, Calls.json) para pruebas.
+// Se apunta con TWILIO_API_BASE=<url>. Guarda cada request en requests y contesta 201 con
+// un sid, o lo que devuelva respond(req) ({ status, body }).
+import http from "http";
+
+export const startTwilioStub = async ({ port = 0, respond = null } = {}) => {
+  const requests = [];
+  let count = 0;
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", chunk => { raw += chunk; });
+    req.on("end", () => {
+      const match = req.url.match(/\/2010-04-01\/Accounts\/([^/]+)\/(.+)$/);
+      const entry = {
+        method: req.method,
+        account: match?.[1] || null,
+        resource: match?.[2] || req.url,
+        authorization: req.headers.authorization || null,
+        params: Object.fromEntries(new URLSearchParams(raw))
+      };
+      requests.push(entry);
+
+      const prefix = entry.resource === "Calls.json" ? "CA" : "SM";
+      const reply = respond?.(entry) || { status: 201, body: { sid: `${prefix}stub${++count}`, status: "queued" } };
+      res.writeHead(reply.status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(reply.body));
+    });
+  });
+
+  await new Promise(resolve => server.listen(port, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
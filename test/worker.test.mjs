@@ -0,0 +1,65 @@
+// test/worker.test.mjs
+// node --test test/
+// Necesita los clientes del AWS SDK v3 instalados; habla solo con awsStub.mjs y twilioStub.mjs.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startAwsStub, DEFAULT_MODEL_REPLY } from "./awsStub.mjs";
+import { startTwilioStub } from "./twilioStub.mjs";
+
+const WAID = "5491144556677";
+
+let aws;
+let twilio;
+let index;
+let queue;
+
+before(async () => {
+  aws = await startAwsStub();
+  twilio = await startTwilioStub();
+  Object.assign(process.env, {
+    HISTORY_BUCKET: "test-history",
+    QUEUE_BACKEND: "memory",
+    TWILIO_SIGNATURE_BYPASS: "1",
+    TWILIO_API_BASE: twilio.url,
+    TWILIO_ACCOUNT_SID: "ACtest",
+    TWILIO_AUTH_TOKEN: "secreto",
+    TWILIO_WHATSAPP_FROM: "whatsapp:+15550001111"
+  });
+  delete process.env.DEBOUNCE_MS;
+  index = await import("../index.mjs");
+  queue = (await import("../queue.mjs")).getTurnQueue();
+});
+
+after(() => aws.close().then(() => twilio.close()));
+
+const twilioWebhook = (sid, body) => ({
+  headers: { "content-type": "application/x-www-form-urlencoded" },
+  body: new URLSearchParams({ From: `whatsapp:+${WAID}`, WaId: WAID, Body: body, MessageSid: sid, SmsStatus: "received", NumMedia: "0" }).toString()
+});
+
+test("el webhook encola el turno y el worker corre uno solo y lo saca de la cola", async () => {
+  const res = await index.handler(twilioWebhook("SMwork1", "se me rompió la canilla"));
+  assert.equal(res.statusCode, 200);
+  assert.equal(JSON.parse(res.body).status, "QUEUED");
+  assert.equal(aws.modelRequests.length, 0);
+
+  // La entrega duplicada del proveedor no encola otro turno
+  assert.equal(JSON.parse((await index.handler(twilioWebhook("SMwork1", "se me rompió la canilla"))).body).status, "DUPLICATE_IGNORED");
+  assert.equal(queue.size(), 1);
+
+  const delivery = queue.receive(10);
+  assert.equal(delivery.Records.length, 1);
+  assert.equal(delivery.Records[0].attributes.MessageGroupId, `wa:${WAID}`);
+
+  // Sin batchItemFailures SQS borra el mensaje; la cola en memoria ya lo entregó
+  assert.deepEqual(await index.worker(delivery), { batchItemFailures: [] });
+  assert.equal(queue.size(), 0);
+
+  assert.equal(aws.modelRequests.length, 1);
+  assert.deepEqual(twilio.requests.map(r => [r.params.To, r.params.Body]), [[`whatsapp:+${WAID}`, DEFAULT_MODEL_REPLY]]);
+
+  // Una segunda entrega del mismo mensaje (SQS es at-least-once) no repite el turno
+  assert.deepEqual(await index.worker(delivery), { batchItemFailures: [] });
+  assert.equal(aws.modelRequests.length, 1);
+  assert.equal(twilio.requests.length, 1);
+});
@@ -0,0 +1,282 @@
+// transcriber.mjs
+// Transcripción de audios, compartida por index.mjs y WhatsAppAdapter.mjs.
+//
+//   transcribe({ buffer, contentType, s3Url }) -> { text, provider, confidence?, doubtful? } | null (audio sin texto)
+//
+// Con Amazon Transcribe las palabras con poca confianza salen entre [[ ]] en text ("vivo en
+// [[Rivadavia 1234]]"), confidence es el promedio del audio y doubtful la lista de tramos
+// marcados [{ text, confidence }] (se guarda con el turno en el historial).
+//
+// Tira error si el proveedor falla o se pasa del timeout: cada caller decide qué le
+// contesta al usuario en ese caso.
+//
+// TRANSCRIBER=aws (default)  Amazon Transcribe. Usa s3Url (el audio ya tiene que estar en S3).
+//                            Además tiene start/finish para no esperar el trabajo (pendingTranscription.mjs).
+// TRANSCRIBER=local          Motor por línea de comandos para desarrollo offline (whisper.cpp u
+//                            otro). TRANSCRIBER_COMMAND recibe {file}, {lang} y {prompt} (términos
+//                            de vocabulary.mjs) y escribe el texto en stdout, p. ej.
+//                            "whisper-cli -m ggml-small.bin -l {lang} -nt --prompt {prompt} -f {file}".
+// TRANSCRIBER=fake           Transcripciones fijas para pruebas: TRANSCRIBER_FAKE_TEXT, o un JSON en
+//                            TRANSCRIBER_FAKE_FILE { "<sha256 del audio o s3Url>": "texto", "default": "..." }.
+//
+// Todos los textos pasan por correctTranscript (errores conocidos de vocabulary.mjs).
+import { TranscribeClient, StartTranscriptionJobCommand, GetTranscriptionJobCommand, DeleteTranscriptionJobCommand, GetVocabularyCommand, CreateVocabularyCommand } from "@aws-sdk/client-transcribe";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { mkdtemp, writeFile, rm } from "fs/promises";
+import { readFileSync } from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { extensionFor } from "./media.mjs";
+import { VOCABULARY_VERSION, vocabularyPhrases, promptHint, correctTranscript } from "./vocabulary.mjs";
+
+const REGION = process.env.AWS_REGION || "us-west-2";
+const TRANSCRIBER = process.env.TRANSCRIBER || "aws";
+const TRANSCRIBE_LANGUAGE = process.env.TRANSCRIBE_LANGUAGE || "es-AR";
+const TRANSCRIBE_TIMEOUT_SEC = parseInt(process.env.TRANSCRIBE_TIMEOUT_SEC || "90", 10);
+const TRANSCRIBE_POLL_MS = parseInt(process.env.TRANSCRIBE_POLL_MS || "2000", 10);
+// Prefijo del vocabulario personalizado de Transcribe; "off" lo desactiva
+const TRANSCRIBE_VOCABULARY = process.env.TRANSCRIBE_VOCABULARY || "toori-hogar";
+// Confianza mínima por palabra; números y nombres propios (calles, apellidos) piden más
+const TRANSCRIBE_LOW_CONFIDENCE = parseFloat(process.env.TRANSCRIBE_LOW_CONFIDENCE || "0.6");
+const TRANSCRIBE_LOW_CONFIDENCE_DATA = parseFloat(process.env.TRANSCRIBE_LOW_CONFIDENCE_DATA || "0.85");
+const TRANSCRIBER_COMMAND = process.env.TRANSCRIBER_COMMAND;
+const TRANSCRIBER_FAKE_TEXT = process.env.TRANSCRIBER_FAKE_TEXT || "Hola, se me rompió la canilla de la cocina";
+const TRANSCRIBER_FAKE_FILE = process.env.TRANSCRIBER_FAKE_FILE;
+
+const execFileAsync = promisify(execFile);
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Texto del JSON de salida de Amazon Transcribe
+export const transcriptText = (data) => data?.results?.transcripts?.[0]?.transcript || "";
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Arma el texto desde results.items marcando entre [[ ]] las palabras seguidas con poca confianza
+export const markLowConfidence = (items = []) => {
+  const scores = [];
+  const doubtful = [];
+  let text = "";
+  let span = null;
+  let sentenceStart = true;
+
+  const close = () => {
+    if (!span) return;
+    text += "]]";
+    doubtful.push({ text: span.words.join(" "), confidence: round(Math.min(...span.scores)) });
+    span = null;
+  };
+
+  for (const item of items) {
+    const { content, confidence } = item.alternatives?.[0] || {};
+    if (!content) continue;
+    if (item.type === "punctuation") {
+      close();
+      text += content;
+      if (/[.?!]/.test(content)) sentenceStart = true;
+      continue;
+    }
+
+    const score = parseFloat(confidence);
+    scores.push(score);
+    // Mayúscula en medio de la oración: nombre de calle, persona o barrio
+    const isData = /\d/.test(content) || (!sentenceStart && /^\p{Lu}/u.test(content));
+    const low = score < (isData ? TRANSCRIBE_LOW_CONFIDENCE_DATA : TRANSCRIBE_LOW_CONFIDENCE);
+    if (!low) close();
+    if (text) text += " ";
+    if (low && !span) {
+      text += "[[";
+      span = { words: [], scores: [] };
+    }
+    text += content;
+    span?.words.push(content);
+    span?.scores.push(score);
+    sentenceStart = false;
+  }
+  close();
+
+  const confidence = scores.length ? round(scores.reduce((a, b) => a + b, 0) / scores.length) : null;
+  return { text, confidence, doubtful };
+};
+
+export const transcriptionResult = (provider, text, { confidence = null, doubtful = [] } = {}) => {
+  const clean = correctTranscript((text || "").replace(/\s+/g, " ").trim());
+  if (!clean) return null;
+  return {
+    text: clean,
+    provider,
+    ...(confidence !== null && { confidence, doubtful: doubtful.map(d => ({ ...d, text: correctTranscript(d.text) })) })
+  };
+};
+
+// Lo que se guarda con el turno en el historial (transcriptions del mensaje del usuario)
+export const transcriptionRecord = (key, result) => result && {
+  key,
+  provider: result.provider,
+  ...(result.confidence !== undefined && { confidence: result.confidence, doubtful: result.doubtful })
+};
+
+// Resultado a partir del JSON de salida de Amazon Transcribe
+export const transcriptionFromOutput = (data) => {
+  const items = data?.results?.items;
+  if (!items?.length) return transcriptionResult("aws", transcriptText(data));
+  const { text, ...confidence } = markLowConfidence(items);
+  return transcriptionResult("aws", text, confidence);
+};
+
+// Formatos que acepta Amazon Transcribe, por extensión
+const MEDIA_FORMATS = { ogg: "ogg", oga: "ogg", opus: "ogg", mp3: "mp3", mpeg: "mp3", mp4: "mp4", m4a: "mp4", aac: "mp4", wav: "wav", webm: "webm", flac: "flac", amr: "amr" };
+
+export const mediaFormatFor = (contentType, s3Url) => {
+  const fromUrl = (s3Url || "").split(".").pop().toLowerCase();
+  return MEDIA_FORMATS[extensionFor(contentType, "")] || MEDIA_FORMATS[fromUrl] || "ogg";
+};
+
+export const createAwsTranscriber = ({ language = TRANSCRIBE_LANGUAGE, timeoutSec = TRANSCRIBE_TIMEOUT_SEC, pollMs = TRANSCRIBE_POLL_MS, vocabulary = TRANSCRIBE_VOCABULARY } = {}) => {
+  const client = new TranscribeClient({ region: REGION });
+  const vocabularyName = vocabulary === "off" ? null : `${vocabulary}-${language}-v${VOCABULARY_VERSION}`;
+  let vocabularyReady = false;
+
+  // Nombre del vocabulario si ya se puede usar. Si no existe lo crea (tarda unos minutos en
+  // quedar READY; mientras tanto los trabajos salen sin vocabulario).
+  const readyVocabulary = async () => {
+    if (!vocabularyName || vocabularyReady) return vocabularyName;
+    try {
+      const { VocabularyState, FailureReason } = await client.send(new GetVocabularyCommand({ VocabularyName: vocabularyName }));
+      if (VocabularyState === "READY") {
+        vocabularyReady = true;
+        return vocabularyName;
+      }
+      if (VocabularyState === "FAILED") console.error(`[TRANSCRIBE] El vocabulario ${vocabularyName} falló: ${FailureReason}`);
+      return null;
+    } catch (e) {
+      if (e?.name !== "NotFoundException" && !/couldn't be found|not found/i.test(e?.message || "")) {
+        console.warn(`[TRANSCRIBE] No se pudo consultar el vocabulario ${vocabularyName}:`, e?.message || e);
+        return null;
+      }
+    }
+    try {
+      await client.send(new CreateVocabularyCommand({ VocabularyName: vocabularyName, LanguageCode: language, Phrases: vocabularyPhrases() }));
+      console.log(`[TRANSCRIBE] Vocabulario ${vocabularyName} creado, se usa cuando quede READY`);
+    } catch (e) {
+      // ConflictException: lo creó otra instancia al mismo tiempo
+      if (e?.name !== "ConflictException") console.warn(`[TRANSCRIBE] No se pudo crear el vocabulario ${vocabularyName}:`, e?.message || e);
+    }
+    return null;
+  };
+
+  const finish = (jobName) => client.send(new DeleteTranscriptionJobCommand({ TranscriptionJobName: jobName }))
+    .catch(e => console.warn(`[TRANSCRIBE] No se pudo borrar el trabajo ${jobName}:`, e?.message || e));
+
+  const readTranscript = async (job) => {
+    const uri = job.Transcript?.TranscriptFileUri;
+    if (!uri) throw new Error("Trabajo completado sin TranscriptFileUri");
+    const res = await fetch(uri);
+    if (!res.ok) throw new Error(`Error descargando la transcripción: ${res.status} ${res.statusText}`);
+    return transcriptionFromOutput(await res.json());
+  };
+
+  // Arranca el trabajo y vuelve enseguida. Con output el resultado queda en
+  // s3://<output.bucket>/<output.key> (sin output, Transcribe lo guarda en su bucket).
+  const start = async ({ s3Url, contentType, jobName = `transcribe-job-${crypto.randomUUID()}`, output }) => {
+    if (!s3Url?.startsWith("s3://")) throw new Error(`URL de S3 inválida: ${s3Url}`);
+
+    const mediaFormat = mediaFormatFor(contentType, s3Url);
+    const VocabularyName = await readyVocabulary();
+    console.log(`[TRANSCRIBE] Iniciando ${jobName}: ${s3Url} (${mediaFormat}, ${language}, vocabulario: ${VocabularyName || "ninguno"})`);
+    await client.send(new StartTranscriptionJobCommand({
+      TranscriptionJobName: jobName,
+      LanguageCode: language,
+      MediaFormat: mediaFormat,
+      Media: { MediaFileUri: s3Url },
+      Settings: { ShowSpeakerLabels: false, ShowAlternatives: false, ...(VocabularyName && { VocabularyName }) },
+      ...(output && { OutputBucketName: output.bucket, OutputKey: output.key })
+    }));
+    return jobName;
+  };
+
+  const transcribe = async ({ s3Url, contentType }) => {
+    const jobName = await start({ s3Url, contentType });
+
+    try {
+      const deadline = Date.now() + timeoutSec * 1000;
+      for (let attempt = 1; Date.now() < deadline; attempt++) {
+        await wait(pollMs);
+        let job;
+        try {
+          ({ TranscriptionJob: job } = await client.send(new GetTranscriptionJobCommand({ TranscriptionJobName: jobName })));
+        } catch (e) {
+          if (["AccessDenied", "AccessDeniedException", "UnauthorizedOperation"].includes(e?.name)) throw e;
+          console.warn(`[TRANSCRIBE] Error consultando ${jobName} (intento ${attempt}):`, e?.message || e);
+          continue;
+        }
+
+        const status = job?.TranscriptionJobStatus;
+        if (status === "COMPLETED") return await readTranscript(job);
+        if (status === "FAILED") throw new Error(`Transcripción fallida: ${job.FailureReason || "razón desconocida"}`);
+        if (attempt % 10 === 0) console.log(`[TRANSCRIBE] ${jobName} sigue ${status} (intento ${attempt})`);
+      }
+      throw new Error(`Timeout de transcripción después de ${timeoutSec}s`);
+    } finally {
+      await finish(jobName);
+    }
+  };
+
+  return { provider: "aws", transcribe, start, finish };
+};
+
+export const createLocalTranscriber = ({ command = TRANSCRIBER_COMMAND, language = TRANSCRIBE_LANGUAGE, timeoutSec = TRANSCRIBE_TIMEOUT_SEC } = {}) => {
+  if (!command) throw new Error("TRANSCRIBER=local necesita TRANSCRIBER_COMMAND");
+  const [bin, ...args] = command.split(/\s+/).filter(Boolean);
+  if (!args.some(a => a.includes("{file}"))) args.push("{file}");
+
+  const transcribe = async ({ buffer, contentType }) => {
+    if (!buffer?.length) throw new Error("El transcriptor local necesita el audio (buffer)");
+
+    const dir = await mkdtemp(path.join(os.tmpdir(), "toori-audio-"));
+    const file = path.join(dir, `audio.${extensionFor(contentType, "ogg")}`);
+    try {
+      await writeFile(file, buffer);
+      const argv = args.map(a => a.replaceAll("{file}", file).replaceAll("{lang}", language.split("-")[0]).replaceAll("{prompt}", promptHint()));
+      console.log(`[TRANSCRIBE] Local: ${bin} ${argv.join(" ")}`);
+      const { stdout } = await execFileAsync(bin, argv, { timeout: timeoutSec * 1000, maxBuffer: 10 * 1024 * 1024 });
+      return transcriptionResult("local", stdout);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  };
+
+  return { provider: "local", transcribe };
+};
+
+// transcripts: { "<sha256 del audio>" | "<s3Url>": texto, default: texto }. Un valor null simula un audio sin texto.
+export const createFakeTranscriber = ({ transcripts = {}, text = TRANSCRIBER_FAKE_TEXT } = {}) => {
+  const transcribe = async ({ buffer, s3Url }) => {
+    const sha = buffer ? crypto.createHash("sha256").update(buffer).digest("hex") : null;
+    const canned = [sha, s3Url, "default"].find(key => key && key in transcripts);
+    return transcriptionResult("fake", canned ? transcripts[canned] : text);
+  };
+
+  return { provider: "fake", transcribe };
+};
+
+// Proveedor por nombre (aws | local | fake), con la configuración de env
+export const createTranscriber = (provider = TRANSCRIBER) => {
+  if (provider === "aws") return createAwsTranscriber();
+  if (provider === "local") return createLocalTranscriber();
+  if (provider === "fake") {
+    return createFakeTranscriber({ transcripts: TRANSCRIBER_FAKE_FILE ? JSON.parse(readFileSync(TRANSCRIBER_FAKE_FILE, "utf8")) : {} });
+  }
+  throw new Error(`TRANSCRIBER desconocido: ${provider} (aws, local o fake)`);
+};
+
+let transcriber;
+// Proveedor configurado por env (uno por proceso)
+export const getTranscriber = () => {
+  if (!transcriber) {
+    transcriber = createTranscriber();
+    console.log(`[TRANSCRIBE] Proveedor: ${transcriber.provider}`);
+  }
+  return transcriber;
+};
@@ -0,0 +1,100 @@
+// vision.mjs
+// Fotos del usuario como bloques "image" para Claude en Bedrock.
+// El historial guarda solo la referencia S3 ({ bucket, key, contentType }); el base64
+// se arma al momento de llamar al modelo y nunca se persiste.
+import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+
+const REGION = process.env.AWS_REGION || "us-west-2";
+// Cuántas fotos (las más recientes de la conversación) se mandan al modelo por request
+const VISION_MAX_IMAGES = parseInt(process.env.VISION_MAX_IMAGES || "4", 10);
+
+// Límites de Claude en Bedrock: ~3.75 MB por imagen y lado máximo recomendado de 1568 px
+const MAX_IMAGE_BYTES = 3.75 * 1024 * 1024;
+const MAX_IMAGE_EDGE = 1568;
+const SUPPORTED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+
+const s3 = new S3Client({ region: REGION });
+
+let sharpLoader = null;
+// sharp es nativo: viene en un layer de Lambda. Sin él mandamos la foto tal cual si entra en los límites.
+const loadSharp = () => {
+  if (!sharpLoader) {
+    sharpLoader = import("sharp")
+      .then(mod => mod.default || mod)
+      .catch(() => {
+        console.warn("[VISION] sharp no disponible, las fotos no se redimensionan");
+        return null;
+      });
+  }
+  return sharpLoader;
+};
+
+export const isImage = (contentType) =>
+  SUPPORTED_IMAGE_TYPES.includes((contentType || "").split(";")[0].trim().toLowerCase());
+
+// Redimensiona a MAX_IMAGE_EDGE y recomprime en JPEG. Devuelve null si no se puede mandar.
+export const prepareImage = async (buffer, contentType) => {
+  const mediaType = (contentType || "").split(";")[0].trim().toLowerCase();
+  const sharp = await loadSharp();
+
+  if (sharp) {
+    try {
+      const resized = await sharp(buffer)
+        .rotate()
+        .resize({ width: MAX_IMAGE_EDGE, height: MAX_IMAGE_EDGE, fit: "inside", withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+      if (resized.length <= MAX_IMAGE_BYTES) return { data: resized, mediaType: "image/jpeg" };
+      console.warn(`[VISION] Foto sigue excediendo el límite tras redimensionar: ${resized.length} bytes`);
+      return null;
+    } catch (e) {
+      console.warn("[VISION] Error redimensionando foto:", e?.message);
+    }
+  }
+
+  if (isImage(mediaType) && buffer.length <= MAX_IMAGE_BYTES) {
+    return { data: buffer, mediaType };
+  }
+
+  console.warn(`[VISION] Foto descartada (${mediaType}, ${buffer.length} bytes)`);
+  return null;
+};
+
+export const loadImageBlock = async ({ bucket, key, contentType }) => {
+  try {
+    const res = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    const buffer = Buffer.from(await res.Body.transformToByteArray());
+    const prepared = await prepareImage(buffer, contentType || res.ContentType);
+    if (!prepared) return null;
+
+    return {
+      type: "image",
+      source: { type: "base64", media_type: prepared.mediaType, data: prepared.data.toString("base64") }
+    };
+  } catch (e) {
+    console.error(`[VISION] No se pudo cargar s3://${bucket}/${key}:`, e?.message || e);
+    return null;
+  }
+};
+
+// Convierte el historial al formato de Bedrock, agregando las fotos más recientes
+// como bloques image delante del texto del turno del usuario que las mandó.
+export const buildModelMessages = async (messages, { maxImages = VISION_MAX_IMAGES } = {}) => {
+  const selected = new Set();
+  for (let i = messages.length - 1; i >= 0 && selected.size < maxImages; i--) {
+    const m = messages[i];
+    if (m.role !== "user") continue;
+    for (const ref of [...(m.media || [])].reverse()) {
+      if (selected.size >= maxImages) break;
+      if (isImage(ref.contentType)) selected.add(ref);
+    }
+  }
+
+  return Promise.all(messages.map(async ({ role, content, media }) => {
+    if (role !== "user" || !media?.some(ref => selected.has(ref))) return { role, content };
+
+    const blocks = (await Promise.all(media.filter(ref => selected.has(ref)).map(loadImageBlock))).filter(Boolean);
+    if (blocks.length) console.log(`[VISION] ${blocks.length} foto(s) adjuntadas al turno del usuario`);
+    return { role, content: [...blocks, ...content] };
+  }));
+};
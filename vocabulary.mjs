@@ -0,0 +1,77 @@
+// vocabulary.mjs
+// Vocabulario de arreglos del hogar y calles para la transcripción de audios. Se usa en tres
+// lugares (ver transcriber.mjs):
+//   - vocabulario personalizado de Amazon Transcribe (toori-hogar-<idioma>-v<VOCABULARY_VERSION>);
+//   - pista para los motores locales ({prompt} en TRANSCRIBER_COMMAND, p. ej. --prompt de whisper.cpp);
+//   - corrección posterior de errores conocidos (correctTranscript), con cualquier proveedor.
+//
+// Al cambiar TERMS hay que subir VOCABULARY_VERSION: Transcribe crea un vocabulario nuevo con
+// ese nombre y lo empieza a usar cuando queda READY (los de versiones viejas se pueden borrar).
+//
+// phrase: cómo tiene que quedar escrito. misspellings: cómo suele salir mal transcripto
+// (se comparan sin distinguir mayúsculas, como palabras completas).
+
+export const VOCABULARY_VERSION = 1;
+
+export const TERMS = [
+  // Instalaciones y artefactos
+  { phrase: "termotanque", misspellings: ["termo tanque", "termotanke", "termo tanke"] },
+  { phrase: "calefón", misspellings: ["calefon", "cale fon", "calefont"] },
+  { phrase: "canilla", misspellings: ["cañilla"] },
+  { phrase: "disyuntor", misspellings: ["dis yuntor", "disyunto", "disyuntur", "diyuntor"] },
+  { phrase: "térmica", misspellings: ["termica", "térmika"] },
+  { phrase: "flexible", misspellings: ["flexi ble", "flexibe"] },
+  { phrase: "llave de paso", misspellings: ["llave del paso", "yave de paso"] },
+  { phrase: "tiro balanceado", misspellings: ["tiro balanceao", "tiro valanceado"] },
+  { phrase: "monocomando", misspellings: ["mono comando"] },
+  { phrase: "mochila del inodoro", misspellings: [] },
+  { phrase: "sifón", misspellings: ["sifon"] },
+  { phrase: "cloaca", misspellings: [] },
+  { phrase: "cañería", misspellings: ["cañeria"] },
+  { phrase: "tablero", misspellings: [] },
+  { phrase: "garrafa", misspellings: [] },
+  { phrase: "rejilla", misspellings: [] },
+  { phrase: "bidet", misspellings: ["vidé"] },
+  { phrase: "portero eléctrico", misspellings: ["portero electrico"] },
+  { phrase: "filtración", misspellings: ["filtracion"] },
+  { phrase: "gasista", misspellings: ["gas ista", "gacista"] },
+  { phrase: "cerrajero", misspellings: [] },
+  { phrase: "destapación", misspellings: ["destapacion"] },
+
+  // Calles y avenidas que aparecen seguido en las direcciones
+  { phrase: "Rivadavia", misspellings: ["riva davia", "rivadabia"] },
+  { phrase: "Pueyrredón", misspellings: ["pueyrredon", "puey redón", "pueirredón"] },
+  { phrase: "Scalabrini Ortiz", misspellings: ["escalabrini ortiz", "scalabrini ortis"] },
+  { phrase: "Álvarez Thomas", misspellings: ["alvarez tomas", "álvarez tomás"] },
+  { phrase: "Juan B. Justo", misspellings: ["juan b justo", "juan be justo"] },
+  { phrase: "Cabildo", misspellings: [] },
+  { phrase: "Corrientes", misspellings: [] },
+  { phrase: "Callao", misspellings: ["cayao"] },
+  { phrase: "Triunvirato", misspellings: ["triumvirato"] },
+  { phrase: "Lacroze", misspellings: ["la crose", "lacrose"] },
+  { phrase: "Dorrego", misspellings: [] }
+];
+
+// Formato de lista de Amazon Transcribe: sin espacios (van guiones) ni puntos
+export const vocabularyPhrases = () => TERMS.map(t => t.phrase.replace(/\./g, "").trim().replace(/\s+/g, "-"));
+
+// Texto corto para motores que aceptan un prompt inicial
+export const promptHint = () => TERMS.map(t => t.phrase).join(", ");
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Palabra completa también con tildes y ñ (\b de JS solo entiende ASCII)
+const CORRECTIONS = TERMS.flatMap(t => t.misspellings.map(m => ({
+  pattern: new RegExp(`(?<![\\p{L}\\d])${escapeRegex(m)}(?![\\p{L}\\d])`, "giu"),
+  phrase: t.phrase
+})));
+
+export const correctTranscript = (text) => {
+  let corrected = text || "";
+  for (const { pattern, phrase } of CORRECTIONS) {
+    corrected = corrected.replace(pattern, (match) =>
+      // Al principio de la oración se mantiene la mayúscula
+      /^\p{Lu}/u.test(match) ? phrase[0].toUpperCase() + phrase.slice(1) : phrase);
+  }
+  return corrected;
+};
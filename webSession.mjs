@@ -0,0 +1,91 @@
+// webSession.mjs
+// Sesiones del chat web. El userId ya no lo manda el cliente: la primera request sin token
+// abre una conversación nueva y el backend emite un token firmado (JWT HS256 con
+// SESSION_SECRET); en las siguientes el userId sale del token, como web:<sessionId>.
+//
+//   claims: { sub: <sessionId>, iat, exp }
+//
+// El token vence a las SESSION_TTL_HOURS y cada respuesta trae uno renovado, así que una
+// conversación activa no se corta. Va en "Authorization: Bearer <token>" (o en
+// payload.sessionToken si el proxy no reenvía headers).
+//
+// Los servicios internos (WhatsAppAdapter) se identifican con BACKEND_API_TOKEN y pueden
+// seguir mandando su propio userId, que se usa tal cual: wa:<número>, la misma clave que
+// usan los webhooks de WhatsApp, así las dos Lambdas comparten historial y estado del caso.
+import crypto from "crypto";
+import { readBearerToken } from "./webhookAuth.mjs";
+
+const SESSION_SECRET = process.env.SESSION_SECRET;
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || "72", 10);
+const BACKEND_API_TOKEN = process.env.BACKEND_API_TOKEN;
+
+const HEADER = Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT" })).toString("base64url");
+
+const sign = (data) => crypto.createHmac("sha256", SESSION_SECRET).update(data).digest("base64url");
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a || "", "utf8");
+  const bufB = Buffer.from(b || "", "utf8");
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+export const issueSessionToken = (sessionId = crypto.randomUUID()) => {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + SESSION_TTL_HOURS * 3600;
+  const claims = Buffer.from(JSON.stringify({ sub: sessionId, iat, exp })).toString("base64url");
+  return {
+    token: `${HEADER}.${claims}.${sign(`${HEADER}.${claims}`)}`,
+    sessionId,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+};
+
+// Devuelve { ok, sessionId?, reason }
+export const verifySessionToken = (token) => {
+  const [header, claims, signature, ...rest] = (token || "").split(".");
+  // Solo aceptamos nuestro header (HS256): nada de alg "none" ni otros algoritmos
+  if (rest.length || header !== HEADER || !claims || !signature) return { ok: false, reason: "malformed" };
+  if (!safeEqual(signature, sign(`${header}.${claims}`))) return { ok: false, reason: "invalid_signature" };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(claims, "base64url").toString("utf8"));
+  } catch {
+    return { ok: false, reason: "malformed" };
+  }
+  if (typeof parsed.sub !== "string" || !parsed.sub || typeof parsed.exp !== "number") return { ok: false, reason: "malformed" };
+  if (parsed.exp * 1000 < Date.now()) return { ok: false, reason: "expired" };
+  return { ok: true, sessionId: parsed.sub, reason: "valid" };
+};
+
+// Identidad de una request web:
+//   { ok: true, userId, trusted, session }   session = token renovado / nuevo para el cliente
+//   { ok: false, status, reason }
+// trusted indica un servicio interno: puede elegir su userId y mandar datos del canal
+// (replyChannel, archivos ya subidos a S3, emergencyNotified).
+export const resolveWebIdentity = (event, payload) => {
+  const credential = readBearerToken(event) || payload?.sessionToken || null;
+
+  if (credential && BACKEND_API_TOKEN && safeEqual(credential, BACKEND_API_TOKEN)) {
+    return { ok: true, trusted: true, userId: payload?.userId || null, session: null };
+  }
+
+  if (!SESSION_SECRET) {
+    console.error("[SESSION] SESSION_SECRET no configurado, no se pueden validar ni emitir sesiones web");
+    return { ok: false, status: 503, reason: "missing_session_secret" };
+  }
+
+  if (credential) {
+    const verified = verifySessionToken(credential);
+    if (!verified.ok) {
+      console.warn("[SESSION] Token de sesión rechazado:", verified.reason);
+      return { ok: false, status: 401, reason: verified.reason };
+    }
+    return { ok: true, trusted: false, userId: `web:${verified.sessionId}`, session: issueSessionToken(verified.sessionId) };
+  }
+
+  if (payload?.userId) console.warn("[SESSION] Se ignora el userId del body, la conversación arranca con una sesión nueva");
+  const session = issueSessionToken();
+  console.log(`[SESSION] Nueva sesión web ${session.sessionId}`);
+  return { ok: true, trusted: false, userId: `web:${session.sessionId}`, session };
+};
@@ -0,0 +1,172 @@
+// webhookAuth.mjs
+// Autenticación de webhooks entrantes (Twilio y Meta WhatsApp Cloud API) y de los endpoints internos.
+import crypto from "crypto";
+
+// Headers sin importar mayúsculas (API Gateway v1 los respeta, v2 y Function URLs los pasan a minúsculas)
+export const getHeader = (headers, name) => {
+  const wanted = name.toLowerCase();
+  for (const [key, value] of Object.entries(headers || {})) {
+    if (key.toLowerCase() === wanted) return value;
+  }
+  return undefined;
+};
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a || "", "utf8");
+  const bufB = Buffer.from(b || "", "utf8");
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Body crudo tal como llegó, en bytes. Lambda entrega base64 cuando isBase64Encoded.
+export const readRawBody = (event) => {
+  if (typeof event.body !== "string") {
+    return Buffer.from(event.body ? JSON.stringify(event.body) : "", "utf8");
+  }
+  return event.isBase64Encoded ? Buffer.from(event.body, "base64") : Buffer.from(event.body, "utf8");
+};
+
+// Reconstruye la URL pública que Twilio usó para llamar al webhook.
+// Detrás de API Gateway / CloudFront conviene fijarla con TWILIO_WEBHOOK_URL.
+export const resolveWebhookUrl = (event, override) => {
+  if (override) return override;
+
+  const headers = event.headers || {};
+  const proto = (getHeader(headers, "x-forwarded-proto") || "https").split(",")[0].trim();
+  const host = getHeader(headers, "host") || event.requestContext?.domainName || "";
+  const path = event.requestContext?.path || event.rawPath || event.path || "/";
+
+  let query = event.rawQueryString || "";
+  if (!query && event.queryStringParameters) {
+    query = new URLSearchParams(event.queryStringParameters).toString();
+  }
+
+  return `${proto}://${host}${path}${query ? `?${query}` : ""}`;
+};
+
+// Algoritmo de Twilio: URL + cada parámetro ordenado por nombre (nombre + valor),
+// HMAC-SHA1 con el auth token y base64.
+export const computeTwilioSignature = (authToken, url, params) => {
+  const grouped = {};
+  for (const [key, value] of params) {
+    (grouped[key] = grouped[key] || []).push(value);
+  }
+
+  const data = Object.keys(grouped).sort().reduce((acc, key) => {
+    return acc + grouped[key].sort().map(value => key + value).join("");
+  }, url);
+
+  return crypto.createHmac("sha1", authToken).update(Buffer.from(data, "utf8")).digest("base64");
+};
+
+// Twilio puede firmar la URL con o sin el puerto explícito; probamos ambas variantes.
+const urlVariants = (url) => {
+  try {
+    const parsed = new URL(url);
+    const defaultPort = parsed.protocol === "https:" ? "443" : "80";
+    const rest = `${parsed.pathname}${parsed.search}`;
+    const withoutPort = `${parsed.protocol}//${parsed.hostname}${rest}`;
+    const withPort = `${parsed.protocol}//${parsed.hostname}:${parsed.port || defaultPort}${rest}`;
+    return [...new Set([url, withoutPort, withPort])];
+  } catch {
+    return [url];
+  }
+};
+
+export const verifyTwilioSignature = ({ authToken, url, params, signature }) => {
+  if (!authToken || !signature || !url) return false;
+  return urlVariants(url).some(candidate =>
+    safeEqual(computeTwilioSignature(authToken, candidate, params), signature)
+  );
+};
+
+// Valida un webhook de Twilio ya parseado. Devuelve { ok, reason }.
+export const verifyTwilioRequest = (event, params, { authToken, webhookUrl, bypass = false } = {}) => {
+  if (bypass) {
+    console.warn("[TWILIO_AUTH] ⚠️ Verificación de firma DESACTIVADA (TWILIO_SIGNATURE_BYPASS=1)");
+    return { ok: true, reason: "bypass" };
+  }
+
+  if (!authToken) {
+    console.error("[TWILIO_AUTH] TWILIO_AUTH_TOKEN no configurado, no se puede validar la firma");
+    return { ok: false, reason: "missing_auth_token" };
+  }
+
+  const signature = getHeader(event.headers, "x-twilio-signature");
+  if (!signature) {
+    console.warn("[TWILIO_AUTH] Request sin header X-Twilio-Signature");
+    return { ok: false, reason: "missing_signature" };
+  }
+
+  const url = resolveWebhookUrl(event, webhookUrl);
+  const ok = verifyTwilioSignature({ authToken, url, params, signature });
+  if (!ok) {
+    console.warn("[TWILIO_AUTH] Firma inválida para URL:", url);
+    return { ok: false, reason: "invalid_signature" };
+  }
+
+  return { ok: true, reason: "valid" };
+};
+
+// Meta firma el body crudo con HMAC-SHA256 usando el App Secret:
+// X-Hub-Signature-256: sha256=<hex>
+export const verifyMetaSignature = ({ appSecret, rawBody, signature }) => {
+  if (!appSecret || !signature || !rawBody) return false;
+  const [scheme, received] = signature.split("=");
+  if (scheme !== "sha256" || !received) return false;
+  const expected = crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex");
+  return safeEqual(expected, received.toLowerCase());
+};
+
+// Valida un webhook POST de Meta. Devuelve { ok, reason }.
+export const verifyMetaRequest = (event, { appSecret, bypass = false } = {}) => {
+  if (bypass) {
+    console.warn("[META_AUTH] ⚠️ Verificación de firma DESACTIVADA (META_SIGNATURE_BYPASS=1)");
+    return { ok: true, reason: "bypass" };
+  }
+
+  if (!appSecret) {
+    console.error("[META_AUTH] META_APP_SECRET no configurado, no se puede validar la firma");
+    return { ok: false, reason: "missing_app_secret" };
+  }
+
+  const signature = getHeader(event.headers, "x-hub-signature-256");
+  if (!signature) {
+    console.warn("[META_AUTH] Request sin header X-Hub-Signature-256");
+    return { ok: false, reason: "missing_signature" };
+  }
+
+  const ok = verifyMetaSignature({ appSecret, rawBody: readRawBody(event), signature });
+  if (!ok) {
+    console.warn("[META_AUTH] Firma inválida");
+    return { ok: false, reason: "invalid_signature" };
+  }
+
+  return { ok: true, reason: "valid" };
+};
+
+// Token de "Authorization: Bearer <token>", o null
+export const readBearerToken = (event) => {
+  const [scheme, token] = (getHeader(event.headers, "authorization") || "").split(" ");
+  return scheme?.toLowerCase() === "bearer" && token ? token : null;
+};
+
+// Endpoints internos (operadores, admin): Authorization: Bearer <token>. Acepta cualquiera
+// de los tokens configurados. Devuelve { ok, reason }.
+export const verifyBearerToken = (event, { tokens = [] } = {}) => {
+  const configured = tokens.filter(Boolean);
+  if (!configured.length) {
+    console.error("[BEARER_AUTH] Token no configurado, se rechazan todos los requests");
+    return { ok: false, reason: "missing_token_config" };
+  }
+
+  const received = readBearerToken(event);
+  if (!received) return { ok: false, reason: "missing_token" };
+
+  if (!configured.some(token => safeEqual(received, token))) {
+    console.warn("[BEARER_AUTH] Token inválido");
+    return { ok: false, reason: "invalid_token" };
+  }
+
+  return { ok: true, reason: "valid" };
+};